@@ -0,0 +1,216 @@
+// ai/analysis.js - Idea analysis prompt, schema validation and repair
+// The model's reply must match ANALYSIS_SCHEMA_DESCRIPTION. Output that doesn't parse or
+// validate gets one repair round-trip before the request is treated as failed.
+
+const aiClient = require('./client');
+
+// Bump whenever the prompt changes so stored analyses can be told apart
+const ANALYSIS_PROMPT_VERSION = 'analysis-v2';
+
+const LIMITS = {
+  similarSolutions: 5,
+  recommendations: 3,
+  risks: 3
+};
+
+// Below this word overlap between old and new description, an edit counts as material
+const MATERIAL_CHANGE_SIMILARITY = 0.8;
+
+const ANALYSIS_SCHEMA_DESCRIPTION = `{
+  "similarSolutions": ["solution1", "solution2", "solution3"],
+  "marketOpportunity": {
+    "score": 8,
+    "explanation": "Brief explanation of market potential"
+  },
+  "recommendations": ["recommendation1", "recommendation2", "recommendation3"],
+  "risks": ["risk1", "risk2", "risk3"]
+}`;
+
+// Stored when no AI provider is configured. `isFallback` marks it as a placeholder,
+// not something a model produced.
+const FALLBACK_ANALYSIS = {
+  similarSolutions: ['Market research needed'],
+  marketOpportunity: { score: 5, explanation: 'Analysis pending' },
+  recommendations: ['Conduct user research', 'Validate assumptions', 'Build MVP'],
+  risks: ['Market competition', 'Technical feasibility', 'User adoption'],
+  isFallback: true
+};
+
+class AnalysisValidationError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = 'AnalysisValidationError';
+    this.errors = errors;
+    // The repair round-trip already failed; asking again would only repeat two paid calls
+    this.retryable = false;
+  }
+}
+
+const buildAnalysisPrompt = (idea) => `Analyze this business idea and provide insights:
+
+    Title: ${idea.title}
+    Description: ${idea.description}
+    Tags: ${(idea.tags || []).join(', ')}
+
+    Please provide:
+    1. Similar existing solutions/competitors (max ${LIMITS.similarSolutions})
+    2. Market opportunity assessment (1-10 score with brief explanation)
+    3. Key recommendations (max ${LIMITS.recommendations})
+    4. Potential risks or challenges (max ${LIMITS.risks})
+
+    Respond with a JSON object in this exact format:
+    ${ANALYSIS_SCHEMA_DESCRIPTION}
+
+    DO NOT OUTPUT ANYTHING OTHER THAN VALID JSON.`;
+
+const buildRepairPrompt = (rawOutput, errors) => `The following output was supposed to be a JSON object
+matching this format:
+${ANALYSIS_SCHEMA_DESCRIPTION}
+
+Limits: similarSolutions has at most ${LIMITS.similarSolutions} entries, marketOpportunity.score is an
+integer from 1 to 10, recommendations and risks have at most ${LIMITS.recommendations} entries each.
+
+It has these problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Output:
+${rawOutput}
+
+Return only the corrected JSON object, keeping the original content wherever it is valid.`;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const validateStringList = (analysis, field, errors) => {
+  const value = analysis[field];
+  if (!Array.isArray(value) || value.length === 0) {
+    errors.push(`${field} must be a non-empty array of strings`);
+  } else if (value.length > LIMITS[field]) {
+    errors.push(`${field} must have at most ${LIMITS[field]} entries (got ${value.length})`);
+  } else if (!value.every(isNonEmptyString)) {
+    errors.push(`${field} must only contain non-empty strings`);
+  }
+};
+
+// Returns a list of problems; an empty list means the analysis is valid
+const validateAnalysis = (analysis) => {
+  if (!analysis || typeof analysis !== 'object' || Array.isArray(analysis)) {
+    return ['Analysis must be a JSON object'];
+  }
+
+  const errors = [];
+  validateStringList(analysis, 'similarSolutions', errors);
+  validateStringList(analysis, 'recommendations', errors);
+  validateStringList(analysis, 'risks', errors);
+
+  const opportunity = analysis.marketOpportunity;
+  if (!opportunity || typeof opportunity !== 'object') {
+    errors.push('marketOpportunity must be an object with score and explanation');
+  } else {
+    if (!Number.isInteger(opportunity.score) || opportunity.score < 1 || opportunity.score > 10) {
+      errors.push('marketOpportunity.score must be an integer from 1 to 10');
+    }
+    if (!isNonEmptyString(opportunity.explanation)) {
+      errors.push('marketOpportunity.explanation must be a non-empty string');
+    }
+  }
+
+  return errors;
+};
+
+// Parse raw model output into an analysis object, tolerating markdown code fences
+const parseAnalysis = (rawOutput) => {
+  const cleaned = rawOutput.replace(/```(?:json)?\n?/g, '').trim();
+
+  let analysis;
+  try {
+    analysis = JSON.parse(cleaned);
+  } catch (error) {
+    return { errors: [`Output is not valid JSON: ${error.message}`] };
+  }
+
+  const errors = validateAnalysis(analysis);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  // Keep only the schema fields so stray keys from the model aren't stored
+  return {
+    analysis: {
+      similarSolutions: analysis.similarSolutions,
+      marketOpportunity: {
+        score: analysis.marketOpportunity.score,
+        explanation: analysis.marketOpportunity.explanation
+      },
+      recommendations: analysis.recommendations,
+      risks: analysis.risks
+    }
+  };
+};
+
+const normalizeText = (text) => (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+const wordSet = (text) => new Set(normalizeText(text).split(' ').filter(Boolean));
+
+// Jaccard similarity of the two texts' word sets (1 = same words, 0 = nothing shared)
+const wordSimilarity = (a, b) => {
+  const wordsA = wordSet(a);
+  const wordsB = wordSet(b);
+  if (wordsA.size === 0 && wordsB.size === 0) return 1;
+
+  let shared = 0;
+  wordsA.forEach(word => { if (wordsB.has(word)) shared++; });
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+// Whether an edit changes the idea enough that its analysis is out of date. Any change to
+// the title's wording counts; typo fixes and small rewording of the description don't.
+const isMaterialChange = (before, after) => {
+  if (normalizeText(before.title) !== normalizeText(after.title)) {
+    return true;
+  }
+  return wordSimilarity(before.description, after.description) < MATERIAL_CHANGE_SIMILARITY;
+};
+
+// Ask the AI provider for an analysis, with one repair attempt on invalid output.
+// Resolves to { analysis, model, provider, promptVersion, repaired }; throws when the
+// provider fails or the repaired output is still invalid. `meter` is passed to the client.
+const requestAnalysis = async (idea, { meter } = {}) => {
+  const { providerName, model } = aiClient.getConfig();
+
+  const rawOutput = await aiClient.complete({ prompt: buildAnalysisPrompt(idea), maxTokens: 1000, task: 'analysis', meter });
+  let result = parseAnalysis(rawOutput);
+  let repaired = false;
+
+  if (result.errors) {
+    const repairedOutput = await aiClient.complete({
+      prompt: buildRepairPrompt(rawOutput, result.errors),
+      maxTokens: 1000,
+      task: 'analysis_repair',
+      meter
+    });
+    result = parseAnalysis(repairedOutput);
+    repaired = true;
+
+    if (result.errors) {
+      throw new AnalysisValidationError(`AI analysis failed validation: ${result.errors.join('; ')}`, result.errors);
+    }
+  }
+
+  return {
+    analysis: result.analysis,
+    model,
+    provider: providerName,
+    promptVersion: ANALYSIS_PROMPT_VERSION,
+    repaired
+  };
+};
+
+module.exports = {
+  ANALYSIS_PROMPT_VERSION,
+  FALLBACK_ANALYSIS,
+  AnalysisValidationError,
+  validateAnalysis,
+  parseAnalysis,
+  requestAnalysis,
+  isMaterialChange
+};
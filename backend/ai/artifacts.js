@@ -0,0 +1,182 @@
+// ai/artifacts.js - Per-phase deliverables generated by the AI provider
+// Every artifact is a JSON object of named sections, each a short list of strings, so one
+// validator and one editor cover all of them. Generated output gets one repair round-trip
+// when it doesn't validate, like the idea analysis.
+
+const aiClient = require('./client');
+
+const MAX_SECTION_ITEMS = 10;
+const MAX_ITEM_LENGTH = 500;
+
+// type -> { label, phaseIndex, instructions, sections: [{ key, label }] }
+const ARTIFACT_TYPES = {
+  lean_canvas: {
+    label: 'Lean Canvas',
+    phaseIndex: 1,
+    instructions: 'Fill in a Lean Canvas for this idea.',
+    sections: [
+      { key: 'problem', label: 'Problem' },
+      { key: 'customerSegments', label: 'Customer Segments' },
+      { key: 'uniqueValueProposition', label: 'Unique Value Proposition' },
+      { key: 'solution', label: 'Solution' },
+      { key: 'channels', label: 'Channels' },
+      { key: 'revenueStreams', label: 'Revenue Streams' },
+      { key: 'costStructure', label: 'Cost Structure' },
+      { key: 'keyMetrics', label: 'Key Metrics' },
+      { key: 'unfairAdvantage', label: 'Unfair Advantage' }
+    ]
+  },
+  business_model: {
+    label: 'Business Model & Revenue',
+    phaseIndex: 2,
+    instructions: 'Outline the business model and how this idea will make or save money.',
+    sections: [
+      { key: 'valueProposition', label: 'Value Proposition' },
+      { key: 'targetCustomers', label: 'Target Customers' },
+      { key: 'revenueStreams', label: 'Revenue Streams' },
+      { key: 'pricing', label: 'Pricing' },
+      { key: 'costs', label: 'Costs' },
+      { key: 'keyPartners', label: 'Key Partners' },
+      { key: 'milestones', label: 'Milestones' }
+    ]
+  },
+  mvp_scope: {
+    label: 'MVP Scope & Test Plan',
+    phaseIndex: 3,
+    instructions: 'Define the smallest version worth building and how it will be tested with users.',
+    sections: [
+      { key: 'mustHave', label: 'Must Have' },
+      { key: 'niceToHave', label: 'Nice to Have' },
+      { key: 'outOfScope', label: 'Out of Scope' },
+      { key: 'hypotheses', label: 'Hypotheses to Test' },
+      { key: 'testPlan', label: 'Test Plan' },
+      { key: 'successCriteria', label: 'Success Criteria' }
+    ]
+  },
+  launch_checklist: {
+    label: 'Launch Checklist',
+    phaseIndex: 4,
+    instructions: 'Write a launch checklist of concrete, checkable tasks.',
+    sections: [
+      { key: 'beforeLaunch', label: 'Before Launch' },
+      { key: 'launchDay', label: 'Launch Day' },
+      { key: 'afterLaunch', label: 'After Launch' },
+      { key: 'communications', label: 'Communications' },
+      { key: 'support', label: 'Support & Operations' }
+    ]
+  }
+};
+
+class ArtifactValidationError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = 'ArtifactValidationError';
+    this.errors = errors;
+  }
+}
+
+const describeSchema = (type) => JSON.stringify(
+  Object.fromEntries(ARTIFACT_TYPES[type].sections.map(section => [section.key, [`${section.label} item`, '...']])),
+  null,
+  2
+);
+
+// `context` is the idea description from ai/context.js
+const buildArtifactPrompt = (type, context) => `${ARTIFACT_TYPES[type].instructions}
+Base it on what the team has already worked out below, and keep every entry short and specific to this idea.
+
+${context}
+
+Respond with a JSON object in this exact format, with 1 to ${MAX_SECTION_ITEMS} entries per key:
+${describeSchema(type)}
+
+DO NOT OUTPUT ANYTHING OTHER THAN VALID JSON.`;
+
+const buildRepairPrompt = (type, rawOutput, errors) => `The following output was supposed to be a JSON object
+matching this format, with 1 to ${MAX_SECTION_ITEMS} strings per key:
+${describeSchema(type)}
+
+It has these problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Output:
+${rawOutput}
+
+Return only the corrected JSON object, keeping the original content wherever it is valid.`;
+
+// Returns a list of problems; an empty list means the content is valid. Used for both
+// generated and hand-edited artifacts.
+const validateArtifactContent = (type, content) => {
+  if (!content || typeof content !== 'object' || Array.isArray(content)) {
+    return ['Artifact content must be a JSON object'];
+  }
+
+  const errors = [];
+  ARTIFACT_TYPES[type].sections.forEach(({ key }) => {
+    const items = content[key];
+    if (!Array.isArray(items) || items.length === 0) {
+      errors.push(`${key} must be a non-empty array of strings`);
+    } else if (items.length > MAX_SECTION_ITEMS) {
+      errors.push(`${key} must have at most ${MAX_SECTION_ITEMS} entries (got ${items.length})`);
+    } else if (!items.every(item => typeof item === 'string' && item.trim().length > 0)) {
+      errors.push(`${key} must only contain non-empty strings`);
+    } else if (items.some(item => item.length > MAX_ITEM_LENGTH)) {
+      errors.push(`${key} entries must be at most ${MAX_ITEM_LENGTH} characters`);
+    }
+  });
+  return errors;
+};
+
+// Keep only the type's sections, trimmed, so stray keys aren't stored
+const normalizeArtifactContent = (type, content) => Object.fromEntries(
+  ARTIFACT_TYPES[type].sections.map(({ key }) => [key, content[key].map(item => item.trim())])
+);
+
+const parseArtifact = (type, rawOutput) => {
+  const cleaned = rawOutput.replace(/```(?:json)?\n?/g, '').trim();
+
+  let content;
+  try {
+    content = JSON.parse(cleaned);
+  } catch (error) {
+    return { errors: [`Output is not valid JSON: ${error.message}`] };
+  }
+
+  const errors = validateArtifactContent(type, content);
+  return errors.length > 0 ? { errors } : { content: normalizeArtifactContent(type, content) };
+};
+
+// Ask the AI provider for an artifact, with one repair attempt on invalid output.
+// Resolves to { content, model, provider }; throws when the provider fails or the repaired
+// output is still invalid. `meter` is passed to the client.
+const generateArtifact = async (type, context, { meter } = {}) => {
+  const { providerName, model } = aiClient.getConfig();
+  const task = `artifact:${type}`;
+
+  const rawOutput = await aiClient.complete({ prompt: buildArtifactPrompt(type, context), maxTokens: 1500, task, meter });
+  let result = parseArtifact(type, rawOutput);
+
+  if (result.errors) {
+    const repairedOutput = await aiClient.complete({
+      prompt: buildRepairPrompt(type, rawOutput, result.errors),
+      maxTokens: 1500,
+      task,
+      meter
+    });
+    result = parseArtifact(type, repairedOutput);
+
+    if (result.errors) {
+      throw new ArtifactValidationError(`AI artifact failed validation: ${result.errors.join('; ')}`, result.errors);
+    }
+  }
+
+  return { content: result.content, model, provider: providerName };
+};
+
+module.exports = {
+  ARTIFACT_TYPES,
+  ArtifactValidationError,
+  validateArtifactContent,
+  normalizeArtifactContent,
+  generateArtifact
+};
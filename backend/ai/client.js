@@ -0,0 +1,168 @@
+// ai/client.js - Server-side AI client
+// All LLM traffic goes through here so API keys never reach the browser. The provider
+// is picked with AI_PROVIDER (anthropic, openai or mock); see ai/providers/. Every call is
+// metered in ai_usage (see ai/usage.js).
+
+const { recordUsage, estimateTokens } = require('./usage');
+
+const providers = {
+  anthropic: require('./providers/anthropic'),
+  openai: require('./providers/openai'),
+  mock: require('./providers/mock')
+};
+
+const DEFAULT_PROVIDER = 'anthropic';
+const DEFAULT_TIMEOUT_MS = 30000;
+
+class AIClientError extends Error {
+  constructor(message, code, status) {
+    super(message);
+    this.name = 'AIClientError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Read settings on each call so tests and restarts with a new .env pick them up
+const getConfig = () => {
+  const providerName = (process.env.AI_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  const provider = providers[providerName];
+
+  return {
+    providerName,
+    provider,
+    model: process.env.AI_MODEL || provider?.defaultModel,
+    timeoutMs: parseInt(process.env.AI_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+  };
+};
+
+const isConfigured = () => {
+  const { provider } = getConfig();
+  return Boolean(provider && provider.isConfigured());
+};
+
+// getConfig(), throwing a not_configured AIClientError when the provider can't be used
+const getConfiguredProvider = () => {
+  const config = getConfig();
+
+  if (!config.provider) {
+    throw new AIClientError(`Unknown AI_PROVIDER "${config.providerName}"`, 'not_configured');
+  }
+
+  if (!config.provider.isConfigured()) {
+    throw new AIClientError(`AI provider "${config.providerName}" is not configured`, 'not_configured');
+  }
+
+  return config;
+};
+
+// Record a call, estimating whatever token counts the provider didn't report
+const meterCall = ({ meter, task, providerName, model, system, messages, text, usage }) => recordUsage({
+  userId: meter?.userId,
+  ideaId: meter?.ideaId,
+  feature: task || null,
+  provider: providerName,
+  model,
+  inputTokens: usage?.inputTokens ?? estimateTokens(`${system || ''}\n${messages.map(message => message.content).join('\n')}`),
+  outputTokens: usage?.outputTokens ?? estimateTokens(text),
+  estimated: !usage
+});
+
+// Send a prompt, or a whole conversation as `messages` ([{ role: 'user' | 'assistant', content }],
+// starting and ending with a user turn), and return the text of the reply. `task` names the
+// feature in usage reports ('analysis', 'assistant', ...) and lets the mock provider shape its
+// reply. `meter` ({ userId, ideaId }) says who the call is recorded against.
+const complete = async ({ prompt, messages, system, maxTokens = 1000, task, meter }) => {
+  const { providerName, provider, model, timeoutMs } = getConfiguredProvider();
+  const conversation = messages || [{ role: 'user', content: prompt }];
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const { text, usage } = await provider.complete({
+      messages: conversation,
+      system,
+      maxTokens,
+      model,
+      task,
+      signal: controller.signal
+    });
+    await meterCall({ meter, task, providerName, model, system, messages: conversation, text, usage });
+    return text;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new AIClientError(`AI request timed out after ${timeoutMs}ms`, 'timeout');
+    }
+    throw new AIClientError(error.message, 'api_error', error.status);
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+// Like complete(), but an async generator yielding the reply in chunks as the provider
+// produces them. Aborting `signal` (e.g. when the browser disconnects) cancels the upstream
+// request. The timeout applies to the wait for each chunk, so long replies aren't cut off.
+// Cancelled and timed-out replies are metered for what was produced before they stopped.
+async function* stream({ prompt, messages, system, maxTokens = 1000, task, signal, meter }) {
+  const { providerName, provider, model, timeoutMs } = getConfiguredProvider();
+  const conversation = messages || [{ role: 'user', content: prompt }];
+  let text = '';
+  let usage = null;
+
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+  signal?.addEventListener('abort', cancel);
+
+  let timedOut = false;
+  let timeout;
+  const restartTimeout = () => {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+
+  restartTimeout();
+  try {
+    const chunks = provider.stream({
+      messages: conversation,
+      system,
+      maxTokens,
+      model,
+      task,
+      signal: controller.signal
+    });
+    for await (const chunk of chunks) {
+      restartTimeout();
+      if (chunk.usage) {
+        usage = chunk.usage;
+      } else {
+        text += chunk.text;
+        yield chunk.text;
+      }
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw timedOut
+        ? new AIClientError(`AI request timed out after ${timeoutMs}ms`, 'timeout')
+        : new AIClientError('AI request was cancelled', 'cancelled');
+    }
+    throw new AIClientError(error.message, 'api_error', error.status);
+  } finally {
+    clearTimeout(timeout);
+    signal?.removeEventListener('abort', cancel);
+    if (text || usage) {
+      await meterCall({ meter, task, providerName, model, system, messages: conversation, text, usage });
+    }
+  }
+}
+
+module.exports = {
+  complete,
+  stream,
+  isConfigured,
+  getConfig,
+  AIClientError
+};
@@ -0,0 +1,94 @@
+// ai/context.js - Idea context for the AI assistant
+// The server loads everything about an idea from the database and this turns it into the
+// text the assistant sees, trimmed to a token budget so long discussions can't crowd out
+// the question. Sections are filled in priority order: the idea itself, its latest
+// analysis, workflow answers (current phase first), then the newest comments.
+
+const { estimateTokens } = require('./usage');
+
+const DEFAULT_TOKEN_BUDGET = 2000;
+
+// The description may use at most this share of the budget
+const DESCRIPTION_BUDGET_SHARE = 0.4;
+
+const getTokenBudget = () => parseInt(process.env.AI_CONTEXT_TOKEN_BUDGET) || DEFAULT_TOKEN_BUDGET;
+
+const truncateToTokens = (text, maxTokens) => {
+  const maxLength = maxTokens * 4;
+  return text.length <= maxLength ? text : `${text.slice(0, maxLength - 3).trimEnd()}...`;
+};
+
+const formatAnalysisLines = (analysis) => {
+  // The placeholder stored without a provider says nothing about the idea
+  if (!analysis || analysis.isFallback) {
+    return [];
+  }
+
+  return [
+    analysis.marketOpportunity &&
+      `Market opportunity: ${analysis.marketOpportunity.score}/10 - ${analysis.marketOpportunity.explanation}`,
+    analysis.similarSolutions?.length > 0 && `Similar solutions: ${analysis.similarSolutions.join(', ')}`,
+    analysis.recommendations?.length > 0 && `Recommendations: ${analysis.recommendations.join('; ')}`,
+    analysis.risks?.length > 0 && `Risks: ${analysis.risks.join('; ')}`
+  ].filter(Boolean);
+};
+
+const formatAnswer = (answer) => (Array.isArray(answer) ? answer.join(', ') : String(answer));
+
+// `answers` are { phaseIndex, question, answer } for answered workflow questions
+const formatAnswerLines = (answers, currentPhaseIndex, phases) => [...answers]
+  .sort((a, b) => {
+    // The current phase matters most, then the phases before it from newest to oldest
+    const distance = (answer) => Math.abs(currentPhaseIndex - answer.phaseIndex);
+    return distance(a) - distance(b) || b.phaseIndex - a.phaseIndex;
+  })
+  .map(answer => `[${phases[answer.phaseIndex]}] ${answer.question} -> ${formatAnswer(answer.answer)}`);
+
+// `comments` are { author, content }, newest first
+const formatCommentLines = (comments) => comments.map(comment => `${comment.author}: ${comment.content}`);
+
+// Build the assistant's context text.
+//   idea     - ideas row (title, description, phase, phase_index, tags, ai_analysis)
+//   answers  - answered workflow questions, see formatAnswerLines
+//   comments - recent comments, newest first
+//   phases   - phase names by index
+const buildIdeaContext = ({ idea, answers = [], comments = [], phases }, tokenBudget = getTokenBudget()) => {
+  let remaining = tokenBudget;
+  const sections = [];
+
+  const description = truncateToTokens(idea.description || '', Math.floor(tokenBudget * DESCRIPTION_BUDGET_SHARE));
+  const core = [
+    `Title: ${idea.title}`,
+    `Current Phase: ${idea.phase}`,
+    `Tags: ${(idea.tags || []).join(', ') || 'none'}`,
+    `Description: ${description}`
+  ].join('\n');
+  sections.push(core);
+  remaining -= estimateTokens(core);
+
+  // Keep whole lines while they fit; a section with no room left is dropped entirely
+  const addSection = (heading, lines) => {
+    const kept = [];
+    for (const line of lines) {
+      const cost = estimateTokens(line) + 1;
+      if (cost > remaining) break;
+      kept.push(line);
+      remaining -= cost;
+    }
+
+    if (kept.length > 0) {
+      const omitted = lines.length - kept.length;
+      sections.push(`${heading}:\n${kept.join('\n')}${omitted > 0 ? `\n(${omitted} more left out)` : ''}`);
+    }
+  };
+
+  addSection('Latest AI analysis', formatAnalysisLines(idea.ai_analysis));
+  addSection('Workflow answers', formatAnswerLines(answers, idea.phase_index || 0, phases));
+  addSection('Recent comments', formatCommentLines(comments));
+
+  return sections.join('\n\n');
+};
+
+module.exports = {
+  buildIdeaContext
+};
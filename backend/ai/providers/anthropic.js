@@ -0,0 +1,72 @@
+// ai/providers/anthropic.js - Anthropic Messages API
+
+const { readServerSentEvents } = require('./sse');
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+
+const request = async ({ messages, system, maxTokens, model, signal, stream = false }) => {
+  const response = await fetch(API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': process.env.ANTHROPIC_API_KEY,
+      'anthropic-version': API_VERSION
+    },
+    body: JSON.stringify({
+      model,
+      max_tokens: maxTokens,
+      ...(system && { system }),
+      messages,
+      ...(stream && { stream })
+    }),
+    signal
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Anthropic request failed with status ${response.status}: ${await response.text()}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response;
+};
+
+module.exports = {
+  name: 'anthropic',
+  defaultModel: 'claude-sonnet-4-20250514',
+
+  isConfigured: () => Boolean(process.env.ANTHROPIC_API_KEY),
+
+  complete: async (options) => {
+    const response = await request(options);
+    const data = await response.json();
+    return {
+      text: data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      usage: data.usage && { inputTokens: data.usage.input_tokens, outputTokens: data.usage.output_tokens }
+    };
+  },
+
+  stream: async function* (options) {
+    const response = await request({ ...options, stream: true });
+    const usage = { inputTokens: 0, outputTokens: 0 };
+
+    for await (const { data } of readServerSentEvents(response)) {
+      const event = JSON.parse(data);
+      if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        yield { text: event.delta.text };
+      } else if (event.type === 'message_start') {
+        usage.inputTokens = event.message.usage?.input_tokens || 0;
+      } else if (event.type === 'message_delta') {
+        usage.outputTokens = event.usage?.output_tokens || 0;
+      } else if (event.type === 'error') {
+        throw new Error(`Anthropic stream failed: ${event.error?.message || 'unknown error'}`);
+      }
+    }
+
+    yield { usage };
+  }
+};
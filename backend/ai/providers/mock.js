@@ -0,0 +1,99 @@
+// ai/providers/mock.js - Deterministic offline provider for development and tests
+// Replies are derived from a hash of the conversation, so the same input always gives
+// the same output and nothing touches the network.
+
+const crypto = require('crypto');
+
+const SOLUTIONS = ['Notion', 'Trello', 'Slack', 'Airtable', 'Zapier', 'Miro', 'Asana'];
+const RECOMMENDATIONS = [
+  'Interview ten potential users this month',
+  'Build a clickable prototype before writing code',
+  'Define one success metric for the pilot',
+  'Partner with an internal team for early feedback',
+  'Estimate the cost of the first version'
+];
+const RISKS = [
+  'Low adoption after launch',
+  'Overlap with existing internal tools',
+  'Unclear ownership once the pilot ends',
+  'Data privacy requirements',
+  'Integration effort with legacy systems'
+];
+
+const hash = (text) => crypto.createHash('sha256').update(text).digest();
+
+// Pick `count` distinct entries from `list`, starting at an offset taken from the hash
+const pick = (list, digest, offset, count) => {
+  const start = digest[offset] % list.length;
+  return Array.from({ length: count }, (_, i) => list[(start + i) % list.length]);
+};
+
+const mockAnalysis = (digest) => ({
+  similarSolutions: pick(SOLUTIONS, digest, 0, 3),
+  marketOpportunity: {
+    score: (digest[1] % 6) + 4,
+    explanation: 'Mock analysis: demand looks plausible but needs validation with real users.'
+  },
+  recommendations: pick(RECOMMENDATIONS, digest, 2, 3),
+  risks: pick(RISKS, digest, 3, 3)
+});
+
+// Two numbered entries per section of the requested artifact type ('artifact:<type>')
+const mockArtifact = (type, digest) => {
+  // Required lazily: ai/artifacts requires the client, which requires this provider
+  const { ARTIFACT_TYPES } = require('../artifacts');
+  return Object.fromEntries(ARTIFACT_TYPES[type].sections.map((section, index) => [
+    section.key,
+    [1, 2].map(n => `Mock ${section.label.toLowerCase()} #${(digest[index % digest.length] + n) % 100}`)
+  ]));
+};
+
+// Pause between streamed words, so the UI can be tried out as if a model were typing
+const STREAM_DELAY_MS = parseInt(process.env.MOCK_AI_STREAM_DELAY_MS) || 40;
+
+const reply = ({ messages, task }) => {
+  const digest = hash(messages.map(message => message.content).join('\n'));
+
+  if (task === 'analysis' || task === 'analysis_repair') {
+    return JSON.stringify(mockAnalysis(digest));
+  }
+
+  if (task?.startsWith('artifact:')) {
+    return JSON.stringify(mockArtifact(task.slice('artifact:'.length), digest));
+  }
+
+  return `(mock reply #${digest.readUInt16BE(0)}) Start by writing down the riskiest assumption ` +
+    'behind this idea and the cheapest experiment that would prove it wrong.';
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const abort = () => {
+    clearTimeout(timer);
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    reject(error);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', abort);
+    resolve();
+  }, ms);
+  if (signal?.aborted) return abort();
+  signal?.addEventListener('abort', abort, { once: true });
+});
+
+module.exports = {
+  name: 'mock',
+  defaultModel: 'mock',
+
+  isConfigured: () => true,
+
+  // No usage is reported, so the client's token estimate is metered
+  complete: async (options) => ({ text: reply(options) }),
+
+  stream: async function* (options) {
+    for (const word of reply(options).match(/\S+\s*/g)) {
+      await wait(STREAM_DELAY_MS, options.signal);
+      yield { text: word };
+    }
+  }
+};
@@ -0,0 +1,71 @@
+// ai/providers/openai.js - OpenAI-compatible chat completions API
+// Works with OpenAI itself and with self-hosted servers (vLLM, Ollama, LM Studio...)
+// that expose the same /chat/completions route. Set AI_BASE_URL for those.
+
+const { readServerSentEvents } = require('./sse');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+const getBaseUrl = () => (process.env.AI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+const toUsage = (usage) => usage && { inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens };
+
+const request = async ({ messages, system, maxTokens, model, signal, stream = false }) => {
+  const chatMessages = [
+    ...(system ? [{ role: 'system', content: system }] : []),
+    ...messages
+  ];
+
+  const response = await fetch(`${getBaseUrl()}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(process.env.OPENAI_API_KEY && { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` })
+    },
+    body: JSON.stringify({
+      model,
+      max_tokens: maxTokens,
+      messages: chatMessages,
+      // Usage arrives in a last chunk with no choices; servers without support just omit it
+      ...(stream && { stream, stream_options: { include_usage: true } })
+    }),
+    signal
+  });
+
+  if (!response.ok) {
+    const error = new Error(`OpenAI-compatible request failed with status ${response.status}: ${await response.text()}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response;
+};
+
+module.exports = {
+  name: 'openai',
+  defaultModel: 'gpt-4o-mini',
+
+  // Self-hosted servers usually don't need a key, so a base URL alone is enough
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY || process.env.AI_BASE_URL),
+
+  complete: async (options) => {
+    const response = await request(options);
+    const data = await response.json();
+    return {
+      text: data.choices[0]?.message?.content || '',
+      usage: toUsage(data.usage)
+    };
+  },
+
+  stream: async function* (options) {
+    const response = await request({ ...options, stream: true });
+
+    for await (const { data } of readServerSentEvents(response)) {
+      if (data === '[DONE]') return;
+      const chunk = JSON.parse(data);
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) yield { text };
+      if (chunk.usage) yield { usage: toUsage(chunk.usage) };
+    }
+  }
+};
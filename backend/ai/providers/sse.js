@@ -0,0 +1,33 @@
+// ai/providers/sse.js - Read a streamed HTTP response as Server-Sent Events
+// Both the Anthropic and OpenAI-compatible APIs stream replies this way.
+
+// Yields { event, data } for every event in the body; `event` is null when the stream
+// doesn't name its events
+async function* readServerSentEvents(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of response.body) {
+    // Events may end lines with \r\n; normalising the whole buffer also catches a \r\n
+    // split across two chunks
+    buffer = (buffer + decoder.decode(chunk, { stream: true })).replace(/\r\n/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = null;
+      const data = [];
+      for (const line of frame.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      }
+      if (data.length > 0) {
+        yield { event, data: data.join('\n') };
+      }
+    }
+  }
+}
+
+module.exports = { readServerSentEvents };
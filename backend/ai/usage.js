@@ -0,0 +1,128 @@
+// ai/usage.js - AI usage metering and token quotas
+// Every provider call is recorded in `ai_usage` with its token counts and estimated cost.
+// Quotas cap the tokens a user may spend per day and per month. The most specific setting
+// wins: a row in `ai_quotas` for the user, then one for their role, then the
+// AI_DAILY_TOKEN_LIMIT / AI_MONTHLY_TOKEN_LIMIT defaults (unset = unlimited).
+
+const { pool } = require('../db');
+
+// USD per million tokens. AI_PRICING (JSON, same shape) adds or overrides models.
+const DEFAULT_PRICING = {
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  mock: { input: 0, output: 0 }
+};
+
+// Rough count that holds for English text across providers (about four characters a token);
+// used when a provider doesn't report usage
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const getPricing = () => {
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(process.env.AI_PRICING || '{}') };
+  } catch (error) {
+    console.error('Invalid AI_PRICING, using default prices:', error.message);
+    return DEFAULT_PRICING;
+  }
+};
+
+// Null when the model has no known price
+const estimateCost = (model, inputTokens, outputTokens) => {
+  const price = getPricing()[model];
+  if (!price) {
+    return null;
+  }
+  return (inputTokens * price.input + outputTokens * price.output) / 1000000;
+};
+
+// Metering is a side effect of the AI call, so failures are logged rather than thrown
+const recordUsage = async ({ userId = null, ideaId = null, feature, provider, model, inputTokens, outputTokens, estimated }) => {
+  try {
+    await pool.query(
+      `INSERT INTO ai_usage (user_id, idea_id, feature, provider, model, input_tokens, output_tokens, is_estimated, cost_usd)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [userId, ideaId, feature, provider, model, inputTokens, outputTokens, estimated, estimateCost(model, inputTokens, outputTokens)]
+    );
+  } catch (error) {
+    console.error('Record AI usage error:', error);
+  }
+};
+
+const parseLimit = (value) => {
+  const limit = parseInt(value);
+  return Number.isNaN(limit) ? null : limit;
+};
+
+// Resolves to { daily, monthly, source } where a null limit means unlimited
+const getQuotaLimits = async (user) => {
+  const result = await pool.query(
+    `SELECT * FROM ai_quotas WHERE user_id = $1 OR role = $2
+     ORDER BY user_id IS NULL`,
+    [user.id, user.role]
+  );
+
+  if (result.rows.length > 0) {
+    const row = result.rows[0];
+    return {
+      daily: row.daily_token_limit,
+      monthly: row.monthly_token_limit,
+      source: row.user_id ? 'user' : 'role'
+    };
+  }
+
+  return {
+    daily: parseLimit(process.env.AI_DAILY_TOKEN_LIMIT),
+    monthly: parseLimit(process.env.AI_MONTHLY_TOKEN_LIMIT),
+    source: 'default'
+  };
+};
+
+// Tokens the user spent today and this month next to their limits
+const getQuotaStatus = async (user) => {
+  const [limits, usageResult] = await Promise.all([
+    getQuotaLimits(user),
+    pool.query(`
+      SELECT
+        COALESCE(SUM(input_tokens + output_tokens) FILTER (WHERE created_at >= date_trunc('day', CURRENT_TIMESTAMP)), 0) as daily,
+        COALESCE(SUM(input_tokens + output_tokens), 0) as monthly
+      FROM ai_usage
+      WHERE user_id = $1 AND created_at >= date_trunc('month', CURRENT_TIMESTAMP)
+    `, [user.id])
+  ]);
+
+  const usage = usageResult.rows[0];
+  return {
+    daily: { used: parseInt(usage.daily), limit: limits.daily },
+    monthly: { used: parseInt(usage.monthly), limit: limits.monthly },
+    source: limits.source
+  };
+};
+
+// Resolves to null while the user is within quota, otherwise to { message, status } for a 429
+const checkQuota = async (user) => {
+  const status = await getQuotaStatus(user);
+  const format = (tokens) => tokens.toLocaleString('en-US');
+
+  if (status.daily.limit !== null && status.daily.used >= status.daily.limit) {
+    return {
+      message: `You have used your daily AI allowance (${format(status.daily.used)} of ${format(status.daily.limit)} tokens). It resets tomorrow.`,
+      status
+    };
+  }
+
+  if (status.monthly.limit !== null && status.monthly.used >= status.monthly.limit) {
+    return {
+      message: `You have used your monthly AI allowance (${format(status.monthly.used)} of ${format(status.monthly.limit)} tokens). It resets at the start of next month.`,
+      status
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  estimateTokens,
+  recordUsage,
+  getQuotaStatus,
+  checkQuota
+};
@@ -0,0 +1,83 @@
+// audit.js - Audit trail in `activity_logs`
+// auditRequests() is mounted once in front of the API and records every successful
+// mutating request (POST, PUT, PATCH, DELETE) after the route has answered, so a new route
+// is audited without having to remember it. Routes use auditLog() to give their entry a
+// readable action name and details, to keep failures too (failed logins), or to opt out
+// with auditLog(null). Work done outside a request, such as background jobs, calls
+// recordActivity() directly.
+
+const { pool } = require('./db');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Auditing is a side effect of the request, so failures are logged rather than thrown
+const recordActivity = async ({ userId = null, ideaId = null, action, details = null, ipAddress = null, userAgent = null }) => {
+  try {
+    await pool.query(
+      `INSERT INTO activity_logs (user_id, idea_id, action, details, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [userId, ideaId, action, details && JSON.stringify(details), ipAddress, userAgent]
+    );
+  } catch (error) {
+    console.error('Record activity error:', error);
+  }
+};
+
+// Route-level settings for auditRequests(); `action` null skips the route.
+//   describe(req, body, res) - optional, may be async; returns { userId, ideaId, details }
+//                              for the entry. `body` is what the route sent with res.json;
+//                              anything the handler needs to hand over can go on res.locals.
+//   failureAction            - recorded for 4xx responses instead of skipping them
+const auditLog = (action, { describe, failureAction } = {}) => (req, res, next) => {
+  res.locals.audit = { action, describe, failureAction };
+  next();
+};
+
+// Without route settings an entry is named after the route, e.g. "POST /api/ideas/:id/comments"
+const defaultAudit = (req) => ({
+  action: `${req.method} ${req.baseUrl}${req.route.path}`,
+  describe: () => (Object.keys(req.params).length > 0 ? { details: { params: req.params } } : {})
+});
+
+// By default an entry gets the signed-in user and the idea requireIdeaPermission loaded, if any
+const auditRequests = () => (req, res, next) => {
+  const json = res.json.bind(res);
+  let body = null;
+  res.json = (payload) => {
+    body = payload;
+    return json(payload);
+  };
+
+  res.on('finish', async () => {
+    // Requests that matched no route (404s) have nothing to describe
+    if (!req.route) return;
+
+    const settings = res.locals.audit || (MUTATING_METHODS.includes(req.method) ? defaultAudit(req) : null);
+    if (!settings || !settings.action) return;
+
+    const failed = res.statusCode >= 400;
+    if (failed && !(settings.failureAction && res.statusCode < 500)) return;
+
+    try {
+      const described = settings.describe ? await settings.describe(req, body, res) : {};
+      await recordActivity({
+        userId: req.user?.id ?? null,
+        ideaId: req.ideaAccess?.idea.id ?? null,
+        ...described,
+        action: failed ? settings.failureAction : settings.action,
+        ipAddress: req.ip || null,
+        userAgent: req.get('user-agent') || null
+      });
+    } catch (error) {
+      console.error('Audit log error:', error);
+    }
+  });
+
+  next();
+};
+
+module.exports = {
+  recordActivity,
+  auditLog,
+  auditRequests
+};
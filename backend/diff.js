@@ -0,0 +1,78 @@
+// diff.js - Word-level diffs between two versions of an idea's text
+// Text is split into words and the whitespace between them, and the longest common
+// subsequence of those tokens decides what was kept, removed or added. Runs of the same
+// kind are merged so the result reads as a handful of spans rather than single words.
+
+// Above this many token pairs the LCS table gets too big to build per request; the diff
+// then degrades to "everything removed, everything added"
+const MAX_DIFF_CELLS = 4000000;
+
+const tokenize = (text) => (text || '').split(/(\s+)/).filter(token => token.length > 0);
+
+// Append a span, merging it into the previous one when they are the same kind
+const pushSpan = (spans, type, text) => {
+  const last = spans[spans.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    spans.push({ type, text });
+  }
+};
+
+// Returns [{ type: 'equal' | 'removed' | 'added', text }] turning `before` into `after`
+const diffText = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const spans = [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    if (a.length > 0) pushSpan(spans, 'removed', a.join(''));
+    if (b.length > 0) pushSpan(spans, 'added', b.join(''));
+    return spans;
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pushSpan(spans, 'equal', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      pushSpan(spans, 'removed', a[i++]);
+    } else {
+      pushSpan(spans, 'added', b[j++]);
+    }
+  }
+  while (i < a.length) pushSpan(spans, 'removed', a[i++]);
+  while (j < b.length) pushSpan(spans, 'added', b[j++]);
+
+  return spans;
+};
+
+// Tags are a set, so they diff as what was added and what was removed
+const diffTags = (before, after) => ({
+  added: (after || []).filter(tag => !(before || []).includes(tag)),
+  removed: (before || []).filter(tag => !(after || []).includes(tag))
+});
+
+// Diff two idea revisions ({ title, description, tags })
+const diffRevisions = (from, to) => ({
+  title: diffText(from.title, to.title),
+  description: diffText(from.description, to.description),
+  tags: diffTags(from.tags, to.tags)
+});
+
+module.exports = {
+  diffRevisions
+};
@@ -0,0 +1,142 @@
+// jobs/queue.js - Postgres-backed background job queue
+// Jobs live in the `jobs` table. Workers claim them with FOR UPDATE SKIP LOCKED so several
+// server instances can share one queue, and failed jobs are retried with exponential backoff.
+
+const { pool } = require('../db');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const BASE_BACKOFF_MS = parseInt(process.env.JOB_BACKOFF_MS) || 5000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+// A job still `running` after this long belonged to a worker that died; pick it up again
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+// type -> { run(payload, job), onFailed(payload, error, job) }
+const handlers = {};
+
+let pollTimer = null;
+let working = false;
+
+// Errors flagged `retryable = false` (bad input, missing config) fail the job straight away
+class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+    this.retryable = false;
+  }
+}
+
+const registerHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+const enqueue = async (type, payload = {}, { maxAttempts = 5, client = pool } = {}) => {
+  const result = await client.query(
+    'INSERT INTO jobs (type, payload, max_attempts) VALUES ($1, $2, $3) RETURNING *',
+    [type, JSON.stringify(payload), maxAttempts]
+  );
+
+  // Don't wait for the next poll when this process has a worker running. A job enqueued
+  // inside a transaction may not be committed yet; the next poll picks it up then.
+  if (pollTimer) {
+    setImmediate(drain);
+  }
+
+  return result.rows[0];
+};
+
+// Claim the oldest runnable job, or return null when there is nothing to do
+const claimNext = async () => {
+  const result = await pool.query(`
+    UPDATE jobs
+    SET status = 'running', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = (
+      SELECT id FROM jobs
+      WHERE (status = 'queued' AND run_at <= CURRENT_TIMESTAMP)
+         OR (status = 'running' AND locked_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 millisecond')
+      ORDER BY run_at ASC, id ASC
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING *
+  `, [STALE_LOCK_MS]);
+
+  return result.rows[0] || null;
+};
+
+const backoffMs = (attempts) => Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+const runJob = async (job) => {
+  const handler = handlers[job.type];
+
+  try {
+    if (!handler) {
+      throw new PermanentJobError(`No handler registered for job type "${job.type}"`);
+    }
+
+    await handler.run(job.payload, job);
+    await pool.query(
+      `UPDATE jobs SET status = 'done', last_error = NULL, locked_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [job.id]
+    );
+  } catch (error) {
+    const willRetry = error.retryable !== false && job.attempts < job.max_attempts;
+
+    if (willRetry) {
+      console.error(`Job ${job.id} (${job.type}) attempt ${job.attempts} failed, retrying:`, error.message);
+      await pool.query(
+        `UPDATE jobs
+         SET status = 'queued', last_error = $1, locked_at = NULL,
+             run_at = CURRENT_TIMESTAMP + $2 * INTERVAL '1 millisecond', updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [error.message, backoffMs(job.attempts), job.id]
+      );
+      return;
+    }
+
+    console.error(`Job ${job.id} (${job.type}) failed permanently:`, error.message);
+    await pool.query(
+      `UPDATE jobs SET status = 'failed', last_error = $1, locked_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+      [error.message, job.id]
+    );
+
+    if (handler?.onFailed) {
+      await handler.onFailed(job.payload, error, job);
+    }
+  }
+};
+
+// Work through every runnable job, one at a time
+const drain = async () => {
+  if (working) return;
+  working = true;
+
+  try {
+    let job;
+    while ((job = await claimNext())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('Job worker error:', error);
+  } finally {
+    working = false;
+  }
+};
+
+const startWorker = () => {
+  if (pollTimer) return;
+  pollTimer = setInterval(drain, POLL_INTERVAL_MS);
+  drain();
+};
+
+const stopWorker = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  startWorker,
+  stopWorker,
+  PermanentJobError
+};
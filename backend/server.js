@@ -5,18 +5,21 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { Pool } = require('pg');
 require('dotenv').config();
+const { pool, withTransaction } = require('./db');
+const { createSimilarityIndex, DUPLICATE_SCORE } = require('./similarity');
+const { diffRevisions } = require('./diff');
+const { auditLog, auditRequests, recordActivity } = require('./audit');
+const aiClient = require('./ai/client');
+const aiUsage = require('./ai/usage');
+const { requestAnalysis, isMaterialChange, FALLBACK_ANALYSIS, ANALYSIS_PROMPT_VERSION } = require('./ai/analysis');
+const { buildIdeaContext } = require('./ai/context');
+const { ARTIFACT_TYPES, validateArtifactContent, normalizeArtifactContent, generateArtifact } = require('./ai/artifacts');
+const jobQueue = require('./jobs/queue');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Database connection
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
-
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -30,7 +33,12 @@ const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100 // limit each IP to 100 requests per windowMs
 });
-app.use('/api/', limiter);
+// The event stream reconnects on its own (and on every sign-in), so counting it here would
+// use up the budget of normal API calls
+app.use('/api/', (req, res, next) => (req.path.startsWith('/events') ? next() : limiter(req, res, next)));
+
+// Audit trail for every successful change made through the API (see audit.js)
+app.use('/api/', auditRequests());
 
 // AI API rate limiting (more restrictive)
 const aiLimiter = rateLimit({
@@ -38,7 +46,42 @@ const aiLimiter = rateLimit({
   max: 10 // limit each IP to 10 AI requests per minute
 });
 
+// Per-user AI token quotas (see ai/usage.js); runs after authenticateToken
+const requireAIQuota = async (req, res, next) => {
+  try {
+    const exceeded = await aiUsage.checkQuota(req.user);
+    if (exceeded) {
+      return res.status(429).json({ message: exceeded.message, quota: exceeded.status });
+    }
+    next();
+  } catch (error) {
+    console.error('AI quota check error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Collaborator roles and the permissions each role gets unless the owner overrides them
+const COLLABORATOR_PERMISSIONS = ['view', 'comment', 'edit', 'manage_collaborators'];
+const COLLABORATOR_ROLES = {
+  contributor: ['view', 'comment', 'edit'],
+  'co-owner': ['view', 'comment', 'edit', 'manage_collaborators'],
+  advisor: ['view', 'comment']
+};
+
+// Idea workflow phases, indexed by ideas.phase_index
+const PHASES = ['Idea Spark', 'Research & Validate', 'Plan & Strategy', 'Build & Test', 'Launch Ready'];
+
 // JWT Authentication Middleware
+// Verify a session token from the Authorization header. Single-purpose tokens (see the
+// event stream tickets) are rejected, so they can't stand in for a session.
+const verifySessionToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose) {
+    throw new Error(`A ${decoded.purpose} token is not a session token`);
+  }
+  return decoded;
+};
+
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
@@ -48,7 +91,7 @@ const authenticateToken = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifySessionToken(token);
     const result = await pool.query('SELECT * FROM users WHERE id = $1', [decoded.userId]);
     
     if (result.rows.length === 0) {
@@ -62,6 +105,24 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Optional Authentication Middleware - sets req.user when a valid token is sent and lets
+// guests (and expired tokens) through as anonymous, for routes that also serve the public
+const optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (token) {
+    try {
+      const decoded = verifySessionToken(token);
+      const result = await pool.query('SELECT * FROM users WHERE id = $1', [decoded.userId]);
+      req.user = result.rows[0];
+    } catch (error) {
+      req.user = undefined;
+    }
+  }
+  next();
+};
+
 // Admin Authentication Middleware
 const requireAdmin = (req, res, next) => {
   if (req.user.role !== 'admin') {
@@ -70,115 +131,421 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
-// AI Service Integration
-const getAIAnalysis = async (idea) => {
+// Mentor Authentication Middleware (admins can do everything mentors can)
+const requireMentor = (req, res, next) => {
+  if (!['mentor', 'admin'].includes(req.user.role)) {
+    return res.status(403).json({ message: 'Mentor access required' });
+  }
+  next();
+};
+
+// Who can see an idea besides its author and admins:
+//   private       - nobody else
+//   collaborators - accepted collaborators
+//   organization  - every signed-in user
+//   public        - everyone, including guests
+const IDEA_VISIBILITIES = ['private', 'collaborators', 'organization', 'public'];
+const USER_ROLES = ['employee', 'mentor', 'admin'];
+
+// An id sent by the client (a route param, or a number or numeric string in the body) as an
+// integer, or null when it can't be a SERIAL id
+const MAX_SERIAL_ID = 2147483647;
+const parseId = (value) => {
+  const id = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+  return Number.isInteger(id) && id > 0 && id <= MAX_SERIAL_ID ? id : null;
+};
+
+// Tags are stored as a JSON array of strings; tag filters and the similarity index rely on it
+const isTagList = (tags) => Array.isArray(tags) && tags.every(tag => typeof tag === 'string');
+
+// What signed-in users outside the idea's team may do with it, by visibility
+const OUTSIDER_PERMISSIONS = {
+  private: [],
+  collaborators: [],
+  organization: ['view', 'comment'],
+  public: ['view', 'comment']
+};
+
+// SQL condition matching the ideas (aliased `i`) a user may see. `userParam` is the
+// placeholder for their id (NULL for guests), `isAdminParam` for whether they are an admin.
+const visibleIdeaCondition = (userParam, isAdminParam) => `(
+  i.visibility = 'public'
+  OR (${userParam}::integer IS NOT NULL AND (
+    i.visibility = 'organization' OR i.author_id = ${userParam} OR ${isAdminParam}
+    OR (i.visibility = 'collaborators' AND EXISTS (
+      SELECT 1 FROM collaborations vc
+      WHERE vc.idea_id = i.id AND vc.user_id = ${userParam} AND vc.status = 'accepted'
+    ))
+  ))
+)`;
+
+// Load an idea with the requesting user's role on it and the permissions that role grants:
+// the author and admins hold every permission, accepted collaborators hold what their
+// collaboration row grants (except on private ideas). `user` is undefined for guests, who
+// may only view public ideas.
+const getIdeaAccess = async (ideaId, user) => {
+  const ideaResult = await pool.query('SELECT * FROM ideas WHERE id = $1', [ideaId]);
+  if (ideaResult.rows.length === 0) {
+    return null;
+  }
+
+  const idea = ideaResult.rows[0];
+  if (!user) {
+    const permissions = idea.visibility === 'public' ? ['view'] : [];
+    return { idea, isAuthor: false, role: null, permissions, can: (permission) => permissions.includes(permission) };
+  }
+
+  const isAuthor = idea.author_id === user.id;
+  let role = null;
+  let permissions = OUTSIDER_PERMISSIONS[idea.visibility] || [];
+
+  if (isAuthor) {
+    role = 'owner';
+    permissions = COLLABORATOR_PERMISSIONS;
+  } else {
+    const collabResult = await pool.query(
+      'SELECT role, permissions FROM collaborations WHERE idea_id = $1 AND user_id = $2 AND status = $3',
+      [idea.id, user.id, 'accepted']
+    );
+    if (collabResult.rows.length > 0 && idea.visibility !== 'private') {
+      role = collabResult.rows[0].role;
+      permissions = Array.from(new Set([...permissions, ...(collabResult.rows[0].permissions || [])]));
+    }
+    if (user.role === 'admin') {
+      role = role || 'admin';
+      permissions = COLLABORATOR_PERMISSIONS;
+    }
+  }
+
+  return { idea, isAuthor, role, permissions, can: (permission) => permissions.includes(permission) };
+};
+
+// The idea's author and accepted collaborators
+const getIdeaTeamIds = async (idea) => {
+  const result = await pool.query(
+    `SELECT user_id FROM collaborations WHERE idea_id = $1 AND status = 'accepted'`,
+    [idea.id]
+  );
+  return [idea.author_id, ...result.rows.map(row => row.user_id)];
+};
+
+const PERMISSION_DENIED_MESSAGES = {
+  view: 'You do not have access to this idea',
+  comment: 'You do not have permission to comment on this idea',
+  edit: 'You do not have permission to edit this idea',
+  manage_collaborators: 'You do not have permission to manage collaborators on this idea'
+};
+
+// Idea Permission Middleware - loads req.ideaAccess for :id and requires the given permission
+const requireIdeaPermission = (permission) => async (req, res, next) => {
   try {
-    const prompt = `Analyze this business idea and provide insights:
-    
-    Title: ${idea.title}
-    Description: ${idea.description}
-    Tags: ${idea.tags?.join(', ')}
-    
-    Please provide:
-    1. Similar existing solutions/competitors (max 5)
-    2. Market opportunity assessment (1-10 score with brief explanation)
-    3. Key recommendations (max 3)
-    4. Potential risks or challenges (max 3)
-    
-    Respond with a JSON object in this exact format:
-    {
-      "similarSolutions": ["solution1", "solution2", "solution3"],
-      "marketOpportunity": {
-        "score": 8,
-        "explanation": "Brief explanation of market potential"
-      },
-      "recommendations": ["recommendation1", "recommendation2", "recommendation3"],
-      "risks": ["risk1", "risk2", "risk3"]
+    const access = await getIdeaAccess(req.params.id, req.user);
+    if (!access) {
+      return res.status(404).json({ message: 'Idea not found' });
     }
-    
-    DO NOT OUTPUT ANYTHING OTHER THAN VALID JSON.`;
 
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 1000,
-        messages: [{ role: "user", content: prompt }]
-      })
-    });
+    if (!access.can(permission)) {
+      return res.status(403).json({ message: PERMISSION_DENIED_MESSAGES[permission] });
+    }
+
+    req.ideaAccess = access;
+    next();
+  } catch (error) {
+    console.error('Idea permission check error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Connected /api/events streams; each entry is { res, userId, role } (userId and role are
+// null for guests)
+const eventClients = new Set();
 
-    if (!response.ok) {
-      throw new Error('AI analysis failed');
+// Push a Server-Sent Event to every open stream, only to one user's streams, or to the
+// streams `canReceive(client)` accepts
+const broadcastEvent = (type, payload, { userId, canReceive } = {}) => {
+  const frame = `event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+  for (const client of eventClients) {
+    if ((userId === undefined || client.userId === userId) && (!canReceive || canReceive(client))) {
+      client.res.write(frame);
     }
+  }
+};
 
-    const data = await response.json();
-    let responseText = data.content[0].text;
-    
-    // Clean up the response
-    responseText = responseText.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
-    
-    const analysis = JSON.parse(responseText);
-    return analysis;
-  } catch (error) {
-    console.error('AI Analysis Error:', error);
-    // Return fallback analysis
-    return {
-      similarSolutions: ['Market research needed'],
-      marketOpportunity: { score: 5, explanation: 'Analysis pending' },
-      recommendations: ['Conduct user research', 'Validate assumptions', 'Build MVP'],
-      risks: ['Market competition', 'Technical feasibility', 'User adoption']
-    };
+// Push an event about an idea only to the streams allowed to see that idea
+const broadcastIdeaEvent = async (ideaId, type, payload) => {
+  const ideaResult = await pool.query('SELECT id, author_id, visibility FROM ideas WHERE id = $1', [ideaId]);
+  if (ideaResult.rows.length === 0) {
+    return;
+  }
+
+  const idea = ideaResult.rows[0];
+  if (idea.visibility === 'public') {
+    broadcastEvent(type, payload);
+    return;
   }
+
+  const teamIds = idea.visibility === 'private' ? [idea.author_id] : await getIdeaTeamIds(idea);
+  broadcastEvent(type, payload, {
+    canReceive: (client) => client.userId !== null && (
+      idea.visibility === 'organization' || client.role === 'admin' || teamIds.includes(client.userId)
+    )
+  });
 };
 
-const askAIAssistant = async (question, ideaContext) => {
+const formatNotification = (row) => ({
+  id: row.id,
+  type: row.type,
+  title: row.title,
+  message: row.message,
+  data: row.data || {},
+  isRead: row.is_read,
+  createdAt: new Date(row.created_at).toLocaleString()
+});
+
+// Record an in-app notification. Notifications are a side effect of the action that
+// triggered them, so failures are logged rather than failing the request.
+const createNotification = async ({ userId, actorId, type, title, message, data = {} }) => {
+  if (!userId || userId === actorId) {
+    return;
+  }
+
   try {
-    const prompt = `You are an AI business advisor helping with idea development.
-    
+    const result = await pool.query(
+      'INSERT INTO notifications (user_id, type, title, message, data) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+      [userId, type, title, message, JSON.stringify(data)]
+    );
+    broadcastEvent('notification', formatNotification(result.rows[0]), { userId });
+  } catch (error) {
+    console.error('Create notification error:', error);
+  }
+};
+
+// AI Service Integration
+
+// How many earlier messages of a thread are sent along with a new question
+const ASSISTANT_HISTORY_MESSAGES = 12;
+
+// How many of an idea's newest comments the AI gets to see
+const IDEA_CONTEXT_COMMENTS = 10;
+
+// Everything the AI is told about an idea (assistant answers, phase artifacts) is loaded
+// here, never taken from the client
+const loadIdeaContext = async (idea) => {
+  const [answersResult, commentsResult] = await Promise.all([
+    pool.query(`
+      SELECT q.phase_index, q.question, q.question_type, a.answer
+      FROM workflow_answers a
+      JOIN workflow_questions q ON a.question_id = q.id
+      WHERE a.idea_id = $1 AND a.answer IS NOT NULL AND a.answer <> ''
+      ORDER BY q.phase_index, q.order_index, q.id
+    `, [idea.id]),
+    pool.query(`
+      SELECT c.content, u.name as author FROM comments c
+      JOIN users u ON c.user_id = u.id
+      WHERE c.idea_id = $1
+      ORDER BY c.created_at DESC
+      LIMIT $2
+    `, [idea.id, IDEA_CONTEXT_COMMENTS])
+  ]);
+
+  const answers = answersResult.rows
+    .map(row => ({
+      phaseIndex: row.phase_index,
+      question: row.question,
+      answer: parseAnswerValue(row.question_type, row.answer)
+    }))
+    .filter(row => row.answer.length > 0);
+
+  return buildIdeaContext({ idea, answers, comments: commentsResult.rows, phases: PHASES });
+};
+
+// `context` comes from loadIdeaContext; `history` holds the thread's earlier turns as
+// { role, content }, oldest first. With `onToken` the reply is streamed and each chunk is
+// passed to it as it arrives. `meter` says whose usage the call is recorded against.
+const askAIAssistant = async (question, context, history = [], { onToken, signal, meter } = {}) => {
+  const system = `You are an AI business advisor helping with idea development.
+
     Idea Context:
-    Title: ${ideaContext.title}
-    Description: ${ideaContext.description}
-    Current Phase: ${ideaContext.phase}
-    
-    User Question: ${question}
-    
+    ${context.replace(/\n(?=.)/g, '\n    ')}
+
     Provide a helpful, actionable response in a conversational tone. Keep it concise but informative.`;
 
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 500,
-        messages: [{ role: "user", content: prompt }]
-      })
-    });
+  const request = {
+    system,
+    messages: [...history, { role: 'user', content: question }],
+    maxTokens: 500,
+    task: 'assistant',
+    meter
+  };
+
+  if (!onToken) {
+    return aiClient.complete(request);
+  }
+
+  let response = '';
+  for await (const text of aiClient.stream({ ...request, signal })) {
+    response += text;
+    onToken(text);
+  }
+  return response;
+};
+
+// Each user has a private assistant thread per idea; the idea's team also shares one
+const CONVERSATION_THREADS = ['private', 'shared'];
+
+// The shared thread belongs to the author, accepted collaborators and admins
+const canUseSharedThread = (access) => access.role !== null;
+
+const formatConversationMessage = (row) => ({
+  id: row.id,
+  role: row.role,
+  content: row.content,
+  author: row.author_name || null,
+  authorId: row.author_id,
+  createdAt: new Date(row.created_at).toLocaleString()
+});
+
+// Find the conversation behind a thread (ownerId null = the shared thread), creating it on first use
+const getConversationId = async (ideaId, ownerId) => {
+  const findConversation = () => pool.query(
+    'SELECT id FROM ai_conversations WHERE idea_id = $1 AND user_id IS NOT DISTINCT FROM $2',
+    [ideaId, ownerId]
+  );
+
+  const existing = await findConversation();
+  if (existing.rows.length > 0) {
+    return existing.rows[0].id;
+  }
+
+  // Two first questions can race here; the unique indexes keep a single row
+  const inserted = await pool.query(
+    'INSERT INTO ai_conversations (idea_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING RETURNING id',
+    [ideaId, ownerId]
+  );
+  return inserted.rows.length > 0 ? inserted.rows[0].id : (await findConversation()).rows[0].id;
+};
+
+const getConversationMessages = async (ideaId, ownerId) => {
+  const result = await pool.query(`
+    SELECT m.*, u.name as author_name FROM ai_messages m
+    JOIN ai_conversations c ON m.conversation_id = c.id
+    LEFT JOIN users u ON m.author_id = u.id
+    WHERE c.idea_id = $1 AND c.user_id IS NOT DISTINCT FROM $2
+    ORDER BY m.created_at ASC, m.id ASC
+  `, [ideaId, ownerId]);
+  return result.rows.map(formatConversationMessage);
+};
+
+// Record an idea's analysis progress and push it to clients
+const setAnalysisStatus = async (ideaId, status) => {
+  await pool.query('UPDATE ideas SET analysis_status = $1 WHERE id = $2', [status, ideaId]);
+  await broadcastIdeaEvent(ideaId, 'idea:updated', { idea: { id: ideaId, analysisStatus: status } });
+};
+
+// Store a finished analysis as the idea's current one and append it to idea_analyses
+const saveAnalysis = async (ideaId, { analysis, provider, model, promptVersion, repaired = false }) => {
+  const isFallback = Boolean(analysis.isFallback);
+
+  await withTransaction(async (client) => {
+    await client.query(
+      `INSERT INTO idea_analyses (idea_id, analysis, provider, model, prompt_version, is_fallback, repaired)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [ideaId, JSON.stringify(analysis), provider, model, promptVersion, isFallback, repaired]
+    );
+    await client.query(
+      `UPDATE ideas SET analysis_status = 'done', ai_analysis = $1 WHERE id = $2`,
+      [JSON.stringify(analysis), ideaId]
+    );
+  });
 
-    if (!response.ok) {
-      throw new Error('AI assistant failed');
+  await broadcastIdeaEvent(ideaId, 'idea:updated', { idea: { id: ideaId, analysisStatus: 'done', aiAnalysis: analysis } });
+};
+
+// Queue a background analysis unless one is already waiting or running for the idea.
+// `userId` is who asked for it, so its AI usage counts against them. Returns false when
+// nothing new was queued. The status and the job are written together, so an idea can't be
+// left 'queued' without a job to run it.
+const queueAnalysis = async (ideaId, userId) => {
+  const queued = await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE ideas SET analysis_status = 'queued'
+       WHERE id = $1 AND analysis_status IS DISTINCT FROM 'queued' AND analysis_status IS DISTINCT FROM 'running'
+       RETURNING id`,
+      [ideaId]
+    );
+    if (result.rows.length === 0) {
+      return false;
     }
 
-    const data = await response.json();
-    return data.content[0].text;
-  } catch (error) {
-    console.error('AI Assistant Error:', error);
-    return "I'm having trouble processing your question right now. Please try again later.";
+    await jobQueue.enqueue('analyze_idea', { ideaId, userId }, { client });
+    return true;
+  });
+  if (!queued) {
+    return false;
   }
+
+  await broadcastIdeaEvent(ideaId, 'idea:updated', { idea: { id: ideaId, analysisStatus: 'queued' } });
+  return true;
 };
 
+jobQueue.registerHandler('analyze_idea', {
+  run: async ({ ideaId, userId }) => {
+    const ideaResult = await pool.query('SELECT title, description, tags FROM ideas WHERE id = $1', [ideaId]);
+    if (ideaResult.rows.length === 0) {
+      throw new jobQueue.PermanentJobError(`Idea ${ideaId} no longer exists`);
+    }
+
+    // Retrying won't help once the requester is over quota
+    const userResult = await pool.query('SELECT id, role FROM users WHERE id = $1', [userId]);
+    const exceeded = userResult.rows.length > 0 && await aiUsage.checkQuota(userResult.rows[0]);
+    if (exceeded) {
+      throw new jobQueue.PermanentJobError(exceeded.message);
+    }
+
+    await setAnalysisStatus(ideaId, 'running');
+
+    let result;
+    try {
+      result = await requestAnalysis(ideaResult.rows[0], { meter: { userId, ideaId } });
+    } catch (error) {
+      // Without a provider there is nothing to retry; store the flagged placeholder instead
+      if (error.code === 'not_configured') {
+        result = {
+          analysis: FALLBACK_ANALYSIS,
+          provider: aiClient.getConfig().providerName,
+          model: null,
+          promptVersion: ANALYSIS_PROMPT_VERSION
+        };
+      } else {
+        // Back to queued while the job waits for its retry; onFailed marks it failed for good
+        await setAnalysisStatus(ideaId, 'queued');
+        throw error;
+      }
+    }
+
+    await saveAnalysis(ideaId, result);
+    await recordActivity({
+      userId,
+      ideaId,
+      action: 'ai.analysis_job',
+      details: { provider: result.provider, model: result.model, fallback: Boolean(result.analysis.isFallback) }
+    });
+  },
+  onFailed: async ({ ideaId, userId }, error) => {
+    await setAnalysisStatus(ideaId, 'failed');
+    await recordActivity({ userId, ideaId, action: 'ai.analysis_job_failed', details: { error: error.message } });
+  }
+});
+
 // ================================
 // AUTHENTICATION ROUTES
 // ================================
 
-// Register new user
-app.post('/api/auth/register', async (req, res) => {
+// Register new user. Everyone signs up as an employee; mentor and admin roles are only
+// handed out by an admin, since they approve workflow answers and so gate phase changes.
+app.post('/api/auth/register', auditLog('auth.register', { describe: (req, body) => ({ userId: body.user.id }) }), async (req, res) => {
   try {
-    const { name, email, password, role = 'employee' } = req.body;
+    const { name, email, password } = req.body;
 
     // Validation
     if (!name || !email || !password) {
@@ -202,7 +569,7 @@ app.post('/api/auth/register', async (req, res) => {
     // Create user
     const result = await pool.query(
       'INSERT INTO users (name, email, password_hash, role) VALUES ($1, $2, $3, $4) RETURNING id, name, email, role, created_at',
-      [name, email, passwordHash, role]
+      [name, email, passwordHash, USER_ROLES[0]]
     );
 
     const user = result.rows[0];
@@ -231,7 +598,10 @@ app.post('/api/auth/register', async (req, res) => {
 });
 
 // Login user
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', auditLog('auth.login', {
+  failureAction: 'auth.login_failed',
+  describe: (req, body) => (body.user ? { userId: body.user.id } : { details: { email: req.body.email } })
+}), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -277,7 +647,7 @@ app.post('/api/auth/login', async (req, res) => {
 });
 
 // Verify token
-app.post('/api/auth/verify', authenticateToken, async (req, res) => {
+app.post('/api/auth/verify', auditLog(null), authenticateToken, async (req, res) => {
   res.json({
     user: {
       id: req.user.id,
@@ -292,44 +662,182 @@ app.post('/api/auth/verify', authenticateToken, async (req, res) => {
 // IDEAS ROUTES
 // ================================
 
-// Get all ideas (authenticated users see all, public users see public only)
-app.get('/api/ideas', async (req, res) => {
+// Discover list sort orders. Each is a SQL expression over the `listed` subquery in
+// GET /api/ideas, always descending with the id as tie-breaker so cursors are stable.
+const IDEA_SORTS = {
+  newest: { expression: 'listed.created_at', type: 'timestamp' },
+  likes: { expression: 'listed.likes', type: 'bigint' },
+  comments: { expression: 'listed.comments', type: 'bigint' },
+  trending: { expression: 'listed.trending_score', type: 'bigint' }
+};
+const IDEA_STATUSES = ['active', 'paused', 'completed', 'cancelled'];
+const IDEA_PRIORITIES = ['low', 'medium', 'high'];
+const IDEAS_PAGE_SIZE = 20;
+const MAX_IDEAS_PAGE_SIZE = 50;
+// Trending counts likes and (double-weighted) comments from this many recent days
+const TRENDING_WINDOW_DAYS = 7;
+
+// Cursors are opaque to the client: the last row's sort value and id
+const encodeIdeaCursor = (sort, value, id) => Buffer.from(JSON.stringify({ sort, value, id })).toString('base64url');
+
+const decodeIdeaCursor = (cursor, sort) => {
   try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return decoded.sort === sort && Number.isInteger(decoded.id) && typeof decoded.value === 'string' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const isDateParam = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+// List the ideas the caller may see (see visibleIdeaCondition), a page at a time.
+// Query parameters (all optional):
+//   q            - full-text search over title, tags and description
+//   phase        - phase name
+//   tags         - comma-separated; ideas with any of them match
+//   author       - author user id
+//   collaborator - user id of an accepted collaborator
+//   status, priority
+//   archived     - exclude (default), include or only
+//   from, to     - creation date range, YYYY-MM-DD, both inclusive
+//   sort         - newest (default), likes, comments or trending
+//   limit, cursor - page size and the nextCursor of the previous page
+app.get('/api/ideas', optionalAuth, async (req, res) => {
+  try {
+    const {
+      q, phase, tags, author, collaborator, status, priority, from, to,
+      archived = 'exclude', sort = 'newest', cursor
+    } = req.query;
+
+    const sortOrder = IDEA_SORTS[sort];
+    if (!sortOrder) {
+      return res.status(400).json({ message: `Sort must be one of: ${Object.keys(IDEA_SORTS).join(', ')}` });
+    }
+    if (phase && !PHASES.includes(phase)) {
+      return res.status(400).json({ message: 'Invalid phase' });
+    }
+    if (status && !IDEA_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${IDEA_STATUSES.join(', ')}` });
+    }
+    if (priority && !IDEA_PRIORITIES.includes(priority)) {
+      return res.status(400).json({ message: `Priority must be one of: ${IDEA_PRIORITIES.join(', ')}` });
+    }
+    if (!['exclude', 'include', 'only'].includes(archived)) {
+      return res.status(400).json({ message: 'archived must be one of: exclude, include, only' });
+    }
+    if ((from && !isDateParam(from)) || (to && !isDateParam(to))) {
+      return res.status(400).json({ message: 'Dates must be in YYYY-MM-DD format' });
+    }
+    if ((author && !/^\d+$/.test(author)) || (collaborator && !/^\d+$/.test(collaborator))) {
+      return res.status(400).json({ message: 'author and collaborator must be user ids' });
+    }
+
+    const after = cursor ? decodeIdeaCursor(cursor, sort) : null;
+    if (cursor && !after) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || IDEAS_PAGE_SIZE, 1), MAX_IDEAS_PAGE_SIZE);
+    const params = [req.user?.id || null, TRENDING_WINDOW_DAYS, req.user?.role === 'admin'];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    const conditions = [visibleIdeaCondition('$1', '$3')];
+    if (q && q.trim()) {
+      conditions.push(`i.search_vector @@ websearch_to_tsquery('english', ${addParam(q.trim())})`);
+    }
+    if (phase) {
+      conditions.push(`i.phase = ${addParam(phase)}`);
+    }
+    const tagList = (tags || '').split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    if (tagList.length > 0) {
+      conditions.push(`EXISTS (
+        SELECT 1 FROM json_array_elements_text(i.tags) tag WHERE lower(tag) = ANY(${addParam(tagList)})
+      )`);
+    }
+    if (author) {
+      conditions.push(`i.author_id = ${addParam(parseInt(author))}`);
+    }
+    if (collaborator) {
+      conditions.push(`EXISTS (
+        SELECT 1 FROM collaborations cb
+        WHERE cb.idea_id = i.id AND cb.user_id = ${addParam(parseInt(collaborator))} AND cb.status = 'accepted'
+      )`);
+    }
+    if (status) {
+      conditions.push(`i.status = ${addParam(status)}`);
+    }
+    if (priority) {
+      conditions.push(`i.priority = ${addParam(priority)}`);
+    }
+    if (archived === 'exclude') {
+      conditions.push('i.archived_at IS NULL');
+    } else if (archived === 'only') {
+      conditions.push('i.archived_at IS NOT NULL');
+    }
+    if (from) {
+      conditions.push(`i.created_at >= ${addParam(from)}::date`);
+    }
+    if (to) {
+      conditions.push(`i.created_at < ${addParam(to)}::date + 1`);
+    }
+
+    const afterCondition = after
+      ? `WHERE (${sortOrder.expression}, listed.id) < (${addParam(after.value)}::${sortOrder.type}, ${addParam(after.id)})`
+      : '';
+    const limitParam = addParam(limit + 1);
+
     const result = await pool.query(`
-      SELECT 
-        i.*,
-        u.name as author,
-        u.id as author_id,
-        COALESCE(l.like_count, 0) as likes,
-        COALESCE(c.comment_count, 0) as comments,
-        COALESCE(col.collaborators, '[]'::json) as collaborators,
-        ul.user_id IS NOT NULL as is_liked
-      FROM ideas i
-      JOIN users u ON i.author_id = u.id
-      LEFT JOIN (
-        SELECT idea_id, COUNT(*) as like_count 
-        FROM likes 
-        GROUP BY idea_id
-      ) l ON i.id = l.idea_id
-      LEFT JOIN (
-        SELECT idea_id, COUNT(*) as comment_count 
-        FROM comments 
-        GROUP BY idea_id
-      ) c ON i.id = c.idea_id
-      LEFT JOIN (
+      SELECT listed.*, (${sortOrder.expression})::text as sort_value
+      FROM (
         SELECT 
-          idea_id, 
-          json_agg(u.name) as collaborators
-        FROM collaborations col
-        JOIN users u ON col.user_id = u.id
-        WHERE col.status = 'accepted'
-        GROUP BY idea_id
-      ) col ON i.id = col.idea_id
-      LEFT JOIN likes ul ON i.id = ul.idea_id AND ul.user_id = $1
-      ORDER BY i.created_at DESC
-    `, [req.user?.id || null]);
+          i.*,
+          u.name as author,
+          u.id as author_id,
+          COALESCE(l.like_count, 0) as likes,
+          COALESCE(c.comment_count, 0) as comments,
+          COALESCE(l.recent_like_count, 0) + 2 * COALESCE(c.recent_comment_count, 0) as trending_score,
+          COALESCE(col.collaborators, '[]'::json) as collaborators,
+          ul.user_id IS NOT NULL as is_liked
+        FROM ideas i
+        JOIN users u ON i.author_id = u.id
+        LEFT JOIN (
+          SELECT idea_id, COUNT(*) as like_count,
+            COUNT(*) FILTER (WHERE created_at >= CURRENT_TIMESTAMP - make_interval(days => $2)) as recent_like_count
+          FROM likes 
+          GROUP BY idea_id
+        ) l ON i.id = l.idea_id
+        LEFT JOIN (
+          SELECT idea_id, COUNT(*) as comment_count,
+            COUNT(*) FILTER (WHERE created_at >= CURRENT_TIMESTAMP - make_interval(days => $2)) as recent_comment_count
+          FROM comments 
+          GROUP BY idea_id
+        ) c ON i.id = c.idea_id
+        LEFT JOIN (
+          SELECT 
+            idea_id, 
+            json_agg(u.name) as collaborators
+          FROM collaborations col
+          JOIN users u ON col.user_id = u.id
+          WHERE col.status = 'accepted'
+          GROUP BY idea_id
+        ) col ON i.id = col.idea_id
+        LEFT JOIN likes ul ON i.id = ul.idea_id AND ul.user_id = $1
+        WHERE ${conditions.join(' AND ')}
+      ) listed
+      ${afterCondition}
+      ORDER BY ${sortOrder.expression} DESC, listed.id DESC
+      LIMIT ${limitParam}
+    `, params);
 
-    const ideas = result.rows.map(row => ({
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+    const lastRow = rows[rows.length - 1];
+
+    const ideas = rows.map(row => ({
       id: row.id,
       title: row.title,
       description: row.description,
@@ -338,7 +846,12 @@ app.get('/api/ideas', async (req, res) => {
       phase: row.phase,
       phaseIndex: row.phase_index,
       tags: row.tags || [],
+      visibility: row.visibility,
+      priority: row.priority,
+      status: row.status,
+      archivedAt: row.archived_at && new Date(row.archived_at).toLocaleString(),
       aiAnalysis: row.ai_analysis,
+      analysisStatus: row.analysis_status,
       likes: parseInt(row.likes),
       comments: parseInt(row.comments),
       collaborators: row.collaborators || [],
@@ -346,7 +859,10 @@ app.get('/api/ideas', async (req, res) => {
       createdAt: new Date(row.created_at).toLocaleDateString()
     }));
 
-    res.json({ ideas });
+    res.json({
+      ideas,
+      nextCursor: hasMore ? encodeIdeaCursor(sort, lastRow.sort_value, lastRow.id) : null
+    });
   } catch (error) {
     console.error('Get ideas error:', error);
     res.status(500).json({ message: 'Internal server error' });
@@ -385,7 +901,7 @@ app.get('/api/ideas/public', async (req, res) => {
         WHERE col.status = 'accepted'
         GROUP BY idea_id
       ) col ON i.id = col.idea_id
-      WHERE i.is_public = true
+      WHERE i.visibility = 'public' AND i.archived_at IS NULL
       ORDER BY i.created_at DESC
       LIMIT 20
     `);
@@ -399,7 +915,9 @@ app.get('/api/ideas/public', async (req, res) => {
       phase: row.phase,
       phaseIndex: row.phase_index,
       tags: row.tags || [],
+      visibility: row.visibility,
       aiAnalysis: row.ai_analysis,
+      analysisStatus: row.analysis_status,
       likes: parseInt(row.likes),
       comments: parseInt(row.comments),
       collaborators: row.collaborators || [],
@@ -414,104 +932,342 @@ app.get('/api/ideas/public', async (req, res) => {
   }
 });
 
-// Create new idea
-app.post('/api/ideas', authenticateToken, aiLimiter, async (req, res) => {
+// Everything about one idea in a single response, for its detail view and deep links:
+// the idea (shaped like a GET /api/ideas item), the caller's role and permissions on it,
+// accepted collaborators with their roles, threaded comments, workflow progress per phase,
+// mentorships and the analysis history
+app.get('/api/ideas/:id', optionalAuth, requireIdeaPermission('view'), async (req, res) => {
   try {
-    const { title, description, tags, phase = 'Idea Spark', phaseIndex = 0 } = req.body;
-
-    if (!title || !description) {
-      return res.status(400).json({ message: 'Title and description are required' });
-    }
-
-    // Create idea in database
-    const result = await pool.query(
-      `INSERT INTO ideas (title, description, author_id, phase, phase_index, tags, is_public) 
-       VALUES ($1, $2, $3, $4, $5, $6, true) 
-       RETURNING *`,
-      [title, description, req.user.id, phase, phaseIndex, JSON.stringify(tags || [])]
-    );
+    const access = req.ideaAccess;
+    const ideaId = access.idea.id;
+    const canManage = access.can('manage_collaborators');
 
-    const idea = result.rows[0];
-
-    // Get AI analysis asynchronously
-    try {
-      const aiAnalysis = await getAIAnalysis({
-        title,
-        description,
-        tags
-      });
-
-      // Update idea with AI analysis
-      await pool.query(
-        'UPDATE ideas SET ai_analysis = $1 WHERE id = $2',
-        [JSON.stringify(aiAnalysis), idea.id]
-      );
-
-      idea.ai_analysis = aiAnalysis;
-    } catch (aiError) {
-      console.error('AI analysis failed:', aiError);
-      // Continue without AI analysis
-    }
+    const [ideaResult, collaboratorsResult, commentsResult, workflowResult, mentorshipsResult, analysesResult] = await Promise.all([
+      pool.query(`
+        SELECT
+          i.*,
+          u.name as author,
+          (SELECT COUNT(*) FROM likes l WHERE l.idea_id = i.id) as likes,
+          (SELECT COUNT(*) FROM comments c WHERE c.idea_id = i.id) as comments,
+          EXISTS (SELECT 1 FROM likes ul WHERE ul.idea_id = i.id AND ul.user_id = $2) as is_liked
+        FROM ideas i
+        JOIN users u ON i.author_id = u.id
+        WHERE i.id = $1
+      `, [ideaId, req.user?.id || null]),
+      pool.query(`
+        ${COLLABORATION_SELECT}
+        WHERE col.idea_id = $1 AND col.status = 'accepted'
+        ORDER BY col.created_at ASC
+      `, [ideaId]),
+      pool.query(`
+        SELECT c.*, u.name as author
+        FROM comments c
+        JOIN users u ON c.user_id = u.id
+        WHERE c.idea_id = $1
+        ORDER BY c.created_at ASC
+      `, [ideaId]),
+      pool.query(`
+        SELECT
+          q.phase_index,
+          COUNT(*) as total,
+          COUNT(a.id) FILTER (WHERE a.answer IS NOT NULL AND a.answer <> '') as answered,
+          COUNT(a.id) FILTER (WHERE a.status = 'approved') as approved
+        FROM workflow_questions q
+        LEFT JOIN workflow_answers a ON a.question_id = q.id AND a.idea_id = $1
+        WHERE q.is_active = true
+        GROUP BY q.phase_index
+      `, [ideaId]),
+      pool.query(`${MENTORSHIP_SELECT} WHERE m.idea_id = $1 ORDER BY m.created_at DESC`, [ideaId]),
+      pool.query('SELECT * FROM idea_analyses WHERE idea_id = $1 ORDER BY created_at DESC, id DESC', [ideaId])
+    ]);
 
-    const responseIdea = {
-      id: idea.id,
-      title: idea.title,
-      description: idea.description,
-      author: req.user.name,
-      authorId: req.user.id,
-      phase: idea.phase,
-      phaseIndex: idea.phase_index,
-      tags: idea.tags || [],
-      aiAnalysis: idea.ai_analysis,
-      likes: 0,
-      comments: 0,
-      collaborators: [],
-      isLiked: false,
-      createdAt: new Date(idea.created_at).toLocaleDateString()
-    };
+    const row = ideaResult.rows[0];
+    const collaborators = collaboratorsResult.rows.map(formatCollaboration);
+    const progressByPhase = new Map(workflowResult.rows.map(phase => [phase.phase_index, phase]));
 
-    res.status(201).json({
-      message: 'Idea created successfully',
-      idea: responseIdea
+    res.json({
+      idea: {
+        id: row.id,
+        title: row.title,
+        description: row.description,
+        author: row.author,
+        authorId: row.author_id,
+        phase: row.phase,
+        phaseIndex: row.phase_index,
+        tags: row.tags || [],
+        visibility: row.visibility,
+        priority: row.priority,
+        status: row.status,
+        archivedAt: row.archived_at && new Date(row.archived_at).toLocaleString(),
+        aiAnalysis: row.ai_analysis,
+        analysisStatus: row.analysis_status,
+        likes: parseInt(row.likes),
+        comments: parseInt(row.comments),
+        collaborators: collaborators.map(collaborator => collaborator.userName),
+        isLiked: row.is_liked,
+        createdAt: new Date(row.created_at).toLocaleDateString(),
+        updatedAt: new Date(row.updated_at).toLocaleString()
+      },
+      role: access.role,
+      permissions: access.permissions,
+      // Only managers get to see collaborators' email addresses
+      collaborators: collaborators.map(collaborator => (canManage ? collaborator : { ...collaborator, userEmail: undefined })),
+      comments: buildCommentTree(commentsResult.rows),
+      workflow: PHASES.map((phase, phaseIndex) => {
+        const progress = progressByPhase.get(phaseIndex);
+        return {
+          phase,
+          phaseIndex,
+          status: phaseIndex < row.phase_index ? 'done' : phaseIndex === row.phase_index ? 'current' : 'upcoming',
+          questions: progress ? parseInt(progress.total) : 0,
+          answered: progress ? parseInt(progress.answered) : 0,
+          approved: progress ? parseInt(progress.approved) : 0
+        };
+      }),
+      mentorships: mentorshipsResult.rows.map(mentorship => formatMentorshipForViewer(mentorship, access, req.user)),
+      analyses: analysesResult.rows.map(formatAnalysisRecord)
     });
   } catch (error) {
-    console.error('Create idea error:', error);
+    console.error('Get idea error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// The TF-IDF index over all ideas is rebuilt after ideas are created or edited here, and at
+// least every SIMILARITY_INDEX_TTL_MS so edits made through other server instances show up
+const SIMILARITY_INDEX_TTL_MS = 5 * 60 * 1000;
+const SIMILAR_IDEAS_LIMIT = 5;
+
+let similarityIndex = null;
+let similarityIndexBuiltAt = 0;
+
+const invalidateSimilarityIndex = () => {
+  similarityIndex = null;
+};
+
+const getSimilarityIndex = async () => {
+  if (!similarityIndex || Date.now() - similarityIndexBuiltAt > SIMILARITY_INDEX_TTL_MS) {
+    const result = await pool.query('SELECT id, title, description, tags FROM ideas WHERE archived_at IS NULL');
+    similarityIndex = createSimilarityIndex(result.rows);
+    similarityIndexBuiltAt = Date.now();
+  }
+  return similarityIndex;
+};
+
+// Ideas similar to `idea` ({ title, description, tags }) that the user may view, best match
+// first. `collaborationStatus` is the user's relation to each one: 'owner', a collaboration
+// status, or null when they could still ask to join.
+const findSimilarIdeas = async (idea, user, { excludeId = null } = {}) => {
+  const index = await getSimilarityIndex();
+  // Ask for extra matches since some may be private ideas this user can't see
+  const matches = index.findSimilar(idea, { excludeId, limit: SIMILAR_IDEAS_LIMIT * 4 });
+  if (matches.length === 0) {
+    return [];
+  }
+
+  const result = await pool.query(`
+    SELECT i.id, i.title, i.phase, i.phase_index, i.tags, i.author_id, u.name as author,
+      col.status as collaboration_status
+    FROM ideas i
+    JOIN users u ON i.author_id = u.id
+    LEFT JOIN collaborations col ON col.idea_id = i.id AND col.user_id = $2
+    WHERE i.id = ANY($1) AND ${visibleIdeaCondition('$2', '$3')}
+  `, [matches.map(match => match.id), user.id, user.role === 'admin']);
+  const rowsById = new Map(result.rows.map(row => [row.id, row]));
+
+  return matches
+    .filter(match => rowsById.has(match.id))
+    .slice(0, SIMILAR_IDEAS_LIMIT)
+    .map(match => {
+      const row = rowsById.get(match.id);
+      return {
+        id: row.id,
+        title: row.title,
+        author: row.author,
+        authorId: row.author_id,
+        phase: row.phase,
+        phaseIndex: row.phase_index,
+        tags: row.tags || [],
+        score: match.score,
+        isLikelyDuplicate: match.score >= DUPLICATE_SCORE,
+        collaborationStatus: row.author_id === user.id ? 'owner' : row.collaboration_status
+      };
+    });
+};
+
+// Check a draft idea against the existing ones before it is submitted
+app.post('/api/ideas/similar', auditLog(null), authenticateToken, async (req, res) => {
+  try {
+    const { title = '', description = '', tags = [] } = req.body;
+
+    if (!isTagList(tags)) {
+      return res.status(400).json({ message: 'Tags must be an array of strings' });
+    }
+
+    const similar = await findSimilarIdeas({ title, description, tags }, req.user);
+    res.json({ similar });
+  } catch (error) {
+    console.error('Find similar ideas error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Ideas related to an existing one
+app.get('/api/ideas/:id/related', authenticateToken, requireIdeaPermission('view'), async (req, res) => {
+  try {
+    const idea = req.ideaAccess.idea;
+    const related = await findSimilarIdeas(idea, req.user, { excludeId: idea.id });
+    res.json({ related });
+  } catch (error) {
+    console.error('Get related ideas error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Record the idea's current title, description and tags as its next revision.
+// `client` is the transaction that changed the idea, so the two are stored together.
+const saveIdeaRevision = async (client, idea, { source, userId, restoredFrom = null }) => {
+  const result = await client.query(`
+    INSERT INTO idea_revisions (idea_id, version, title, description, tags, source, restored_from, created_by)
+    SELECT $1::integer, COALESCE(MAX(version), 0) + 1, $2, $3, $4::json, $5, $6, $7
+    FROM idea_revisions WHERE idea_id = $1::integer
+    RETURNING *
+  `, [idea.id, idea.title, idea.description, JSON.stringify(idea.tags || []), source, restoredFrom, userId]);
+  return result.rows[0];
+};
+
+// Whether an update touched anything a revision records
+const isRevisionChange = (before, after) => before.title !== after.title ||
+  before.description !== after.description ||
+  JSON.stringify(before.tags || []) !== JSON.stringify(after.tags || []);
+
+// Create new idea
+app.post('/api/ideas', authenticateToken, auditLog('idea.create', { describe: (req, body) => ({ ideaId: body.idea.id, details: { title: body.idea.title } }) }), async (req, res) => {
+  try {
+    const { title, description, tags, visibility = 'organization' } = req.body;
+
+    if (!title || !description) {
+      return res.status(400).json({ message: 'Title and description are required' });
+    }
+
+    if (tags !== undefined && tags !== null && !isTagList(tags)) {
+      return res.status(400).json({ message: 'Tags must be an array of strings' });
+    }
+
+    if (!IDEA_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ message: `Visibility must be one of: ${IDEA_VISIBILITIES.join(', ')}` });
+    }
+
+    // Create idea in database, with its first revision and the background analysis job
+    // (the analysis runs in the job queue so creation doesn't wait on the AI)
+    const idea = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO ideas (title, description, author_id, phase, phase_index, tags, visibility, is_public, analysis_status) 
+         VALUES ($1, $2, $3, $4, 0, $5, $6, $7, 'queued') 
+         RETURNING *`,
+        [title, description, req.user.id, PHASES[0], JSON.stringify(tags || []), visibility, visibility === 'public']
+      );
+      await saveIdeaRevision(client, result.rows[0], { source: 'create', userId: req.user.id });
+      await jobQueue.enqueue('analyze_idea', { ideaId: result.rows[0].id, userId: req.user.id }, { client });
+      return result.rows[0];
+    });
+    invalidateSimilarityIndex();
+
+    const responseIdea = {
+      id: idea.id,
+      title: idea.title,
+      description: idea.description,
+      author: req.user.name,
+      authorId: req.user.id,
+      phase: idea.phase,
+      phaseIndex: idea.phase_index,
+      tags: idea.tags || [],
+      visibility: idea.visibility,
+      aiAnalysis: idea.ai_analysis,
+      analysisStatus: idea.analysis_status,
+      likes: 0,
+      comments: 0,
+      collaborators: [],
+      isLiked: false,
+      createdAt: new Date(idea.created_at).toLocaleDateString()
+    };
+
+    await broadcastIdeaEvent(idea.id, 'idea:created', { idea: responseIdea });
+
+    res.status(201).json({
+      message: 'Idea created successfully',
+      idea: responseIdea
+    });
+  } catch (error) {
+    console.error('Create idea error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
 // Update idea
-app.put('/api/ideas/:id', authenticateToken, async (req, res) => {
+app.put('/api/ideas/:id', authenticateToken, auditLog('idea.update', { describe: (req) => ({ details: { fields: Object.keys(req.body) } }) }), requireIdeaPermission('edit'), async (req, res) => {
   try {
     const ideaId = req.params.id;
-    const { title, description, tags, phase, phaseIndex } = req.body;
+    const { title, description, tags, phase, phaseIndex, visibility } = req.body;
 
-    // Check if user owns the idea
-    const ideaResult = await pool.query('SELECT * FROM ideas WHERE id = $1', [ideaId]);
-    if (ideaResult.rows.length === 0) {
-      return res.status(404).json({ message: 'Idea not found' });
+    // Phase changes go through the gated advance-phase route
+    if (phase !== undefined || phaseIndex !== undefined) {
+      return res.status(400).json({ message: 'Use POST /api/ideas/:id/advance-phase to change the phase' });
     }
 
-    const idea = ideaResult.rows[0];
-    if (idea.author_id !== req.user.id) {
-      return res.status(403).json({ message: 'You can only update your own ideas' });
+    if (tags !== undefined && tags !== null && !isTagList(tags)) {
+      return res.status(400).json({ message: 'Tags must be an array of strings' });
     }
 
-    // Update idea
-    const result = await pool.query(
-      `UPDATE ideas 
-       SET title = COALESCE($1, title),
-           description = COALESCE($2, description),
-           tags = COALESCE($3, tags),
-           phase = COALESCE($4, phase),
-           phase_index = COALESCE($5, phase_index),
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $6
-       RETURNING *`,
-      [title, description, tags ? JSON.stringify(tags) : null, phase, phaseIndex, ideaId]
-    );
+    if (visibility !== undefined) {
+      if (!IDEA_VISIBILITIES.includes(visibility)) {
+        return res.status(400).json({ message: `Visibility must be one of: ${IDEA_VISIBILITIES.join(', ')}` });
+      }
+      // Who gets to see the idea is the owner's call
+      if (!req.ideaAccess.isAuthor && req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Only the idea owner can change its visibility' });
+      }
+    }
 
-    const updatedIdea = result.rows[0];
+    // Update idea; the wording before the change stays in the earlier revisions
+    const updatedIdea = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE ideas 
+         SET title = COALESCE($1, title),
+             description = COALESCE($2, description),
+             tags = COALESCE($3, tags),
+             visibility = COALESCE($4, visibility),
+             is_public = COALESCE($4, visibility) = 'public',
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5
+         RETURNING *`,
+        [title, description, tags ? JSON.stringify(tags) : null, visibility, ideaId]
+      );
+
+      if (isRevisionChange(req.ideaAccess.idea, result.rows[0])) {
+        await saveIdeaRevision(client, result.rows[0], { source: 'edit', userId: req.user.id });
+      }
+      return result.rows[0];
+    });
+
+    const authorResult = await pool.query('SELECT name FROM users WHERE id = $1', [updatedIdea.author_id]);
+    invalidateSimilarityIndex();
+
+    await broadcastIdeaEvent(updatedIdea.id, 'idea:updated', {
+      idea: {
+        id: updatedIdea.id,
+        title: updatedIdea.title,
+        description: updatedIdea.description,
+        tags: updatedIdea.tags || [],
+        visibility: updatedIdea.visibility
+      }
+    });
+
+    // The stored analysis describes the old text; refresh it when the idea really changed
+    let analysisStatus = updatedIdea.analysis_status;
+    if (isMaterialChange(req.ideaAccess.idea, updatedIdea) && await queueAnalysis(updatedIdea.id, req.user.id)) {
+      analysisStatus = 'queued';
+    }
 
     res.json({
       message: 'Idea updated successfully',
@@ -519,139 +1275,2803 @@ app.put('/api/ideas/:id', authenticateToken, async (req, res) => {
         id: updatedIdea.id,
         title: updatedIdea.title,
         description: updatedIdea.description,
-        author: req.user.name,
-        authorId: req.user.id,
+        author: authorResult.rows[0]?.name,
+        authorId: updatedIdea.author_id,
         phase: updatedIdea.phase,
         phaseIndex: updatedIdea.phase_index,
         tags: updatedIdea.tags || [],
+        visibility: updatedIdea.visibility,
         aiAnalysis: updatedIdea.ai_analysis,
+        analysisStatus,
         createdAt: new Date(updatedIdea.created_at).toLocaleDateString()
       }
     });
   } catch (error) {
-    console.error('Update idea error:', error);
+    console.error('Update idea error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Lifecycle changes are the author's (or an admin's) call, not every editor's
+const requireIdeaOwner = (req, res, next) => {
+  if (!req.ideaAccess.isAuthor && req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Only the idea owner can change its status' });
+  }
+  next();
+};
+
+// Push an idea's lifecycle fields after a status, archive or restore change
+const broadcastLifecycle = (idea) => broadcastIdeaEvent(idea.id, 'idea:updated', {
+  idea: {
+    id: idea.id,
+    status: idea.status,
+    archivedAt: idea.archived_at && new Date(idea.archived_at).toLocaleString()
+  }
+});
+
+// Set an idea's lifecycle status (active, paused, completed or cancelled)
+app.put('/api/ideas/:id/status', authenticateToken, auditLog('idea.status', { describe: (req) => ({ details: { status: req.body.status } }) }), requireIdeaPermission('view'), requireIdeaOwner, async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!IDEA_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${IDEA_STATUSES.join(', ')}` });
+    }
+
+    const result = await pool.query(
+      'UPDATE ideas SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [status, req.ideaAccess.idea.id]
+    );
+    await broadcastLifecycle(result.rows[0]);
+
+    res.json({ message: 'Idea status updated', status });
+  } catch (error) {
+    console.error('Update idea status error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Archive (soft-delete) an idea: it drops out of lists and similarity checks but keeps
+// all its data and can be restored
+app.post('/api/ideas/:id/archive', authenticateToken, auditLog('idea.archive'), requireIdeaPermission('view'), requireIdeaOwner, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE ideas SET archived_at = CURRENT_TIMESTAMP, archived_by = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND archived_at IS NULL
+       RETURNING *`,
+      [req.user.id, req.ideaAccess.idea.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'Idea is already archived' });
+    }
+
+    invalidateSimilarityIndex();
+    await broadcastLifecycle(result.rows[0]);
+
+    res.json({ message: 'Idea archived', archivedAt: new Date(result.rows[0].archived_at).toLocaleString() });
+  } catch (error) {
+    console.error('Archive idea error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Bring an archived idea back
+app.post('/api/ideas/:id/restore', authenticateToken, auditLog('idea.restore'), requireIdeaPermission('view'), requireIdeaOwner, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE ideas SET archived_at = NULL, archived_by = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND archived_at IS NOT NULL
+       RETURNING *`,
+      [req.ideaAccess.idea.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'Idea is not archived' });
+    }
+
+    invalidateSimilarityIndex();
+    await broadcastLifecycle(result.rows[0]);
+
+    res.json({ message: 'Idea restored' });
+  } catch (error) {
+    console.error('Restore idea error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Permanently delete an idea and everything attached to it (admins only)
+app.delete('/api/ideas/:id', authenticateToken, auditLog('idea.delete', { describe: (req) => ({ details: { ideaId: parseInt(req.params.id) } }) }), requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM ideas WHERE id = $1 RETURNING id', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Idea not found' });
+    }
+
+    invalidateSimilarityIndex();
+    // Only the id goes out, so every client can drop the idea without learning anything new
+    broadcastEvent('idea:deleted', { ideaId: result.rows[0].id });
+
+    res.json({ message: 'Idea deleted' });
+  } catch (error) {
+    console.error('Delete idea error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Queue a fresh AI analysis for an idea; the result arrives as an idea:updated event
+app.post('/api/ideas/:id/analyze', authenticateToken, auditLog('ai.analyze'), aiLimiter, requireAIQuota, requireIdeaPermission('edit'), async (req, res) => {
+  try {
+    const queued = await queueAnalysis(req.ideaAccess.idea.id, req.user.id);
+
+    res.status(202).json({
+      message: queued ? 'Analysis queued' : 'An analysis is already in progress',
+      analysisStatus: queued ? 'queued' : req.ideaAccess.idea.analysis_status
+    });
+  } catch (error) {
+    console.error('Analyze idea error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+const formatAnalysisRecord = (row) => ({
+  id: row.id,
+  analysis: row.analysis,
+  provider: row.provider,
+  model: row.model,
+  promptVersion: row.prompt_version,
+  isFallback: row.is_fallback,
+  repaired: row.repaired,
+  createdAt: new Date(row.created_at).toLocaleString()
+});
+
+// List every analysis stored for an idea, newest first
+app.get('/api/ideas/:id/analyses', authenticateToken, requireIdeaPermission('view'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM idea_analyses WHERE idea_id = $1 ORDER BY created_at DESC, id DESC',
+      [req.params.id]
+    );
+
+    res.json({ analyses: result.rows.map(formatAnalysisRecord) });
+  } catch (error) {
+    console.error('Get idea analyses error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+const REVISION_SELECT = `
+  SELECT r.*, u.name as created_by_name FROM idea_revisions r
+  LEFT JOIN users u ON r.created_by = u.id
+`;
+
+const formatRevision = (row) => ({
+  id: row.id,
+  version: row.version,
+  title: row.title,
+  description: row.description,
+  tags: row.tags || [],
+  source: row.source,
+  restoredFrom: row.restored_from,
+  createdBy: row.created_by_name,
+  createdAt: new Date(row.created_at).toLocaleString()
+});
+
+// Every revision of an idea, newest first
+app.get('/api/ideas/:id/revisions', authenticateToken, requireIdeaPermission('view'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `${REVISION_SELECT} WHERE r.idea_id = $1 ORDER BY r.version DESC`,
+      [req.ideaAccess.idea.id]
+    );
+
+    res.json({ revisions: result.rows.map(formatRevision) });
+  } catch (error) {
+    console.error('Get idea revisions error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Word-level diff between two revisions, ?from=<version>&to=<version>
+app.get('/api/ideas/:id/revisions/diff', authenticateToken, requireIdeaPermission('view'), async (req, res) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ message: 'from and to must be revision versions' });
+    }
+
+    const result = await pool.query(
+      `${REVISION_SELECT} WHERE r.idea_id = $1 AND r.version = ANY($2)`,
+      [req.ideaAccess.idea.id, [from, to]]
+    );
+    const fromRow = result.rows.find(row => row.version === from);
+    const toRow = result.rows.find(row => row.version === to);
+
+    if (!fromRow || !toRow) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json({
+      from: formatRevision(fromRow),
+      to: formatRevision(toRow),
+      diff: diffRevisions(fromRow, toRow)
+    });
+  } catch (error) {
+    console.error('Diff idea revisions error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Bring back an earlier revision's title, description and tags. This is recorded as a new
+// revision, so the history itself is never rewritten and the restore can be undone.
+app.post('/api/ideas/:id/revisions/:version/restore', authenticateToken, auditLog('idea.revision_restore', { describe: (req) => ({ details: { version: parseInt(req.params.version) } }) }), requireIdeaPermission('edit'), async (req, res) => {
+  try {
+    const idea = req.ideaAccess.idea;
+    const revisionResult = await pool.query(
+      'SELECT * FROM idea_revisions WHERE idea_id = $1 AND version = $2',
+      [idea.id, parseInt(req.params.version) || 0]
+    );
+
+    if (revisionResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    const revision = revisionResult.rows[0];
+    if (!isRevisionChange(idea, revision)) {
+      return res.status(400).json({ message: 'The idea already matches this revision' });
+    }
+
+    const { updatedIdea, newRevision } = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE ideas SET title = $1, description = $2, tags = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4
+         RETURNING *`,
+        [revision.title, revision.description, JSON.stringify(revision.tags || []), idea.id]
+      );
+      const saved = await saveIdeaRevision(client, result.rows[0], {
+        source: 'restore',
+        userId: req.user.id,
+        restoredFrom: revision.version
+      });
+      return { updatedIdea: result.rows[0], newRevision: saved };
+    });
+
+    invalidateSimilarityIndex();
+
+    const changes = {
+      id: updatedIdea.id,
+      title: updatedIdea.title,
+      description: updatedIdea.description,
+      tags: updatedIdea.tags || []
+    };
+    await broadcastIdeaEvent(updatedIdea.id, 'idea:updated', { idea: changes });
+
+    let analysisStatus = updatedIdea.analysis_status;
+    if (isMaterialChange(idea, updatedIdea) && await queueAnalysis(updatedIdea.id, req.user.id)) {
+      analysisStatus = 'queued';
+    }
+
+    res.json({
+      message: `Restored revision ${revision.version}`,
+      idea: { ...changes, analysisStatus },
+      revision: formatRevision({ ...newRevision, created_by_name: req.user.name })
+    });
+  } catch (error) {
+    console.error('Restore idea revision error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Get the assistant threads of an idea: the user's private one and, for the idea's team,
+// the shared one (null for everybody else)
+app.get('/api/ideas/:id/conversations', authenticateToken, requireIdeaPermission('view'), async (req, res) => {
+  try {
+    const access = req.ideaAccess;
+    const [privateMessages, sharedMessages] = await Promise.all([
+      getConversationMessages(access.idea.id, req.user.id),
+      canUseSharedThread(access) ? getConversationMessages(access.idea.id, null) : null
+    ]);
+
+    res.json({ threads: { private: privateMessages, shared: sharedMessages } });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Get the current user's role and permissions on an idea
+app.get('/api/ideas/:id/permissions', authenticateToken, async (req, res) => {
+  try {
+    const access = await getIdeaAccess(req.params.id, req.user);
+    // Ideas the user can't see don't exist as far as they are concerned
+    if (!access || !access.can('view')) {
+      return res.status(404).json({ message: 'Idea not found' });
+    }
+
+    res.json({ role: access.role, permissions: access.permissions });
+  } catch (error) {
+    console.error('Get idea permissions error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Push an idea's new like count; `userId`/`liked` let that user's other tabs update isLiked
+const broadcastLikes = async (ideaId, userId, liked) => {
+  const countResult = await pool.query('SELECT COUNT(*) as count FROM likes WHERE idea_id = $1', [ideaId]);
+  const likes = parseInt(countResult.rows[0].count);
+  await broadcastIdeaEvent(ideaId, 'idea:liked', { ideaId: parseInt(ideaId), likes, userId, liked });
+  return likes;
+};
+
+// Like/Unlike idea
+app.post('/api/ideas/:id/like', authenticateToken, auditLog('idea.like', { describe: (req, body) => ({ details: { liked: body.liked } }) }), requireIdeaPermission('view'), async (req, res) => {
+  try {
+    const ideaId = req.params.id;
+
+    // Check if user already liked this idea
+    const likeResult = await pool.query(
+      'SELECT * FROM likes WHERE idea_id = $1 AND user_id = $2',
+      [ideaId, req.user.id]
+    );
+
+    if (likeResult.rows.length > 0) {
+      // Unlike
+      await pool.query('DELETE FROM likes WHERE idea_id = $1 AND user_id = $2', [ideaId, req.user.id]);
+      const likes = await broadcastLikes(ideaId, req.user.id, false);
+      res.json({ message: 'Idea unliked', liked: false, likes });
+    } else {
+      // Like
+      await pool.query('INSERT INTO likes (idea_id, user_id) VALUES ($1, $2)', [ideaId, req.user.id]);
+
+      const { idea } = req.ideaAccess;
+      await createNotification({
+        userId: idea.author_id,
+        actorId: req.user.id,
+        type: 'like',
+        title: 'New like',
+        message: `${req.user.name} liked "${idea.title}"`,
+        data: { ideaId: idea.id }
+      });
+
+      const likes = await broadcastLikes(ideaId, req.user.id, true);
+      res.json({ message: 'Idea liked', liked: true, likes });
+    }
+  } catch (error) {
+    console.error('Like idea error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Request collaboration
+app.post('/api/ideas/:id/collaborate', authenticateToken, requireIdeaPermission('view'), async (req, res) => {
+  try {
+    const ideaId = req.params.id;
+    const { message } = req.body;
+
+    const { idea } = req.ideaAccess;
+
+    // Check if user is trying to collaborate on their own idea
+    if (idea.author_id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot collaborate on your own idea' });
+    }
+
+    // Check if collaboration request already exists
+    const existingRequest = await pool.query(
+      'SELECT * FROM collaborations WHERE idea_id = $1 AND user_id = $2',
+      [ideaId, req.user.id]
+    );
+
+    if (existingRequest.rows.length > 0) {
+      return res.status(409).json({ message: 'Collaboration request already exists' });
+    }
+
+    // Create collaboration request
+    const result = await pool.query(
+      'INSERT INTO collaborations (idea_id, user_id, message, status) VALUES ($1, $2, $3, $4) RETURNING id',
+      [ideaId, req.user.id, message, 'pending']
+    );
+
+    await createNotification({
+      userId: idea.author_id,
+      actorId: req.user.id,
+      type: 'collaboration_request',
+      title: 'Collaboration request',
+      message: `${req.user.name} wants to collaborate on "${idea.title}"`,
+      data: { ideaId: idea.id, collaborationId: result.rows[0].id }
+    });
+
+    res.status(201).json({ message: 'Collaboration request sent successfully' });
+  } catch (error) {
+    console.error('Collaboration request error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// ================================
+// COLLABORATION ROUTES
+// ================================
+
+const formatCollaboration = (row) => ({
+  id: row.id,
+  ideaId: row.idea_id,
+  ideaTitle: row.idea_title,
+  ideaAuthorId: row.idea_author_id,
+  userId: row.user_id,
+  userName: row.user_name,
+  userEmail: row.user_email,
+  invitedBy: row.invited_by,
+  invitedByName: row.invited_by_name,
+  type: row.invited_by ? 'invite' : 'request',
+  message: row.message,
+  status: row.status,
+  role: row.role,
+  permissions: row.permissions || [],
+  createdAt: new Date(row.created_at).toLocaleDateString(),
+  updatedAt: new Date(row.updated_at).toLocaleDateString()
+});
+
+const COLLABORATION_SELECT = `
+  SELECT
+    col.*,
+    i.title as idea_title,
+    i.author_id as idea_author_id,
+    u.name as user_name,
+    u.email as user_email,
+    inv.name as invited_by_name
+  FROM collaborations col
+  JOIN ideas i ON col.idea_id = i.id
+  JOIN users u ON col.user_id = u.id
+  LEFT JOIN users inv ON col.invited_by = inv.id
+`;
+
+const getCollaboration = async (collaborationId) => {
+  const result = await pool.query(`${COLLABORATION_SELECT} WHERE col.id = $1`, [collaborationId]);
+  return result.rows[0] || null;
+};
+
+// Push an idea's accepted collaborator names, which is what idea cards show
+const broadcastCollaborators = async (ideaId) => {
+  const result = await pool.query(`
+    SELECT u.name FROM collaborations col
+    JOIN users u ON col.user_id = u.id
+    WHERE col.idea_id = $1 AND col.status = 'accepted'
+    ORDER BY col.created_at ASC
+  `, [ideaId]);
+  await broadcastIdeaEvent(ideaId, 'idea:updated', {
+    idea: { id: ideaId, collaborators: result.rows.map(row => row.name) }
+  });
+};
+
+// Whether the user may accept, reject, re-role or remove collaborators on this row's idea
+const canManageCollaboration = async (collaboration, user) => {
+  const access = await getIdeaAccess(collaboration.idea_id, user);
+  return Boolean(access && access.can('manage_collaborators'));
+};
+
+// Validate a role/permissions pair, falling back to the role's default permissions
+const resolveRolePermissions = (role = 'contributor', permissions) => {
+  if (!COLLABORATOR_ROLES[role]) {
+    return { error: `Role must be one of: ${Object.keys(COLLABORATOR_ROLES).join(', ')}` };
+  }
+
+  if (permissions === undefined || permissions === null) {
+    return { role, permissions: COLLABORATOR_ROLES[role] };
+  }
+
+  if (!Array.isArray(permissions) || permissions.some(p => !COLLABORATOR_PERMISSIONS.includes(p))) {
+    return { error: `Permissions must be a list of: ${COLLABORATOR_PERMISSIONS.join(', ')}` };
+  }
+
+  // Every collaborator can at least see the idea
+  return { role, permissions: Array.from(new Set(['view', ...permissions])) };
+};
+
+// Collaboration inbox: requests and invitations waiting on me, and the ones I sent
+app.get('/api/collaborations', authenticateToken, async (req, res) => {
+  try {
+    const [receivedResult, sentResult] = await Promise.all([
+      pool.query(`
+        ${COLLABORATION_SELECT}
+        WHERE (col.invited_by IS NULL AND (
+                i.author_id = $1
+                OR EXISTS (
+                  SELECT 1 FROM collaborations mgr
+                  WHERE mgr.idea_id = col.idea_id AND mgr.user_id = $1 AND mgr.status = 'accepted'
+                    AND mgr.permissions::jsonb ? 'manage_collaborators'
+                )
+              ))
+           OR (col.user_id = $1 AND col.invited_by IS NOT NULL)
+        ORDER BY col.status = 'pending' DESC, col.updated_at DESC
+      `, [req.user.id]),
+      pool.query(`
+        ${COLLABORATION_SELECT}
+        WHERE (col.user_id = $1 AND col.invited_by IS NULL)
+           OR (col.invited_by = $1)
+        ORDER BY col.status = 'pending' DESC, col.updated_at DESC
+      `, [req.user.id])
+    ]);
+
+    res.json({
+      received: receivedResult.rows.map(formatCollaboration),
+      sent: sentResult.rows.map(formatCollaboration)
+    });
+  } catch (error) {
+    console.error('Get collaborations error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// List an idea's collaborators (managers also see pending and past ones)
+app.get('/api/ideas/:id/collaborators', authenticateToken, requireIdeaPermission('view'), async (req, res) => {
+  try {
+    const canManage = req.ideaAccess.can('manage_collaborators');
+    const result = await pool.query(`
+      ${COLLABORATION_SELECT}
+      WHERE col.idea_id = $1 ${canManage ? '' : "AND col.status = 'accepted'"}
+      ORDER BY col.created_at ASC
+    `, [req.params.id]);
+
+    // Only managers get to see collaborators' email addresses
+    const collaborators = result.rows.map(formatCollaboration)
+      .map(collaborator => canManage ? collaborator : { ...collaborator, userEmail: undefined });
+
+    res.json({
+      collaborators,
+      roles: COLLABORATOR_ROLES,
+      canManage
+    });
+  } catch (error) {
+    console.error('Get collaborators error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Invite a user (by email) to collaborate on an idea
+app.post('/api/ideas/:id/collaborators/invite', authenticateToken, requireIdeaPermission('manage_collaborators'), async (req, res) => {
+  try {
+    const { email, message, role, permissions } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const resolved = resolveRolePermissions(role, permissions);
+    if (resolved.error) {
+      return res.status(400).json({ message: resolved.error });
+    }
+
+    const { idea } = req.ideaAccess;
+    if (idea.visibility === 'private') {
+      return res.status(400).json({ message: 'Private ideas cannot have collaborators; change the visibility to invite someone' });
+    }
+
+    const userResult = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ message: 'No user found with that email' });
+    }
+
+    const inviteeId = userResult.rows[0].id;
+    if (inviteeId === idea.author_id || inviteeId === req.user.id) {
+      return res.status(400).json({ message: 'That user already owns or manages this idea' });
+    }
+
+    // Re-inviting someone who was rejected or removed re-opens their row
+    const result = await pool.query(`
+      INSERT INTO collaborations (idea_id, user_id, invited_by, message, status, role, permissions)
+      VALUES ($1, $2, $3, $4, 'pending', $5, $6)
+      ON CONFLICT (idea_id, user_id) DO UPDATE
+      SET invited_by = EXCLUDED.invited_by,
+          message = EXCLUDED.message,
+          status = 'pending',
+          role = EXCLUDED.role,
+          permissions = EXCLUDED.permissions,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE collaborations.status IN ('rejected', 'removed')
+      RETURNING id
+    `, [idea.id, inviteeId, req.user.id, message, resolved.role, JSON.stringify(resolved.permissions)]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ message: 'This user already has a pending or accepted collaboration on this idea' });
+    }
+
+    await createNotification({
+      userId: inviteeId,
+      actorId: req.user.id,
+      type: 'collaboration_invite',
+      title: 'Collaboration invitation',
+      message: `${req.user.name} invited you to collaborate on "${idea.title}"`,
+      data: { ideaId: idea.id, collaborationId: result.rows[0].id }
+    });
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      collaboration: formatCollaboration(await getCollaboration(result.rows[0].id))
+    });
+  } catch (error) {
+    console.error('Invite collaborator error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Audit entries for collaboration decisions; accept, reject and update answer with the collaboration
+const describeCollaboration = (req, body) => ({
+  ideaId: body.collaboration.ideaId,
+  details: {
+    collaborationId: body.collaboration.id,
+    collaboratorId: body.collaboration.userId,
+    role: body.collaboration.role
+  }
+});
+
+// A withdrawn request is deleted outright, so the route hands over the row it loaded first
+const describeRemovedCollaboration = (req, body, res) => ({
+  ideaId: res.locals.collaboration.idea_id,
+  details: { collaborationId: res.locals.collaboration.id, collaboratorId: res.locals.collaboration.user_id }
+});
+
+// Accept a request (idea owner) or an invitation (invitee)
+app.post('/api/collaborations/:id/accept', authenticateToken, auditLog('collaboration.accept', { describe: describeCollaboration }), async (req, res) => {
+  try {
+    const collaboration = await getCollaboration(req.params.id);
+    if (!collaboration) {
+      return res.status(404).json({ message: 'Collaboration not found' });
+    }
+
+    if (collaboration.status !== 'pending') {
+      return res.status(400).json({ message: `This collaboration is already ${collaboration.status}` });
+    }
+
+    let role = collaboration.role;
+    let permissions = collaboration.permissions;
+
+    if (collaboration.invited_by) {
+      // Invitations are accepted by the invitee with the role they were offered
+      if (collaboration.user_id !== req.user.id) {
+        return res.status(403).json({ message: 'Only the invited user can accept this invitation' });
+      }
+    } else {
+      // Requests are accepted by the owner (or a co-owner), who picks the role
+      if (!(await canManageCollaboration(collaboration, req.user))) {
+        return res.status(403).json({ message: 'Only the idea owner can accept collaboration requests' });
+      }
+      const resolved = resolveRolePermissions(req.body.role, req.body.permissions);
+      if (resolved.error) {
+        return res.status(400).json({ message: resolved.error });
+      }
+      ({ role, permissions } = resolved);
+    }
+
+    await pool.query(
+      `UPDATE collaborations
+       SET status = 'accepted', role = $1, permissions = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [role, JSON.stringify(permissions), collaboration.id]
+    );
+
+    await createNotification({
+      userId: collaboration.invited_by || collaboration.user_id,
+      actorId: req.user.id,
+      type: 'collaboration_accepted',
+      title: 'Collaboration accepted',
+      message: collaboration.invited_by
+        ? `${req.user.name} joined "${collaboration.idea_title}"`
+        : `Your request to collaborate on "${collaboration.idea_title}" was accepted`,
+      data: { ideaId: collaboration.idea_id, collaborationId: collaboration.id }
+    });
+
+    await broadcastCollaborators(collaboration.idea_id);
+
+    res.json({
+      message: 'Collaboration accepted',
+      collaboration: formatCollaboration(await getCollaboration(collaboration.id))
+    });
+  } catch (error) {
+    console.error('Accept collaboration error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Reject a request (idea owner) or decline an invitation (invitee)
+app.post('/api/collaborations/:id/reject', authenticateToken, auditLog('collaboration.reject', { describe: describeCollaboration }), async (req, res) => {
+  try {
+    const collaboration = await getCollaboration(req.params.id);
+    if (!collaboration) {
+      return res.status(404).json({ message: 'Collaboration not found' });
+    }
+
+    if (collaboration.status !== 'pending') {
+      return res.status(400).json({ message: `This collaboration is already ${collaboration.status}` });
+    }
+
+    const canDecide = collaboration.invited_by
+      ? collaboration.user_id === req.user.id
+      : await canManageCollaboration(collaboration, req.user);
+    if (!canDecide) {
+      return res.status(403).json({ message: 'You cannot reject this collaboration' });
+    }
+
+    await pool.query(
+      `UPDATE collaborations SET status = 'rejected', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [collaboration.id]
+    );
+
+    res.json({
+      message: 'Collaboration rejected',
+      collaboration: formatCollaboration(await getCollaboration(collaboration.id))
+    });
+  } catch (error) {
+    console.error('Reject collaboration error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Change an accepted collaborator's role or permissions (idea owner)
+app.put('/api/collaborations/:id', authenticateToken, auditLog('collaboration.role_change', { describe: describeCollaboration }), async (req, res) => {
+  try {
+    const collaboration = await getCollaboration(req.params.id);
+    if (!collaboration) {
+      return res.status(404).json({ message: 'Collaboration not found' });
+    }
+
+    // Managers can't change their own role; that would let a co-owner lock in their access
+    if (collaboration.user_id === req.user.id || !(await canManageCollaboration(collaboration, req.user))) {
+      return res.status(403).json({ message: 'You cannot change this collaborator\'s role' });
+    }
+
+    const resolved = resolveRolePermissions(req.body.role || collaboration.role, req.body.permissions);
+    if (resolved.error) {
+      return res.status(400).json({ message: resolved.error });
+    }
+
+    await pool.query(
+      `UPDATE collaborations SET role = $1, permissions = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3`,
+      [resolved.role, JSON.stringify(resolved.permissions), collaboration.id]
+    );
+
+    res.json({
+      message: 'Collaborator updated',
+      collaboration: formatCollaboration(await getCollaboration(collaboration.id))
+    });
+  } catch (error) {
+    console.error('Update collaboration error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Remove a collaborator (idea owner), leave an idea or withdraw a pending request (collaborator)
+app.delete('/api/collaborations/:id', authenticateToken, auditLog('collaboration.remove', { describe: describeRemovedCollaboration }), async (req, res) => {
+  try {
+    const collaboration = await getCollaboration(req.params.id);
+    if (!collaboration) {
+      return res.status(404).json({ message: 'Collaboration not found' });
+    }
+    res.locals.collaboration = collaboration;
+
+    const isSelf = collaboration.user_id === req.user.id;
+    if (!isSelf && !(await canManageCollaboration(collaboration, req.user))) {
+      return res.status(403).json({ message: 'You cannot remove this collaboration' });
+    }
+
+    // A withdrawn request or invitation never happened, so it can be sent again later
+    if (collaboration.status === 'pending') {
+      await pool.query('DELETE FROM collaborations WHERE id = $1', [collaboration.id]);
+      return res.json({ message: 'Collaboration request withdrawn' });
+    }
+
+    await pool.query(
+      `UPDATE collaborations SET status = 'removed', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [collaboration.id]
+    );
+
+    if (collaboration.status === 'accepted') {
+      await broadcastCollaborators(collaboration.idea_id);
+    }
+
+    res.json({ message: isSelf ? 'You left this idea' : 'Collaborator removed' });
+  } catch (error) {
+    console.error('Remove collaboration error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// ================================
+// COMMENTS ROUTES
+// ================================
+
+const formatComment = (row) => ({
+  id: row.id,
+  ideaId: row.idea_id,
+  parentId: row.parent_comment_id,
+  content: row.content,
+  author: row.author,
+  authorId: row.user_id,
+  isEdited: row.is_edited,
+  createdAt: new Date(row.created_at).toLocaleString(),
+  updatedAt: new Date(row.updated_at).toLocaleString()
+});
+
+// Nest replies under their parent comment, keeping chronological order
+const buildCommentTree = (rows) => {
+  const byId = new Map();
+  const roots = [];
+
+  rows.forEach(row => byId.set(row.id, { ...formatComment(row), replies: [] }));
+  byId.forEach(comment => {
+    const parent = comment.parentId && byId.get(comment.parentId);
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      roots.push(comment);
+    }
+  });
+
+  return roots;
+};
+
+// Get comments for an idea as a threaded list
+app.get('/api/ideas/:id/comments', optionalAuth, requireIdeaPermission('view'), async (req, res) => {
+  try {
+    const ideaId = req.params.id;
+
+    const result = await pool.query(`
+      SELECT c.*, u.name as author
+      FROM comments c
+      JOIN users u ON c.user_id = u.id
+      WHERE c.idea_id = $1
+      ORDER BY c.created_at ASC
+    `, [ideaId]);
+
+    res.json({
+      comments: buildCommentTree(result.rows),
+      total: result.rows.length
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Push a comment change along with the idea's new comment count
+const broadcastCommentEvent = async (type, ideaId, payload) => {
+  const countResult = await pool.query('SELECT COUNT(*) as count FROM comments WHERE idea_id = $1', [ideaId]);
+  await broadcastIdeaEvent(ideaId, type, { ideaId: parseInt(ideaId), comments: parseInt(countResult.rows[0].count), ...payload });
+};
+
+// Add a comment or a reply to an existing comment
+app.post('/api/ideas/:id/comments', authenticateToken, requireIdeaPermission('comment'), async (req, res) => {
+  try {
+    const ideaId = req.params.id;
+    const { content, parentCommentId = null } = req.body;
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ message: 'Comment content is required' });
+    }
+
+    if (content.length > 5000) {
+      return res.status(400).json({ message: 'Comment must be 5000 characters or less' });
+    }
+
+    // Replies must point at a comment on the same idea
+    let parentComment = null;
+    if (parentCommentId) {
+      const parentId = parseId(parentCommentId);
+      const parentResult = parentId && await pool.query(
+        'SELECT id, user_id FROM comments WHERE id = $1 AND idea_id = $2',
+        [parentId, ideaId]
+      );
+      if (!parentResult || parentResult.rows.length === 0) {
+        return res.status(400).json({ message: 'Parent comment not found on this idea' });
+      }
+      parentComment = parentResult.rows[0];
+    }
+
+    const result = await pool.query(
+      `INSERT INTO comments (idea_id, user_id, parent_comment_id, content)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [ideaId, req.user.id, parentComment ? parentComment.id : null, content.trim()]
+    );
+
+    // Tell the idea author, and the person being replied to if that's someone else
+    const { idea } = req.ideaAccess;
+    const data = { ideaId: idea.id, commentId: result.rows[0].id };
+    await createNotification({
+      userId: idea.author_id,
+      actorId: req.user.id,
+      type: 'comment',
+      title: 'New comment',
+      message: `${req.user.name} commented on "${idea.title}"`,
+      data
+    });
+    if (parentComment && parentComment.user_id !== idea.author_id) {
+      await createNotification({
+        userId: parentComment.user_id,
+        actorId: req.user.id,
+        type: 'comment_reply',
+        title: 'New reply',
+        message: `${req.user.name} replied to your comment on "${idea.title}"`,
+        data
+      });
+    }
+
+    const comment = { ...formatComment({ ...result.rows[0], author: req.user.name }), replies: [] };
+    await broadcastCommentEvent('comment:created', ideaId, { comment });
+
+    res.status(201).json({
+      message: 'Comment added successfully',
+      comment
+    });
+  } catch (error) {
+    console.error('Add comment error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Edit a comment (author only)
+app.put('/api/ideas/:id/comments/:commentId', authenticateToken, requireIdeaPermission('comment'), async (req, res) => {
+  try {
+    const { id: ideaId, commentId } = req.params;
+    const { content } = req.body;
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ message: 'Comment content is required' });
+    }
+
+    if (content.length > 5000) {
+      return res.status(400).json({ message: 'Comment must be 5000 characters or less' });
+    }
+
+    const commentResult = await pool.query(
+      'SELECT * FROM comments WHERE id = $1 AND idea_id = $2',
+      [commentId, ideaId]
+    );
+    if (commentResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (commentResult.rows[0].user_id !== req.user.id) {
+      return res.status(403).json({ message: 'You can only edit your own comments' });
+    }
+
+    const result = await pool.query(
+      `UPDATE comments
+       SET content = $1,
+           is_edited = true,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING *`,
+      [content.trim(), commentId]
+    );
+
+    const comment = formatComment({ ...result.rows[0], author: req.user.name });
+    await broadcastCommentEvent('comment:updated', ideaId, { comment });
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Delete a comment and its replies (comment author, or anyone who can manage the idea)
+app.delete('/api/ideas/:id/comments/:commentId', authenticateToken, requireIdeaPermission('view'), async (req, res) => {
+  try {
+    const { id: ideaId, commentId } = req.params;
+
+    const commentResult = await pool.query(
+      'SELECT * FROM comments WHERE id = $1 AND idea_id = $2',
+      [commentId, ideaId]
+    );
+    if (commentResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const comment = commentResult.rows[0];
+    const canDelete = comment.user_id === req.user.id || req.ideaAccess.can('manage_collaborators');
+    if (!canDelete) {
+      return res.status(403).json({ message: 'You cannot delete this comment' });
+    }
+
+    await pool.query('DELETE FROM comments WHERE id = $1', [commentId]);
+    await broadcastCommentEvent('comment:deleted', ideaId, { commentId: comment.id });
+
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// ================================
+// WORKFLOW ROUTES
+// ================================
+
+// Multiselect answers are stored as a JSON array in the TEXT answer column
+const parseAnswerValue = (questionType, answer) => {
+  if (questionType !== 'multiselect' || answer === null) {
+    return answer;
+  }
+  try {
+    return JSON.parse(answer);
+  } catch (error) {
+    return [];
+  }
+};
+
+// Validate a submitted value against its question type; returns { value } or { error }
+const normalizeAnswer = (question, rawValue) => {
+  if (rawValue === null || rawValue === undefined || rawValue === '') {
+    return { value: null };
+  }
+
+  const options = question.options || [];
+
+  switch (question.question_type) {
+    case 'select':
+      if (!options.includes(rawValue)) {
+        return { error: `"${rawValue}" is not a valid option` };
+      }
+      return { value: rawValue };
+    case 'multiselect': {
+      const values = Array.isArray(rawValue) ? rawValue : [rawValue];
+      const invalid = values.filter(value => !options.includes(value));
+      if (invalid.length > 0) {
+        return { error: `Invalid options: ${invalid.join(', ')}` };
+      }
+      return { value: values.length > 0 ? JSON.stringify(values) : null };
+    }
+    case 'number':
+      if (isNaN(Number(rawValue))) {
+        return { error: 'Answer must be a number' };
+      }
+      return { value: String(Number(rawValue)) };
+    case 'date':
+      if (isNaN(Date.parse(rawValue))) {
+        return { error: 'Answer must be a valid date' };
+      }
+      return { value: rawValue };
+    default:
+      if (typeof rawValue !== 'string') {
+        return { error: 'Answer must be text' };
+      }
+      if (rawValue.length > 10000) {
+        return { error: 'Answer must be 10000 characters or less' };
+      }
+      return { value: rawValue.trim() || null };
+  }
+};
+
+const formatWorkflowQuestion = (row) => ({
+  id: row.id,
+  phaseIndex: row.phase_index,
+  question: row.question,
+  type: row.question_type,
+  options: row.options || [],
+  isRequired: row.is_required,
+  order: row.order_index,
+  answer: row.answer_id ? {
+    id: row.answer_id,
+    value: parseAnswerValue(row.question_type, row.answer),
+    status: row.status,
+    answeredBy: row.answered_by,
+    assignedTo: row.assigned_to,
+    submittedAt: row.submitted_at,
+    reviewedAt: row.reviewed_at,
+    reviewedBy: row.reviewed_by,
+    reviewerName: row.reviewer_name,
+    reviewNotes: row.review_notes,
+    updatedAt: row.answer_updated_at
+  } : null
+});
+
+const getWorkflowQuestions = async (ideaId, phaseIndex) => {
+  const result = await pool.query(`
+    SELECT
+      q.*,
+      a.id as answer_id,
+      a.answer,
+      a.status,
+      a.assigned_to,
+      a.submitted_at,
+      a.reviewed_at,
+      a.reviewed_by,
+      a.review_notes,
+      a.updated_at as answer_updated_at,
+      u.name as answered_by,
+      r.name as reviewer_name
+    FROM workflow_questions q
+    LEFT JOIN workflow_answers a ON a.question_id = q.id AND a.idea_id = $1
+    LEFT JOIN users u ON a.user_id = u.id
+    LEFT JOIN users r ON a.reviewed_by = r.id
+    WHERE q.phase_index = $2 AND q.is_active = true
+    ORDER BY q.order_index, q.id
+  `, [ideaId, phaseIndex]);
+
+  return result.rows.map(formatWorkflowQuestion);
+};
+
+// Work out whether an idea can leave its current phase: every required question
+// must be answered, submitted and approved by a mentor or admin
+const getPhaseReadiness = (idea, questions) => {
+  const blockers = [];
+
+  if (idea.phase_index >= PHASES.length - 1) {
+    return { ready: false, nextPhase: null, blockers: [{ reason: 'Idea is already in the final phase' }] };
+  }
+
+  questions.filter(q => q.isRequired).forEach(q => {
+    const answer = q.answer;
+    const blocker = { questionId: q.id, question: q.question };
+
+    if (!answer || answer.value === null || answer.value.length === 0) {
+      blockers.push({ ...blocker, reason: 'Not answered' });
+    } else if (answer.status === 'rejected') {
+      blockers.push({ ...blocker, reason: 'Changes requested by reviewer', reviewNotes: answer.reviewNotes, reviewedBy: answer.reviewerName });
+    } else if (answer.status === 'completed') {
+      blockers.push({ ...blocker, reason: 'Awaiting mentor review' });
+    } else if (answer.status !== 'approved' || !answer.reviewedBy) {
+      blockers.push({ ...blocker, reason: 'Not submitted for review' });
+    }
+  });
+
+  return { ready: blockers.length === 0, nextPhase: PHASES[idea.phase_index + 1], blockers };
+};
+
+// Resolve the phase being worked on: ?phase=N if given, otherwise the idea's current phase
+const resolvePhaseIndex = (idea, requested) => {
+  if (requested === undefined || requested === null || requested === '') {
+    return idea.phase_index;
+  }
+  const phaseIndex = parseInt(requested);
+  return phaseIndex >= 0 && phaseIndex < PHASES.length ? phaseIndex : null;
+};
+
+// Get the questionnaire (questions + current answers) for an idea's phase
+app.get('/api/ideas/:id/workflow', authenticateToken, requireIdeaPermission('view'), async (req, res) => {
+  try {
+    const access = req.ideaAccess;
+
+    const phaseIndex = resolvePhaseIndex(access.idea, req.query.phase);
+    if (phaseIndex === null) {
+      return res.status(400).json({ message: 'Invalid phase' });
+    }
+
+    const questions = await getWorkflowQuestions(access.idea.id, phaseIndex);
+    const isCurrentPhase = phaseIndex === access.idea.phase_index;
+
+    res.json({
+      phase: PHASES[phaseIndex],
+      phaseIndex,
+      currentPhaseIndex: access.idea.phase_index,
+      canEdit: access.can('edit') && isCurrentPhase,
+      canReview: ['mentor', 'admin'].includes(req.user.role) && !access.isAuthor && isCurrentPhase,
+      canAdvance: access.can('edit'),
+      readiness: isCurrentPhase ? getPhaseReadiness(access.idea, questions) : null,
+      questions
+    });
+  } catch (error) {
+    console.error('Get workflow error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Save draft answers for the idea's current phase
+app.put('/api/ideas/:id/workflow/answers', authenticateToken, requireIdeaPermission('edit'), async (req, res) => {
+  try {
+    const { answers } = req.body;
+
+    if (!Array.isArray(answers) || answers.length === 0) {
+      return res.status(400).json({ message: 'Answers are required' });
+    }
+
+    const { idea } = req.ideaAccess;
+    const questionsResult = await pool.query(
+      'SELECT * FROM workflow_questions WHERE phase_index = $1 AND is_active = true',
+      [idea.phase_index]
+    );
+    const questionsById = new Map(questionsResult.rows.map(q => [q.id, q]));
+    // Answers can only be assigned to someone on the idea's team
+    const teamIds = await getIdeaTeamIds(idea);
+
+    // Validate everything before writing anything
+    const errors = [];
+    const updates = answers.map(({ questionId, value, assignedTo }) => {
+      const question = questionsById.get(parseInt(questionId));
+      if (!question) {
+        errors.push({ questionId, message: 'Question does not belong to the current phase' });
+        return null;
+      }
+      const normalized = normalizeAnswer(question, value);
+      if (normalized.error) {
+        errors.push({ questionId, message: normalized.error });
+        return null;
+      }
+      const assigneeId = assignedTo ? parseId(assignedTo) : null;
+      if (assignedTo && !teamIds.includes(assigneeId)) {
+        errors.push({ questionId, message: 'Answers can only be assigned to the idea owner or a collaborator' });
+        return null;
+      }
+      return { questionId: question.id, value: normalized.value, assignedTo: assigneeId };
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Some answers are invalid', errors });
+    }
+
+    // Changing an answer puts it back into draft and clears any earlier review; unchanged
+    // answers keep their status so re-saving doesn't undo an approval. A rejected answer goes
+    // back to draft even unchanged, so the author can resubmit it as it stands.
+    await withTransaction(async (client) => {
+      for (const update of updates) {
+        await client.query(`
+          INSERT INTO workflow_answers (idea_id, question_id, user_id, answer, assigned_to, status)
+          VALUES ($1, $2, $3, $4, $5, 'in_progress')
+          ON CONFLICT (idea_id, question_id) DO UPDATE
+          SET answer = EXCLUDED.answer,
+              user_id = EXCLUDED.user_id,
+              status = 'in_progress',
+              submitted_at = NULL,
+              reviewed_at = NULL,
+              reviewed_by = NULL,
+              review_notes = NULL,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE workflow_answers.answer IS DISTINCT FROM EXCLUDED.answer
+             OR workflow_answers.status = 'rejected'
+        `, [idea.id, update.questionId, req.user.id, update.value, update.assignedTo]);
+
+        if (update.assignedTo) {
+          await client.query(
+            'UPDATE workflow_answers SET assigned_to = $1 WHERE idea_id = $2 AND question_id = $3',
+            [update.assignedTo, idea.id, update.questionId]
+          );
+        }
+      }
+    });
+
+    res.json({
+      message: 'Answers saved',
+      questions: await getWorkflowQuestions(idea.id, idea.phase_index)
+    });
+  } catch (error) {
+    console.error('Save workflow answers error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Submit the current phase's answers for mentor review
+app.post('/api/ideas/:id/workflow/submit', authenticateToken, requireIdeaPermission('edit'), async (req, res) => {
+  try {
+    const { idea } = req.ideaAccess;
+    const questions = await getWorkflowQuestions(idea.id, idea.phase_index);
+
+    const missing = questions
+      .filter(q => q.isRequired && (!q.answer || q.answer.value === null || q.answer.value.length === 0))
+      .map(q => ({ questionId: q.id, question: q.question }));
+
+    if (missing.length > 0) {
+      return res.status(400).json({ message: 'All required questions must be answered before submitting', missing });
+    }
+
+    // Only drafts go into review; rejected answers have to be saved again (which makes them drafts) first
+    await pool.query(`
+      UPDATE workflow_answers a
+      SET status = 'completed',
+          submitted_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      FROM workflow_questions q
+      WHERE a.question_id = q.id
+        AND a.idea_id = $1
+        AND q.phase_index = $2
+        AND a.answer IS NOT NULL
+        AND a.status IN ('pending', 'in_progress')
+    `, [idea.id, idea.phase_index]);
+
+    res.json({
+      message: 'Answers submitted for review',
+      questions: await getWorkflowQuestions(idea.id, idea.phase_index)
+    });
+  } catch (error) {
+    console.error('Submit workflow answers error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Approve or reject submitted answers for the idea's current phase (mentors and admins)
+app.post('/api/ideas/:id/workflow/review', authenticateToken, requireMentor, requireIdeaPermission('view'), async (req, res) => {
+  try {
+    const { reviews } = req.body;
+
+    if (!Array.isArray(reviews) || reviews.length === 0) {
+      return res.status(400).json({ message: 'Reviews are required' });
+    }
+
+    const { idea } = req.ideaAccess;
+    if (idea.author_id === req.user.id) {
+      return res.status(403).json({ message: 'You cannot review answers on your own idea' });
+    }
+
+    const questions = await getWorkflowQuestions(idea.id, idea.phase_index);
+    const questionsById = new Map(questions.map(q => [q.id, q]));
+
+    const errors = [];
+    reviews.forEach(({ questionId, status, notes }) => {
+      const question = questionsById.get(parseInt(questionId));
+      if (!question) {
+        errors.push({ questionId, message: 'Question does not belong to the current phase' });
+      } else if (!question.answer || question.answer.status !== 'completed') {
+        errors.push({ questionId, message: 'Only submitted answers can be reviewed' });
+      } else if (!['approved', 'rejected'].includes(status)) {
+        errors.push({ questionId, message: 'Status must be approved or rejected' });
+      } else if (status === 'rejected' && !notes?.trim()) {
+        errors.push({ questionId, message: 'A reason is required when rejecting an answer' });
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Some reviews are invalid', errors });
+    }
+
+    await withTransaction(async (client) => {
+      for (const { questionId, status, notes } of reviews) {
+        await client.query(`
+          UPDATE workflow_answers
+          SET status = $1,
+              review_notes = $2,
+              reviewed_by = $3,
+              reviewed_at = CURRENT_TIMESTAMP,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE idea_id = $4 AND question_id = $5
+        `, [status, notes?.trim() || null, req.user.id, idea.id, questionId]);
+      }
+    });
+
+    const updatedQuestions = await getWorkflowQuestions(idea.id, idea.phase_index);
+
+    res.json({
+      message: 'Review saved',
+      readiness: getPhaseReadiness(idea, updatedQuestions),
+      questions: updatedQuestions
+    });
+  } catch (error) {
+    console.error('Review workflow answers error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Advance an idea to the next phase once its current phase has been approved
+app.post('/api/ideas/:id/advance-phase', authenticateToken, requireIdeaPermission('edit'), async (req, res) => {
+  try {
+    const { idea } = req.ideaAccess;
+
+    // Guard against stale clients trying to skip phases
+    const { toPhaseIndex } = req.body;
+    if (toPhaseIndex !== undefined && parseInt(toPhaseIndex) !== idea.phase_index + 1) {
+      return res.status(400).json({ message: 'Ideas can only advance one phase at a time' });
+    }
+
+    const questions = await getWorkflowQuestions(idea.id, idea.phase_index);
+    const readiness = getPhaseReadiness(idea, questions);
+
+    if (!readiness.ready) {
+      return res.status(409).json({
+        message: `${PHASES[idea.phase_index]} is not complete yet`,
+        blockers: readiness.blockers
+      });
+    }
+
+    // Only move forward if nobody else advanced the idea in the meantime
+    const result = await pool.query(
+      `UPDATE ideas
+       SET phase = $1,
+           phase_index = phase_index + 1,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND phase_index = $3
+       RETURNING *`,
+      [readiness.nextPhase, idea.id, idea.phase_index]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ message: 'Idea phase changed, please refresh and try again' });
+    }
+
+    const updatedIdea = result.rows[0];
+
+    await broadcastIdeaEvent(updatedIdea.id, 'idea:updated', {
+      idea: { id: updatedIdea.id, phase: updatedIdea.phase, phaseIndex: updatedIdea.phase_index }
+    });
+
+    // Everyone working on the idea hears about the move
+    const teamIds = await getIdeaTeamIds(updatedIdea);
+    for (const userId of teamIds) {
+      await createNotification({
+        userId,
+        actorId: req.user.id,
+        type: 'phase_advanced',
+        title: 'Phase advanced',
+        message: `"${updatedIdea.title}" moved to ${updatedIdea.phase}`,
+        data: { ideaId: updatedIdea.id, phaseIndex: updatedIdea.phase_index }
+      });
+    }
+
+    res.json({
+      message: `Idea advanced to ${updatedIdea.phase}`,
+      idea: {
+        id: updatedIdea.id,
+        phase: updatedIdea.phase,
+        phaseIndex: updatedIdea.phase_index
+      }
+    });
+  } catch (error) {
+    console.error('Advance phase error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// ================================
+// MENTORSHIP ROUTES
+// ================================
+
+// Requested mentorships may name a mentor or be open to any mentor who picks them up
+const OPEN_MENTORSHIP_STATUSES = ['requested', 'active', 'paused'];
+
+const formatMentorship = (row) => ({
+  id: row.id,
+  ideaId: row.idea_id,
+  ideaTitle: row.idea_title,
+  mentorId: row.mentor_id,
+  mentorName: row.mentor_name,
+  menteeId: row.mentee_id,
+  menteeName: row.mentee_name,
+  status: row.status,
+  notes: row.notes,
+  sessionCount: parseInt(row.session_count || 0),
+  startDate: row.start_date ? new Date(row.start_date).toLocaleDateString() : null,
+  endDate: row.end_date ? new Date(row.end_date).toLocaleDateString() : null,
+  createdAt: new Date(row.created_at).toLocaleDateString()
+});
+
+// Mentorship notes stay between the mentee, the mentor, the idea's team and admins; anyone
+// else who can view the idea (guests included, on public ideas) gets the mentorship without them
+const formatMentorshipForViewer = (row, access, user) => {
+  const mentorship = formatMentorship(row);
+  const mayReadNotes = access.role !== null ||
+    (user && (mentorship.mentorId === user.id || mentorship.menteeId === user.id));
+  return mayReadNotes ? mentorship : { ...mentorship, notes: undefined };
+};
+
+const MENTORSHIP_SELECT = `
+  SELECT
+    m.*,
+    i.title as idea_title,
+    mentor.name as mentor_name,
+    mentee.name as mentee_name,
+    (SELECT COUNT(*) FROM mentorship_sessions s WHERE s.mentorship_id = m.id) as session_count
+  FROM mentorships m
+  JOIN ideas i ON m.idea_id = i.id
+  JOIN users mentee ON m.mentee_id = mentee.id
+  LEFT JOIN users mentor ON m.mentor_id = mentor.id
+`;
+
+const getMentorship = async (mentorshipId) => {
+  const result = await pool.query(`${MENTORSHIP_SELECT} WHERE m.id = $1`, [mentorshipId]);
+  return result.rows[0] || null;
+};
+
+// Start an active mentorship between a mentor and an idea's author, unless one is already open
+const startMentorship = async (idea, mentorId) => {
+  const existing = await pool.query(
+    'SELECT id FROM mentorships WHERE idea_id = $1 AND mentor_id = $2 AND status = ANY($3)',
+    [idea.id, mentorId, OPEN_MENTORSHIP_STATUSES]
+  );
+  if (existing.rows.length > 0) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `INSERT INTO mentorships (mentor_id, mentee_id, idea_id, status, start_date)
+     VALUES ($1, $2, $3, 'active', CURRENT_DATE)
+     RETURNING id`,
+    [mentorId, idea.author_id, idea.id]
+  );
+  return getMentorship(result.rows[0].id);
+};
+
+// List mentors with how many active mentorships they already have
+app.get('/api/mentors', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT u.id, u.name, COUNT(m.id) as active_count
+      FROM users u
+      LEFT JOIN mentorships m ON m.mentor_id = u.id AND m.status = 'active'
+      WHERE u.role = 'mentor'
+      GROUP BY u.id, u.name
+      ORDER BY u.name ASC
+    `);
+
+    res.json({
+      mentors: result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        activeMentorships: parseInt(row.active_count)
+      }))
+    });
+  } catch (error) {
+    console.error('Get mentors error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Mentorships I mentor or am mentored in, plus open requests any mentor can pick up
+app.get('/api/mentorships', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      ${MENTORSHIP_SELECT}
+      WHERE m.mentor_id = $1 OR m.mentee_id = $1
+         OR (m.status = 'requested' AND m.mentor_id IS NULL AND $2 AND ${visibleIdeaCondition('$1', '$3')})
+      ORDER BY m.created_at DESC
+    `, [req.user.id, ['mentor', 'admin'].includes(req.user.role), req.user.role === 'admin']);
+
+    const mentorships = result.rows.map(formatMentorship);
+
+    res.json({
+      asMentor: mentorships.filter(m => m.mentorId === req.user.id),
+      asMentee: mentorships.filter(m => m.menteeId === req.user.id),
+      openRequests: mentorships.filter(m => m.mentorId === null && m.menteeId !== req.user.id)
+    });
+  } catch (error) {
+    console.error('Get mentorships error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// List an idea's mentorships (completed and declined ones are kept for the record)
+app.get('/api/ideas/:id/mentorships', authenticateToken, requireIdeaPermission('view'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `${MENTORSHIP_SELECT} WHERE m.idea_id = $1 ORDER BY m.created_at DESC`,
+      [req.params.id]
+    );
+
+    res.json({ mentorships: result.rows.map(mentorship => formatMentorshipForViewer(mentorship, req.ideaAccess, req.user)) });
+  } catch (error) {
+    console.error('Get idea mentorships error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Ask for a mentor on my idea, optionally naming one
+app.post('/api/ideas/:id/mentorships/request', authenticateToken, requireIdeaPermission('view'), async (req, res) => {
+  try {
+    const { idea, isAuthor } = req.ideaAccess;
+    const { mentorId = null, notes } = req.body;
+
+    if (!isAuthor) {
+      return res.status(403).json({ message: 'Only the idea owner can request a mentor' });
+    }
+
+    if (mentorId) {
+      const mentorResult = await pool.query('SELECT id, role FROM users WHERE id = $1', [mentorId]);
+      if (mentorResult.rows.length === 0 || mentorResult.rows[0].role !== 'mentor') {
+        return res.status(400).json({ message: 'Selected user is not a mentor' });
+      }
+    }
+
+    const existing = await pool.query(
+      `SELECT id FROM mentorships
+       WHERE idea_id = $1 AND status = ANY($2)
+         AND (mentor_id IS NOT DISTINCT FROM $3 OR (status = 'requested' AND mentor_id IS NULL))`,
+      [idea.id, OPEN_MENTORSHIP_STATUSES, mentorId]
+    );
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ message: 'This idea already has an open mentorship request' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO mentorships (mentor_id, mentee_id, idea_id, status, notes, start_date)
+       VALUES ($1, $2, $3, 'requested', $4, NULL)
+       RETURNING id`,
+      [mentorId, req.user.id, idea.id, notes]
+    );
+
+    if (mentorId) {
+      await createNotification({
+        userId: mentorId,
+        actorId: req.user.id,
+        type: 'mentorship_request',
+        title: 'Mentorship request',
+        message: `${req.user.name} asked you to mentor "${idea.title}"`,
+        data: { ideaId: idea.id, mentorshipId: result.rows[0].id }
+      });
+    }
+
+    res.status(201).json({
+      message: 'Mentorship requested',
+      mentorship: formatMentorship(await getMentorship(result.rows[0].id))
+    });
+  } catch (error) {
+    console.error('Request mentorship error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Volunteer to mentor an idea
+app.post('/api/ideas/:id/mentorships/volunteer', authenticateToken, requireMentor, requireIdeaPermission('view'), async (req, res) => {
+  try {
+    const { idea } = req.ideaAccess;
+
+    if (idea.author_id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot mentor your own idea' });
+    }
+
+    // Picking up an open request for this idea fulfils it rather than adding a second row
+    const openRequest = await pool.query(
+      `SELECT id FROM mentorships WHERE idea_id = $1 AND status = 'requested' AND (mentor_id IS NULL OR mentor_id = $2)
+       ORDER BY created_at ASC LIMIT 1`,
+      [idea.id, req.user.id]
+    );
+
+    let mentorship;
+    if (openRequest.rows.length > 0) {
+      await pool.query(
+        `UPDATE mentorships SET mentor_id = $1, status = 'active', start_date = CURRENT_DATE, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [req.user.id, openRequest.rows[0].id]
+      );
+      mentorship = await getMentorship(openRequest.rows[0].id);
+    } else {
+      mentorship = await startMentorship(idea, req.user.id);
+      if (!mentorship) {
+        return res.status(409).json({ message: 'You are already mentoring this idea' });
+      }
+    }
+
+    await createNotification({
+      userId: idea.author_id,
+      actorId: req.user.id,
+      type: 'mentorship_started',
+      title: 'New mentor',
+      message: `${req.user.name} is now mentoring "${idea.title}"`,
+      data: { ideaId: idea.id, mentorshipId: mentorship.id }
+    });
+
+    res.status(201).json({
+      message: 'You are now mentoring this idea',
+      mentorship: formatMentorship(mentorship)
+    });
+  } catch (error) {
+    console.error('Volunteer mentorship error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Assign a mentor to an idea (admin only)
+app.post('/api/ideas/:id/mentorships/assign', authenticateToken, requireAdmin, requireIdeaPermission('view'), async (req, res) => {
+  try {
+    const { idea } = req.ideaAccess;
+    const { mentorId } = req.body;
+
+    const mentorResult = await pool.query('SELECT id, name, role FROM users WHERE id = $1', [mentorId]);
+    if (mentorResult.rows.length === 0 || mentorResult.rows[0].role !== 'mentor') {
+      return res.status(400).json({ message: 'Selected user is not a mentor' });
+    }
+
+    if (mentorResult.rows[0].id === idea.author_id) {
+      return res.status(400).json({ message: 'A mentor cannot mentor their own idea' });
+    }
+
+    const mentorship = await startMentorship(idea, mentorResult.rows[0].id);
+    if (!mentorship) {
+      return res.status(409).json({ message: 'This mentor is already assigned to the idea' });
+    }
+
+    // An assignment answers any open request for the idea
+    await pool.query(
+      `UPDATE mentorships SET status = 'declined', updated_at = CURRENT_TIMESTAMP
+       WHERE idea_id = $1 AND status = 'requested' AND (mentor_id IS NULL OR mentor_id = $2)`,
+      [idea.id, mentorResult.rows[0].id]
+    );
+
+    await createNotification({
+      userId: mentorResult.rows[0].id,
+      actorId: req.user.id,
+      type: 'mentorship_started',
+      title: 'Mentor assignment',
+      message: `You have been assigned to mentor "${idea.title}"`,
+      data: { ideaId: idea.id, mentorshipId: mentorship.id }
+    });
+    await createNotification({
+      userId: idea.author_id,
+      actorId: req.user.id,
+      type: 'mentorship_started',
+      title: 'New mentor',
+      message: `${mentorResult.rows[0].name} is now mentoring "${idea.title}"`,
+      data: { ideaId: idea.id, mentorshipId: mentorship.id }
+    });
+
+    res.status(201).json({
+      message: 'Mentor assigned successfully',
+      mentorship: formatMentorship(mentorship)
+    });
+  } catch (error) {
+    console.error('Assign mentor error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Accept a mentorship request addressed to me, or an open one
+app.post('/api/mentorships/:id/accept', authenticateToken, requireMentor, async (req, res) => {
+  try {
+    const mentorship = await getMentorship(req.params.id);
+    if (!mentorship) {
+      return res.status(404).json({ message: 'Mentorship not found' });
+    }
+
+    if (mentorship.status !== 'requested') {
+      return res.status(400).json({ message: `This mentorship is already ${mentorship.status}` });
+    }
+
+    if (mentorship.mentor_id !== null && mentorship.mentor_id !== req.user.id) {
+      return res.status(403).json({ message: 'This request was sent to another mentor' });
+    }
+
+    if (mentorship.mentee_id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot mentor your own idea' });
+    }
+
+    // Conditional update so two mentors can't pick up the same open request
+    const result = await pool.query(
+      `UPDATE mentorships SET mentor_id = $1, status = 'active', start_date = CURRENT_DATE, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = 'requested'
+       RETURNING id`,
+      [req.user.id, mentorship.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(409).json({ message: 'This request was already picked up' });
+    }
+
+    await createNotification({
+      userId: mentorship.mentee_id,
+      actorId: req.user.id,
+      type: 'mentorship_started',
+      title: 'Mentorship accepted',
+      message: `${req.user.name} accepted your mentorship request for "${mentorship.idea_title}"`,
+      data: { ideaId: mentorship.idea_id, mentorshipId: mentorship.id }
+    });
+
+    res.json({
+      message: 'Mentorship accepted',
+      mentorship: formatMentorship(await getMentorship(mentorship.id))
+    });
+  } catch (error) {
+    console.error('Accept mentorship error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Decline a request addressed to me, or withdraw my own request
+app.post('/api/mentorships/:id/decline', authenticateToken, async (req, res) => {
+  try {
+    const mentorship = await getMentorship(req.params.id);
+    if (!mentorship) {
+      return res.status(404).json({ message: 'Mentorship not found' });
+    }
+
+    if (mentorship.status !== 'requested') {
+      return res.status(400).json({ message: `This mentorship is already ${mentorship.status}` });
+    }
+
+    const isMentee = mentorship.mentee_id === req.user.id;
+    if (!isMentee && mentorship.mentor_id !== req.user.id) {
+      return res.status(403).json({ message: 'You cannot decline this request' });
+    }
+
+    await pool.query(
+      `UPDATE mentorships SET status = 'declined', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [mentorship.id]
+    );
+
+    if (!isMentee) {
+      await createNotification({
+        userId: mentorship.mentee_id,
+        actorId: req.user.id,
+        type: 'mentorship_declined',
+        title: 'Mentorship declined',
+        message: `${req.user.name} declined your mentorship request for "${mentorship.idea_title}"`,
+        data: { ideaId: mentorship.idea_id, mentorshipId: mentorship.id }
+      });
+    }
+
+    res.json({ message: isMentee ? 'Mentorship request withdrawn' : 'Mentorship request declined' });
+  } catch (error) {
+    console.error('Decline mentorship error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Pause or resume a mentorship (mentor only)
+app.put('/api/mentorships/:id', authenticateToken, async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!['active', 'paused'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be active or paused' });
+    }
+
+    const mentorship = await getMentorship(req.params.id);
+    if (!mentorship) {
+      return res.status(404).json({ message: 'Mentorship not found' });
+    }
+
+    if (mentorship.mentor_id !== req.user.id) {
+      return res.status(403).json({ message: 'Only the mentor can update this mentorship' });
+    }
+
+    if (!['active', 'paused'].includes(mentorship.status)) {
+      return res.status(400).json({ message: `This mentorship is ${mentorship.status}` });
+    }
+
+    await pool.query(
+      'UPDATE mentorships SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [status, mentorship.id]
+    );
+
+    res.json({
+      message: status === 'paused' ? 'Mentorship paused' : 'Mentorship resumed',
+      mentorship: formatMentorship(await getMentorship(mentorship.id))
+    });
+  } catch (error) {
+    console.error('Update mentorship error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Close a mentorship with optional closing notes (mentor only)
+app.post('/api/mentorships/:id/complete', authenticateToken, async (req, res) => {
+  try {
+    const mentorship = await getMentorship(req.params.id);
+    if (!mentorship) {
+      return res.status(404).json({ message: 'Mentorship not found' });
+    }
+
+    if (mentorship.mentor_id !== req.user.id) {
+      return res.status(403).json({ message: 'Only the mentor can close this mentorship' });
+    }
+
+    if (!['active', 'paused'].includes(mentorship.status)) {
+      return res.status(400).json({ message: `This mentorship is ${mentorship.status}` });
+    }
+
+    await pool.query(
+      `UPDATE mentorships
+       SET status = 'completed', end_date = CURRENT_DATE, notes = COALESCE($1, notes), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [req.body.notes?.trim() || null, mentorship.id]
+    );
+
+    await createNotification({
+      userId: mentorship.mentee_id,
+      actorId: req.user.id,
+      type: 'mentorship_completed',
+      title: 'Mentorship completed',
+      message: `${req.user.name} closed the mentorship for "${mentorship.idea_title}"`,
+      data: { ideaId: mentorship.idea_id, mentorshipId: mentorship.id }
+    });
+
+    res.json({
+      message: 'Mentorship completed',
+      mentorship: formatMentorship(await getMentorship(mentorship.id))
+    });
+  } catch (error) {
+    console.error('Complete mentorship error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+const formatSession = (row) => ({
+  id: row.id,
+  mentorshipId: row.mentorship_id,
+  sessionDate: new Date(row.session_date).toLocaleDateString(),
+  notes: row.notes,
+  createdAt: new Date(row.created_at).toLocaleString()
+});
+
+// List a mentorship's session log (mentor and mentee)
+app.get('/api/mentorships/:id/sessions', authenticateToken, async (req, res) => {
+  try {
+    const mentorship = await getMentorship(req.params.id);
+    if (!mentorship) {
+      return res.status(404).json({ message: 'Mentorship not found' });
+    }
+
+    const isParticipant = [mentorship.mentor_id, mentorship.mentee_id].includes(req.user.id);
+    if (!isParticipant && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'You are not part of this mentorship' });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM mentorship_sessions WHERE mentorship_id = $1 ORDER BY session_date DESC, id DESC',
+      [mentorship.id]
+    );
+
+    res.json({ sessions: result.rows.map(formatSession) });
+  } catch (error) {
+    console.error('Get mentorship sessions error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Log a mentoring session (mentor only, while the mentorship is active)
+app.post('/api/mentorships/:id/sessions', authenticateToken, async (req, res) => {
+  try {
+    const { notes, sessionDate } = req.body;
+
+    if (!notes || !notes.trim()) {
+      return res.status(400).json({ message: 'Session notes are required' });
+    }
+
+    if (sessionDate && isNaN(Date.parse(sessionDate))) {
+      return res.status(400).json({ message: 'Session date is invalid' });
+    }
+
+    const mentorship = await getMentorship(req.params.id);
+    if (!mentorship) {
+      return res.status(404).json({ message: 'Mentorship not found' });
+    }
+
+    if (mentorship.mentor_id !== req.user.id) {
+      return res.status(403).json({ message: 'Only the mentor can log sessions' });
+    }
+
+    if (mentorship.status !== 'active') {
+      return res.status(400).json({ message: 'Sessions can only be logged on active mentorships' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO mentorship_sessions (mentorship_id, session_date, notes)
+       VALUES ($1, COALESCE($2::date, CURRENT_DATE), $3)
+       RETURNING *`,
+      [mentorship.id, sessionDate || null, notes.trim()]
+    );
+
+    await createNotification({
+      userId: mentorship.mentee_id,
+      actorId: req.user.id,
+      type: 'mentorship_session',
+      title: 'Mentoring session logged',
+      message: `${req.user.name} added session notes for "${mentorship.idea_title}"`,
+      data: { ideaId: mentorship.idea_id, mentorshipId: mentorship.id }
+    });
+
+    res.status(201).json({
+      message: 'Session logged',
+      session: formatSession(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Log mentorship session error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// ================================
+// NOTIFICATION ROUTES
+// ================================
+
+// List the current user's notifications, newest first
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const unreadOnly = req.query.unread === 'true';
+
+    const result = await pool.query(`
+      SELECT * FROM notifications
+      WHERE user_id = $1 ${unreadOnly ? 'AND is_read = false' : ''}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2
+    `, [req.user.id, limit]);
+
+    const countResult = await pool.query(
+      'SELECT COUNT(*) as count FROM notifications WHERE user_id = $1 AND is_read = false',
+      [req.user.id]
+    );
+
+    res.json({
+      notifications: result.rows.map(formatNotification),
+      unreadCount: parseInt(countResult.rows[0].count)
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Mark all of the current user's notifications as read
+app.put('/api/notifications/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE notifications SET is_read = true WHERE user_id = $1 AND is_read = false',
+      [req.user.id]
+    );
+
+    res.json({ message: 'All notifications marked as read', updated: result.rowCount });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Mark a single notification as read
+app.put('/api/notifications/:id/read', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'UPDATE notifications SET is_read = true WHERE id = $1 AND user_id = $2 RETURNING *',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification marked as read', notification: formatNotification(result.rows[0]) });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// ================================
+// REAL-TIME EVENTS
+// ================================
+
+// Server-Sent Events stream. EventSource can't send headers, so a signed-in stream is opened
+// with a ticket in the URL.
+// Tickets are only good for opening a stream and expire quickly, so one that ends up in an
+// access log is of no use; the client fetches a new one whenever a reconnect is refused.
+const EVENT_TICKET_TTL = '60s';
+
+app.post('/api/events/ticket', auditLog(null), authenticateToken, (req, res) => {
+  const ticket = jwt.sign({ userId: req.user.id, purpose: 'events' }, process.env.JWT_SECRET, { expiresIn: EVENT_TICKET_TTL });
+  res.json({ ticket });
+});
+
+app.get('/api/events', async (req, res) => {
+  let userId = null;
+  let role = null;
+
+  if (req.query.ticket) {
+    try {
+      const decoded = jwt.verify(req.query.ticket, process.env.JWT_SECRET);
+      if (decoded.purpose !== 'events') {
+        throw new Error('Not an event stream ticket');
+      }
+      userId = decoded.userId;
+    } catch (error) {
+      return res.status(403).json({ message: 'Invalid or expired ticket' });
+    }
+
+    // The role decides which private ideas' events reach this stream
+    try {
+      const userResult = await pool.query('SELECT role FROM users WHERE id = $1', [userId]);
+      if (userResult.rows.length === 0) {
+        return res.status(403).json({ message: 'Invalid or expired ticket' });
+      }
+      role = userResult.rows[0].role;
+    } catch (error) {
+      console.error('Event stream user lookup error:', error);
+      return res.status(500).json({ message: 'Internal server error' });
+    }
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write('retry: 5000\n\n');
+
+  const client = { res, userId, role };
+  eventClients.add(client);
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    eventClients.delete(client);
+  });
+});
+
+// ================================
+// ARTIFACT ROUTES
+// ================================
+
+const ARTIFACT_SELECT = `
+  SELECT a.*, u.name as created_by_name FROM idea_artifacts a
+  LEFT JOIN users u ON a.created_by = u.id
+`;
+
+const formatArtifact = (row) => ({
+  id: row.id,
+  type: row.type,
+  version: row.version,
+  content: row.content,
+  source: row.source,
+  provider: row.provider,
+  model: row.model,
+  createdBy: row.created_by_name,
+  createdAt: new Date(row.created_at).toLocaleString()
+});
+
+// Checks :type after requireIdeaPermission; artifacts open up once the idea reaches their phase
+const requireAvailableArtifact = (req, res, next) => {
+  const definition = ARTIFACT_TYPES[req.params.type];
+  if (!definition) {
+    return res.status(404).json({ message: 'Unknown artifact type' });
+  }
+
+  if (req.ideaAccess.idea.phase_index < definition.phaseIndex) {
+    return res.status(400).json({ message: `${definition.label} becomes available in ${PHASES[definition.phaseIndex]}` });
+  }
+
+  next();
+};
+
+// Append a new version of an artifact. With `baseVersion`, nothing is stored unless that is
+// still the latest version; resolves to the stored row, or null on such a conflict.
+const saveArtifactVersion = async ({ ideaId, type, content, source, provider = null, model = null, userId, baseVersion = null }) => {
+  try {
+    const result = await pool.query(`
+      INSERT INTO idea_artifacts (idea_id, type, version, content, source, provider, model, created_by)
+      SELECT $1::integer, $2::varchar, COALESCE(MAX(version), 0) + 1, $3::json, $4, $5, $6, $7::integer
+      FROM idea_artifacts WHERE idea_id = $1::integer AND type = $2::varchar
+      HAVING $8::integer IS NULL OR COALESCE(MAX(version), 0) = $8
+      RETURNING *
+    `, [ideaId, type, JSON.stringify(content), source, provider, model, userId, baseVersion]);
+
+    return result.rows[0] || null;
+  } catch (error) {
+    // Two saves raced for the same version number
+    if (error.code === '23505') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// List every artifact type with the idea's latest version of it
+app.get('/api/ideas/:id/artifacts', authenticateToken, requireIdeaPermission('view'), async (req, res) => {
+  try {
+    const idea = req.ideaAccess.idea;
+    const result = await pool.query(`
+      SELECT DISTINCT ON (a.type) a.*, u.name as created_by_name FROM idea_artifacts a
+      LEFT JOIN users u ON a.created_by = u.id
+      WHERE a.idea_id = $1
+      ORDER BY a.type, a.version DESC
+    `, [idea.id]);
+    const latestByType = Object.fromEntries(result.rows.map(row => [row.type, formatArtifact(row)]));
+
+    res.json({
+      artifacts: Object.entries(ARTIFACT_TYPES).map(([type, definition]) => ({
+        type,
+        label: definition.label,
+        phaseIndex: definition.phaseIndex,
+        phase: PHASES[definition.phaseIndex],
+        sections: definition.sections,
+        available: idea.phase_index >= definition.phaseIndex,
+        current: latestByType[type] || null
+      }))
+    });
+  } catch (error) {
+    console.error('Get artifacts error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Every stored version of one artifact, newest first
+app.get('/api/ideas/:id/artifacts/:type/versions', authenticateToken, requireIdeaPermission('view'), async (req, res) => {
+  try {
+    if (!ARTIFACT_TYPES[req.params.type]) {
+      return res.status(404).json({ message: 'Unknown artifact type' });
+    }
+
+    const result = await pool.query(
+      `${ARTIFACT_SELECT} WHERE a.idea_id = $1 AND a.type = $2 ORDER BY a.version DESC`,
+      [req.ideaAccess.idea.id, req.params.type]
+    );
+
+    res.json({ versions: result.rows.map(formatArtifact) });
+  } catch (error) {
+    console.error('Get artifact versions error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Generate a new version of an artifact from the idea, its workflow answers and discussion
+app.post('/api/ideas/:id/artifacts/:type/generate', authenticateToken, auditLog('ai.generate_artifact', { describe: (req) => ({ details: { type: req.params.type } }) }), aiLimiter, requireAIQuota, requireIdeaPermission('edit'), requireAvailableArtifact, async (req, res) => {
+  try {
+    const idea = req.ideaAccess.idea;
+    const type = req.params.type;
+
+    let generated;
+    try {
+      generated = await generateArtifact(type, await loadIdeaContext(idea), { meter: { userId: req.user.id, ideaId: idea.id } });
+    } catch (error) {
+      console.error('Generate artifact error:', error.message);
+      const message = error.code === 'not_configured'
+        ? 'AI generation is not available because no AI provider is configured'
+        : 'AI generation failed, please try again';
+      return res.status(503).json({ message });
+    }
+
+    const row = await saveArtifactVersion({
+      ideaId: idea.id,
+      type,
+      content: generated.content,
+      source: 'ai',
+      provider: generated.provider,
+      model: generated.model,
+      userId: req.user.id
+    });
+
+    res.status(201).json({
+      message: `${ARTIFACT_TYPES[type].label} generated`,
+      artifact: formatArtifact({ ...row, created_by_name: req.user.name })
+    });
+  } catch (error) {
+    console.error('Generate artifact error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Save an edited artifact as a new version. `baseVersion` is the version the edit started
+// from; if someone saved in the meantime the edit is rejected instead of overwriting theirs.
+app.put('/api/ideas/:id/artifacts/:type', authenticateToken, requireIdeaPermission('edit'), requireAvailableArtifact, async (req, res) => {
+  try {
+    const type = req.params.type;
+    const { content, baseVersion } = req.body;
+
+    const errors = validateArtifactContent(type, content);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid artifact content', errors });
+    }
+
+    const row = await saveArtifactVersion({
+      ideaId: req.ideaAccess.idea.id,
+      type,
+      content: normalizeArtifactContent(type, content),
+      source: 'edit',
+      userId: req.user.id,
+      baseVersion: baseVersion ?? null
+    });
+
+    if (!row) {
+      return res.status(409).json({ message: 'This artifact was changed by someone else, please refresh and try again' });
+    }
+
+    res.json({
+      message: `${ARTIFACT_TYPES[type].label} saved`,
+      artifact: formatArtifact({ ...row, created_by_name: req.user.name })
+    });
+  } catch (error) {
+    console.error('Save artifact error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// ================================
+// AI ASSISTANT ROUTES
+// ================================
+
+// Store a question and its answer in a thread; resolves to both as formatted messages
+const saveAssistantExchange = (conversationId, question, response, user) => withTransaction(async (client) => {
+  const insert = (role, content, authorId) => client.query(
+    `INSERT INTO ai_messages (conversation_id, role, content, author_id)
+     VALUES ($1, $2, $3, $4) RETURNING *`,
+    [conversationId, role, content, authorId]
+  );
+  const questionRow = (await insert('user', question, user.id)).rows[0];
+  const answerRow = (await insert('assistant', response, null)).rows[0];
+  await client.query('UPDATE ai_conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [conversationId]);
+
+  return [
+    formatConversationMessage({ ...questionRow, author_name: user.name }),
+    formatConversationMessage(answerRow)
+  ];
+});
+
+// Teammates with the idea open see new shared-thread messages as they are stored
+const broadcastAssistantExchange = async (idea, thread, messages) => {
+  if (thread !== 'shared') {
+    return;
+  }
+  const teamIds = await getIdeaTeamIds(idea);
+  for (const userId of teamIds) {
+    broadcastEvent('ai:message', { ideaId: idea.id, thread, messages }, { userId });
+  }
+};
+
+// Ask AI Assistant - the question and answer are appended to the idea's private or shared
+// thread, and the thread's earlier turns are sent along as context.
+// With `stream: true` the reply is sent as Server-Sent Events while the model writes it:
+// `token` events carry { text }, then `done` carries the same body as the JSON response,
+// or `error` carries { message }. Closing the connection cancels the request and stores nothing.
+app.post('/api/ai/ask', authenticateToken, auditLog('ai.ask', { describe: (req) => ({ ideaId: parseInt(req.body.ideaId), details: { thread: req.body.thread || 'private' } }) }), aiLimiter, requireAIQuota, async (req, res) => {
+  try {
+    const { question, ideaId, thread = 'private', stream = false } = req.body;
+
+    if (!question || !ideaId) {
+      return res.status(400).json({ message: 'Question and idea are required' });
+    }
+
+    if (!CONVERSATION_THREADS.includes(thread)) {
+      return res.status(400).json({ message: `Thread must be one of: ${CONVERSATION_THREADS.join(', ')}` });
+    }
+
+    const access = await getIdeaAccess(ideaId, req.user);
+    if (!access) {
+      return res.status(404).json({ message: 'Idea not found' });
+    }
+
+    if (!access.can('view')) {
+      return res.status(403).json({ message: PERMISSION_DENIED_MESSAGES.view });
+    }
+
+    if (thread === 'shared' && !canUseSharedThread(access)) {
+      return res.status(403).json({ message: 'Only the idea team can use the shared thread' });
+    }
+
+    const ownerId = thread === 'shared' ? null : req.user.id;
+    const conversationId = await getConversationId(access.idea.id, ownerId);
+
+    const historyResult = await pool.query(`
+      SELECT m.role, m.content, u.name as author_name FROM ai_messages m
+      LEFT JOIN users u ON m.author_id = u.id
+      WHERE m.conversation_id = $1
+      ORDER BY m.created_at DESC, m.id DESC
+      LIMIT $2
+    `, [conversationId, ASSISTANT_HISTORY_MESSAGES]);
+
+    // In the shared thread the model needs to know which teammate asked what
+    const asTurn = (role, content, authorName) => ({
+      role,
+      content: thread === 'shared' && role === 'user' ? `${authorName}: ${content}` : content
+    });
+    const history = historyResult.rows.reverse().map(row => asTurn(row.role, row.content, row.author_name));
+    const prompt = asTurn('user', question, req.user.name).content;
+    const context = await loadIdeaContext(access.idea);
+    const meter = { userId: req.user.id, ideaId: access.idea.id };
+    const unavailableMessage = "I'm having trouble processing your question right now. Please try again later.";
+
+    let response;
+    if (stream) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      const sendFrame = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+      });
+
+      try {
+        response = await askAIAssistant(prompt, context, history, {
+          meter,
+          signal: controller.signal,
+          onToken: (text) => sendFrame('token', { text })
+        });
+      } catch (error) {
+        if (error.code === 'cancelled') {
+          return;
+        }
+        console.error('AI Assistant error:', error.message);
+        sendFrame('error', { message: unavailableMessage });
+        return res.end();
+      }
+
+      const messages = await saveAssistantExchange(conversationId, question, response, req.user);
+      await broadcastAssistantExchange(access.idea, thread, messages);
+      sendFrame('done', { response, thread, messages });
+      return res.end();
+    }
+
+    try {
+      response = await askAIAssistant(prompt, context, history, { meter });
+    } catch (error) {
+      // Nothing is stored, so the user can simply ask again
+      console.error('AI Assistant error:', error.message);
+      return res.status(503).json({ message: unavailableMessage });
+    }
+
+    const messages = await saveAssistantExchange(conversationId, question, response, req.user);
+    await broadcastAssistantExchange(access.idea, thread, messages);
+
+    res.json({ response, thread, messages });
+  } catch (error) {
+    console.error('AI Assistant error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ message: 'AI Assistant temporarily unavailable' });
+  }
+});
+
+// The current user's AI token usage against their quota
+app.get('/api/ai/usage', authenticateToken, async (req, res) => {
+  try {
+    res.json(await aiUsage.getQuotaStatus(req.user));
+  } catch (error) {
+    console.error('Get AI usage error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// ================================
+// ADMIN ROUTES
+// ================================
+
+// Get platform analytics
+app.get('/api/admin/analytics', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [usersResult, ideasResult, collaborationsResult, likesResult, commentsResult] = await Promise.all([
+      pool.query('SELECT COUNT(*) as count, role FROM users GROUP BY role'),
+      pool.query('SELECT COUNT(*) as count, phase FROM ideas GROUP BY phase'),
+      pool.query('SELECT COUNT(*) as count FROM collaborations WHERE status = $1', ['accepted']),
+      pool.query('SELECT COUNT(*) as count FROM likes'),
+      pool.query('SELECT COUNT(*) as count FROM comments')
+    ]);
+
+    res.json({
+      users: usersResult.rows,
+      ideas: ideasResult.rows,
+      collaborations: parseInt(collaborationsResult.rows[0].count),
+      totalLikes: parseInt(likesResult.rows[0].count),
+      totalComments: parseInt(commentsResult.rows[0].count)
+    });
+  } catch (error) {
+    console.error('Analytics error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Change a user's role; everyone signs up as an employee
+app.put('/api/admin/users/:userId/role', authenticateToken, auditLog('admin.user_role', { describe: (req) => ({ details: { userId: parseInt(req.params.userId), role: req.body.role } }) }), requireAdmin, async (req, res) => {
+  try {
+    const userId = parseId(req.params.userId);
+    const { role } = req.body;
+
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+
+    const result = userId && await pool.query(
+      'UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, name, email, role',
+      [role, userId]
+    );
+    if (!result || result.rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ message: 'Role updated', user: result.rows[0] });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+const MAX_USAGE_REPORT_DAYS = 365;
+
+const formatUsageTotals = (row) => ({
+  calls: parseInt(row.calls),
+  inputTokens: parseInt(row.input_tokens),
+  outputTokens: parseInt(row.output_tokens),
+  costUsd: row.cost_usd === null ? null : parseFloat(row.cost_usd)
+});
+
+// AI usage and estimated cost over the last `days` days, broken down several ways
+app.get('/api/admin/ai-usage', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), MAX_USAGE_REPORT_DAYS);
+    const totals = `
+      COUNT(*) as calls,
+      COALESCE(SUM(u.input_tokens), 0) as input_tokens,
+      COALESCE(SUM(u.output_tokens), 0) as output_tokens,
+      SUM(u.cost_usd) as cost_usd
+    `;
+    const since = `u.created_at >= CURRENT_TIMESTAMP - make_interval(days => $1)`;
+
+    const [totalResult, userResult, modelResult, featureResult, dayResult] = await Promise.all([
+      pool.query(`SELECT ${totals} FROM ai_usage u WHERE ${since}`, [days]),
+      pool.query(`
+        SELECT u.user_id, usr.name, usr.email, ${totals}
+        FROM ai_usage u
+        LEFT JOIN users usr ON u.user_id = usr.id
+        WHERE ${since}
+        GROUP BY u.user_id, usr.name, usr.email
+        ORDER BY SUM(u.input_tokens + u.output_tokens) DESC
+        LIMIT 50
+      `, [days]),
+      pool.query(`
+        SELECT u.provider, u.model, ${totals}
+        FROM ai_usage u
+        WHERE ${since}
+        GROUP BY u.provider, u.model
+        ORDER BY SUM(u.input_tokens + u.output_tokens) DESC
+      `, [days]),
+      pool.query(`
+        SELECT u.feature, ${totals}
+        FROM ai_usage u
+        WHERE ${since}
+        GROUP BY u.feature
+        ORDER BY SUM(u.input_tokens + u.output_tokens) DESC
+      `, [days]),
+      pool.query(`
+        SELECT to_char(date_trunc('day', u.created_at), 'YYYY-MM-DD') as day, ${totals}
+        FROM ai_usage u
+        WHERE ${since}
+        GROUP BY 1
+        ORDER BY 1
+      `, [days])
+    ]);
+
+    res.json({
+      days,
+      totals: formatUsageTotals(totalResult.rows[0]),
+      byUser: userResult.rows.map(row => ({
+        userId: row.user_id,
+        name: row.name || 'Deleted user',
+        email: row.email,
+        ...formatUsageTotals(row)
+      })),
+      byModel: modelResult.rows.map(row => ({ provider: row.provider, model: row.model, ...formatUsageTotals(row) })),
+      byFeature: featureResult.rows.map(row => ({ feature: row.feature || 'other', ...formatUsageTotals(row) })),
+      byDay: dayResult.rows.map(row => ({ day: row.day, ...formatUsageTotals(row) }))
+    });
+  } catch (error) {
+    console.error('Get AI usage report error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Quota limits are a non-negative whole number of tokens, or null for unlimited.
+// Returns an error message, or null when both are valid.
+const validateQuotaLimits = ({ dailyTokenLimit, monthlyTokenLimit }) => {
+  const isValid = (limit) => limit === null || (Number.isInteger(limit) && limit >= 0);
+  if (!isValid(dailyTokenLimit) || !isValid(monthlyTokenLimit)) {
+    return 'dailyTokenLimit and monthlyTokenLimit must be whole numbers of tokens or null';
+  }
+  return null;
+};
+
+const formatQuota = (row) => ({
+  dailyTokenLimit: row.daily_token_limit,
+  monthlyTokenLimit: row.monthly_token_limit,
+  updatedAt: new Date(row.updated_at).toLocaleString()
+});
+
+// Quota settings: the environment defaults, per-role rows and per-user overrides
+app.get('/api/admin/ai-quotas', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT q.*, u.name, u.email, u.role as user_role
+      FROM ai_quotas q
+      LEFT JOIN users u ON q.user_id = u.id
+      ORDER BY q.role, u.name
+    `);
+
+    const parseDefault = (value) => (Number.isNaN(parseInt(value)) ? null : parseInt(value));
+
+    res.json({
+      defaults: {
+        dailyTokenLimit: parseDefault(process.env.AI_DAILY_TOKEN_LIMIT),
+        monthlyTokenLimit: parseDefault(process.env.AI_MONTHLY_TOKEN_LIMIT)
+      },
+      roles: result.rows.filter(row => row.role).map(row => ({ role: row.role, ...formatQuota(row) })),
+      users: result.rows.filter(row => row.user_id).map(row => ({
+        userId: row.user_id,
+        name: row.name,
+        email: row.email,
+        role: row.user_role,
+        ...formatQuota(row)
+      }))
+    });
+  } catch (error) {
+    console.error('Get AI quotas error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Set the quota for everyone with a role
+app.put('/api/admin/ai-quotas/roles/:role', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { dailyTokenLimit = null, monthlyTokenLimit = null } = req.body;
+
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+
+    const validationError = validateQuotaLimits({ dailyTokenLimit, monthlyTokenLimit });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO ai_quotas (role, daily_token_limit, monthly_token_limit)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (role) DO UPDATE
+      SET daily_token_limit = EXCLUDED.daily_token_limit,
+          monthly_token_limit = EXCLUDED.monthly_token_limit,
+          updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [role, dailyTokenLimit, monthlyTokenLimit]);
+
+    res.json({ role, ...formatQuota(result.rows[0]) });
+  } catch (error) {
+    console.error('Set role AI quota error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-// Like/Unlike idea
-app.post('/api/ideas/:id/like', authenticateToken, async (req, res) => {
+// Remove a role's quota so the environment defaults apply again
+app.delete('/api/admin/ai-quotas/roles/:role', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const ideaId = req.params.id;
-
-    // Check if idea exists
-    const ideaResult = await pool.query('SELECT * FROM ideas WHERE id = $1', [ideaId]);
-    if (ideaResult.rows.length === 0) {
-      return res.status(404).json({ message: 'Idea not found' });
-    }
-
-    // Check if user already liked this idea
-    const likeResult = await pool.query(
-      'SELECT * FROM likes WHERE idea_id = $1 AND user_id = $2',
-      [ideaId, req.user.id]
-    );
-
-    if (likeResult.rows.length > 0) {
-      // Unlike
-      await pool.query('DELETE FROM likes WHERE idea_id = $1 AND user_id = $2', [ideaId, req.user.id]);
-      res.json({ message: 'Idea unliked', liked: false });
-    } else {
-      // Like
-      await pool.query('INSERT INTO likes (idea_id, user_id) VALUES ($1, $2)', [ideaId, req.user.id]);
-      res.json({ message: 'Idea liked', liked: true });
-    }
+    await pool.query('DELETE FROM ai_quotas WHERE role = $1', [req.params.role]);
+    res.json({ message: 'Role quota removed' });
   } catch (error) {
-    console.error('Like idea error:', error);
+    console.error('Remove role AI quota error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-// Request collaboration
-app.post('/api/ideas/:id/collaborate', authenticateToken, async (req, res) => {
+// Override the quota for one user
+app.put('/api/admin/ai-quotas/users/:userId', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const ideaId = req.params.id;
-    const { message } = req.body;
+    const { userId } = req.params;
+    const { dailyTokenLimit = null, monthlyTokenLimit = null } = req.body;
 
-    // Check if idea exists
-    const ideaResult = await pool.query('SELECT * FROM ideas WHERE id = $1', [ideaId]);
-    if (ideaResult.rows.length === 0) {
-      return res.status(404).json({ message: 'Idea not found' });
+    const validationError = validateQuotaLimits({ dailyTokenLimit, monthlyTokenLimit });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
     }
 
-    const idea = ideaResult.rows[0];
-
-    // Check if user is trying to collaborate on their own idea
-    if (idea.author_id === req.user.id) {
-      return res.status(400).json({ message: 'You cannot collaborate on your own idea' });
+    const userResult = await pool.query('SELECT id, name, email, role FROM users WHERE id = $1', [userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
-    // Check if collaboration request already exists
-    const existingRequest = await pool.query(
-      'SELECT * FROM collaborations WHERE idea_id = $1 AND user_id = $2',
-      [ideaId, req.user.id]
-    );
-
-    if (existingRequest.rows.length > 0) {
-      return res.status(409).json({ message: 'Collaboration request already exists' });
-    }
+    const result = await pool.query(`
+      INSERT INTO ai_quotas (user_id, daily_token_limit, monthly_token_limit)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (user_id) DO UPDATE
+      SET daily_token_limit = EXCLUDED.daily_token_limit,
+          monthly_token_limit = EXCLUDED.monthly_token_limit,
+          updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [userId, dailyTokenLimit, monthlyTokenLimit]);
 
-    // Create collaboration request
-    await pool.query(
-      'INSERT INTO collaborations (idea_id, user_id, message, status) VALUES ($1, $2, $3, $4)',
-      [ideaId, req.user.id, message, 'pending']
-    );
+    const user = userResult.rows[0];
+    res.json({ userId: user.id, name: user.name, email: user.email, role: user.role, ...formatQuota(result.rows[0]) });
+  } catch (error) {
+    console.error('Set user AI quota error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
 
-    res.status(201).json({ message: 'Collaboration request sent successfully' });
+// Remove a user's override so their role's quota applies again
+app.delete('/api/admin/ai-quotas/users/:userId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await pool.query('DELETE FROM ai_quotas WHERE user_id = $1', [req.params.userId]);
+    res.json({ message: 'User quota removed' });
   } catch (error) {
-    console.error('Collaboration request error:', error);
+    console.error('Remove user AI quota error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-// ================================
-// AI ASSISTANT ROUTES
-// ================================
+const ACTIVITY_PAGE_SIZE = 50;
+const MAX_ACTIVITY_PAGE_SIZE = 200;
+
+const formatActivity = (row) => ({
+  id: row.id,
+  action: row.action,
+  userId: row.user_id,
+  userName: row.user_name,
+  ideaId: row.idea_id,
+  ideaTitle: row.idea_title,
+  details: row.details,
+  ipAddress: row.ip_address,
+  userAgent: row.user_agent,
+  createdAt: new Date(row.created_at).toLocaleString()
+});
+
+// 1-based page number and page size from the query string
+const parseActivityPage = (query) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || ACTIVITY_PAGE_SIZE, 1), MAX_ACTIVITY_PAGE_SIZE)
+});
+
+// One page of audit entries matching the (already validated) filters, newest first.
+// Resolves to the response body shared by the admin log and the idea timelines.
+const queryActivity = async ({ action, userId, ideaId, from, to }, { page, limit }) => {
+  const params = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const conditions = [];
+
+  if (action) conditions.push(`a.action = ${addParam(action)}`);
+  if (userId) conditions.push(`a.user_id = ${addParam(parseInt(userId))}`);
+  if (ideaId) conditions.push(`a.idea_id = ${addParam(parseInt(ideaId))}`);
+  if (from) conditions.push(`a.created_at >= ${addParam(from)}::date`);
+  if (to) conditions.push(`a.created_at < ${addParam(to)}::date + 1`);
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const [entriesResult, countResult] = await Promise.all([
+    pool.query(`
+      SELECT a.*, u.name as user_name, i.title as idea_title
+      FROM activity_logs a
+      LEFT JOIN users u ON a.user_id = u.id
+      LEFT JOIN ideas i ON a.idea_id = i.id
+      ${where}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT ${addParam(limit)} OFFSET ${addParam((page - 1) * limit)}
+    `, params),
+    pool.query(`SELECT COUNT(*) as count FROM activity_logs a ${where}`, params.slice(0, params.length - 2))
+  ]);
 
-// Ask AI Assistant
-app.post('/api/ai/ask', authenticateToken, aiLimiter, async (req, res) => {
+  return {
+    entries: entriesResult.rows.map(formatActivity),
+    total: parseInt(countResult.rows[0].count),
+    page,
+    pageSize: limit
+  };
+};
+
+// Audit log, newest first, a page at a time. Query parameters (all optional):
+//   action, userId, ideaId - exact matches
+//   from, to               - date range, YYYY-MM-DD, both inclusive
+//   page, limit            - 1-based page number and page size
+app.get('/api/admin/activity', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const { question, ideaContext } = req.body;
+    const { action, userId, ideaId, from, to } = req.query;
 
-    if (!question || !ideaContext) {
-      return res.status(400).json({ message: 'Question and idea context are required' });
+    if ((from && !isDateParam(from)) || (to && !isDateParam(to))) {
+      return res.status(400).json({ message: 'Dates must be in YYYY-MM-DD format' });
+    }
+    if ((userId && Number.isNaN(parseInt(userId))) || (ideaId && Number.isNaN(parseInt(ideaId)))) {
+      return res.status(400).json({ message: 'userId and ideaId must be numbers' });
     }
 
-    const response = await askAIAssistant(question, ideaContext);
-    
-    res.json({ response });
+    res.json(await queryActivity({ action, userId, ideaId, from, to }, parseActivityPage(req.query)));
   } catch (error) {
-    console.error('AI Assistant error:', error);
-    res.status(500).json({ message: 'AI Assistant temporarily unavailable' });
+    console.error('Get activity log error:', error);
+    res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-// ================================
-// ADMIN ROUTES
-// ================================
-
-// Get platform analytics
-app.get('/api/admin/analytics', authenticateToken, requireAdmin, async (req, res) => {
+// One idea's activity timeline for anyone who can see the idea (page, limit as above).
+// Where requests came from is for admins only.
+app.get('/api/ideas/:id/activity', authenticateToken, requireIdeaPermission('view'), async (req, res) => {
   try {
-    const [usersResult, ideasResult, collaborationsResult, likesResult] = await Promise.all([
-      pool.query('SELECT COUNT(*) as count, role FROM users GROUP BY role'),
-      pool.query('SELECT COUNT(*) as count, phase FROM ideas GROUP BY phase'),
-      pool.query('SELECT COUNT(*) as count FROM collaborations WHERE status = $1', ['accepted']),
-      pool.query('SELECT COUNT(*) as count FROM likes')
-    ]);
+    const activity = await queryActivity({ ideaId: req.ideaAccess.idea.id }, parseActivityPage(req.query));
 
-    res.json({
-      users: usersResult.rows,
-      ideas: ideasResult.rows,
-      collaborations: parseInt(collaborationsResult.rows[0].count),
-      totalLikes: parseInt(likesResult.rows[0].count)
-    });
+    if (req.user.role !== 'admin') {
+      activity.entries = activity.entries.map(({ ipAddress, userAgent, ...entry }) => entry);
+    }
+
+    res.json(activity);
   } catch (error) {
-    console.error('Analytics error:', error);
+    console.error('Get idea activity error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
@@ -666,11 +4086,56 @@ app.use((err, req, res, next) => {
   res.status(500).json({ message: 'Something went wrong!' });
 });
 
+// Health check for Railway
+app.get('/api/health', (req, res) => {
+  res.status(200).json({ 
+    status: 'healthy', 
+    ai: {
+      provider: aiClient.getConfig().providerName,
+      status: aiClient.isConfigured() ? 'configured' : 'fallback'
+    },
+    timestamp: new Date().toISOString() 
+  });
+});
+
+app.get('/', (req, res) => {
+  res.json({ message: 'IdeaLab API Server' });
+});
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({ message: 'Route not found' });
 });
 
+// Default phase questionnaire (mirrors database/database-setup.txt)
+const DEFAULT_WORKFLOW_QUESTIONS = [
+  { phaseIndex: 0, order: 1, type: 'textarea', isRequired: true, question: 'What problem does your idea solve?' },
+  { phaseIndex: 0, order: 2, type: 'textarea', isRequired: true, question: 'Who would benefit from this solution?' },
+  { phaseIndex: 0, order: 3, type: 'textarea', isRequired: false, question: 'What makes your idea unique?' },
+  { phaseIndex: 0, order: 4, type: 'select', isRequired: false, question: 'What is your target market size?',
+    options: ['Small (< 1M users)', 'Medium (1M-10M users)', 'Large (10M+ users)', 'Unknown'] },
+  { phaseIndex: 1, order: 1, type: 'textarea', isRequired: true, question: 'What similar solutions exist in the market?' },
+  { phaseIndex: 1, order: 2, type: 'textarea', isRequired: true, question: 'What is your competitive advantage?' },
+  { phaseIndex: 1, order: 3, type: 'textarea', isRequired: true, question: 'What are the key risks and assumptions?' },
+  { phaseIndex: 1, order: 4, type: 'select', isRequired: true, question: 'Have you validated this with potential users?',
+    options: ['Yes, extensively', 'Yes, with some users', 'Limited validation', 'No validation yet'] },
+  { phaseIndex: 2, order: 1, type: 'select', isRequired: true, question: 'What is your business model?',
+    options: ['B2B SaaS', 'B2C App', 'Marketplace', 'E-commerce', 'Consulting', 'Other'] },
+  { phaseIndex: 2, order: 2, type: 'textarea', isRequired: true, question: 'What are your key revenue streams?' },
+  { phaseIndex: 2, order: 3, type: 'textarea', isRequired: true, question: 'What resources do you need?' },
+  { phaseIndex: 2, order: 4, type: 'textarea', isRequired: false, question: 'What is your go-to-market strategy?' },
+  { phaseIndex: 3, order: 1, type: 'textarea', isRequired: true, question: 'What is your MVP scope?' },
+  { phaseIndex: 3, order: 2, type: 'textarea', isRequired: false, question: 'What technology stack will you use?' },
+  { phaseIndex: 3, order: 3, type: 'textarea', isRequired: true, question: 'How will you measure success?' },
+  { phaseIndex: 3, order: 4, type: 'textarea', isRequired: true, question: 'What is your testing strategy?' },
+  { phaseIndex: 4, order: 1, type: 'select', isRequired: true, question: 'Are all features tested and working?',
+    options: ['Yes', 'No', 'Partially'] },
+  { phaseIndex: 4, order: 2, type: 'select', isRequired: true, question: 'Do you have a launch plan?',
+    options: ['Yes', 'No', 'Partially'] },
+  { phaseIndex: 4, order: 3, type: 'textarea', isRequired: true, question: 'What is your post-launch support strategy?' },
+  { phaseIndex: 4, order: 4, type: 'textarea', isRequired: false, question: 'How will you scale the solution?' }
+];
+
 // Database initialization
 const initDatabase = async () => {
   try {
@@ -701,7 +4166,7 @@ const initDatabase = async () => {
         phase_index INTEGER DEFAULT 0,
         tags JSON DEFAULT '[]',
         ai_analysis JSON,
-        is_public BOOLEAN DEFAULT true,
+        is_public BOOLEAN DEFAULT false,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
@@ -722,25 +4187,350 @@ const initDatabase = async () => {
         id SERIAL PRIMARY KEY,
         idea_id INTEGER REFERENCES ideas(id) ON DELETE CASCADE,
         user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        parent_comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
         content TEXT NOT NULL,
+        is_edited BOOLEAN DEFAULT false,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
+    // Threading columns for databases created before replies were supported
+    await pool.query(`
+      ALTER TABLE comments
+        ADD COLUMN IF NOT EXISTS parent_comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+        ADD COLUMN IF NOT EXISTS is_edited BOOLEAN DEFAULT false
+    `);
+
     await pool.query(`
       CREATE TABLE IF NOT EXISTS collaborations (
         id SERIAL PRIMARY KEY,
         idea_id INTEGER REFERENCES ideas(id) ON DELETE CASCADE,
         user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
         message TEXT,
         status VARCHAR(50) DEFAULT 'pending',
+        role VARCHAR(50) DEFAULT 'contributor',
+        permissions JSON DEFAULT '["view", "comment"]',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         UNIQUE(idea_id, user_id)
       )
     `);
 
+    // Role columns for databases created before collaborator roles existed
+    await pool.query(`
+      ALTER TABLE collaborations
+        ADD COLUMN IF NOT EXISTS invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS role VARCHAR(50) DEFAULT 'contributor',
+        ADD COLUMN IF NOT EXISTS permissions JSON DEFAULT '["view", "comment"]'
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS workflow_questions (
+        id SERIAL PRIMARY KEY,
+        phase_index INTEGER NOT NULL CHECK (phase_index >= 0 AND phase_index <= 4),
+        question TEXT NOT NULL,
+        question_type VARCHAR(20) DEFAULT 'text',
+        options JSON,
+        is_required BOOLEAN DEFAULT false,
+        order_index INTEGER DEFAULT 0,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS workflow_answers (
+        id SERIAL PRIMARY KEY,
+        idea_id INTEGER REFERENCES ideas(id) ON DELETE CASCADE,
+        question_id INTEGER REFERENCES workflow_questions(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        answer TEXT,
+        assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        status VARCHAR(20) DEFAULT 'pending',
+        submitted_at TIMESTAMP,
+        reviewed_at TIMESTAMP,
+        reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        review_notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(idea_id, question_id)
+      )
+    `);
+
+    await pool.query('ALTER TABLE workflow_answers ADD COLUMN IF NOT EXISTS review_notes TEXT');
+
+    // Track background AI analysis; existing ideas are done if they already have one
+    await pool.query('ALTER TABLE ideas ADD COLUMN IF NOT EXISTS analysis_status VARCHAR(20)');
+    await pool.query(`
+      UPDATE ideas SET analysis_status = CASE WHEN ai_analysis IS NULL THEN 'failed' ELSE 'done' END
+      WHERE analysis_status IS NULL
+    `);
+    await pool.query(`ALTER TABLE ideas ALTER COLUMN analysis_status SET DEFAULT 'queued'`);
+
+    // Visibility replaces the is_public flag, which is kept in step for older readers.
+    // Existing public ideas stay public; the rest become collaborators-only.
+    await pool.query('ALTER TABLE ideas ADD COLUMN IF NOT EXISTS visibility VARCHAR(20)');
+    await pool.query(`
+      UPDATE ideas SET visibility = CASE WHEN is_public THEN 'public' ELSE 'collaborators' END
+      WHERE visibility IS NULL
+    `);
+    await pool.query(`ALTER TABLE ideas ALTER COLUMN visibility SET DEFAULT 'organization'`);
+    await pool.query('ALTER TABLE ideas ALTER COLUMN visibility SET NOT NULL');
+    await pool.query('ALTER TABLE ideas DROP CONSTRAINT IF EXISTS ideas_visibility_check');
+    await pool.query(`
+      ALTER TABLE ideas ADD CONSTRAINT ideas_visibility_check
+      CHECK (visibility IN ('private', 'collaborators', 'organization', 'public'))
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_ideas_visibility ON ideas(visibility)');
+
+    // Lifecycle fields from database-setup.txt that older databases were created without
+    await pool.query(`
+      ALTER TABLE ideas ADD COLUMN IF NOT EXISTS priority VARCHAR(20) DEFAULT 'medium'
+      CHECK (priority IN ('low', 'medium', 'high'))
+    `);
+    await pool.query(`
+      ALTER TABLE ideas ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'active'
+      CHECK (status IN ('active', 'paused', 'completed', 'cancelled'))
+    `);
+
+    // Full-text search over ideas; the title counts most, then tags, then the description
+    await pool.query(`
+      ALTER TABLE ideas ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(tags::text, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'C')
+      ) STORED
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_ideas_search_vector ON ideas USING GIN(search_vector)');
+
+    // Archived ideas are soft-deleted: hidden from lists until restored
+    await pool.query('ALTER TABLE ideas ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP');
+    await pool.query('ALTER TABLE ideas ADD COLUMN IF NOT EXISTS archived_by INTEGER REFERENCES users(id) ON DELETE SET NULL');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_ideas_created_at_id ON ideas(created_at DESC, id DESC)');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS ai_conversations (
+        id SERIAL PRIMARY KEY,
+        idea_id INTEGER REFERENCES ideas(id) ON DELETE CASCADE,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // One private thread per user and idea, and one shared thread (user_id NULL) per idea
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_conversations_private ON ai_conversations(idea_id, user_id) WHERE user_id IS NOT NULL');
+    await pool.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_conversations_shared ON ai_conversations(idea_id) WHERE user_id IS NULL');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS ai_messages (
+        id SERIAL PRIMARY KEY,
+        conversation_id INTEGER REFERENCES ai_conversations(id) ON DELETE CASCADE,
+        role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+        content TEXT NOT NULL,
+        author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_ai_messages_conversation_id ON ai_messages(conversation_id, created_at)');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS idea_analyses (
+        id SERIAL PRIMARY KEY,
+        idea_id INTEGER REFERENCES ideas(id) ON DELETE CASCADE,
+        analysis JSON NOT NULL,
+        provider VARCHAR(50),
+        model VARCHAR(100),
+        prompt_version VARCHAR(50) NOT NULL,
+        is_fallback BOOLEAN DEFAULT false,
+        repaired BOOLEAN DEFAULT false,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_idea_analyses_idea_id ON idea_analyses(idea_id, created_at DESC)');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS idea_artifacts (
+        id SERIAL PRIMARY KEY,
+        idea_id INTEGER REFERENCES ideas(id) ON DELETE CASCADE,
+        type VARCHAR(50) NOT NULL,
+        version INTEGER NOT NULL,
+        content JSON NOT NULL,
+        source VARCHAR(20) NOT NULL CHECK (source IN ('ai', 'edit')),
+        provider VARCHAR(50),
+        model VARCHAR(100),
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(idea_id, type, version)
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS idea_revisions (
+        id SERIAL PRIMARY KEY,
+        idea_id INTEGER REFERENCES ideas(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        description TEXT NOT NULL,
+        tags JSON DEFAULT '[]',
+        source VARCHAR(20) NOT NULL CHECK (source IN ('baseline', 'create', 'edit', 'restore')),
+        restored_from INTEGER,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(idea_id, version)
+      )
+    `);
+
+    // Ideas from before revisions were kept start their history with what they say today
+    await pool.query(`
+      INSERT INTO idea_revisions (idea_id, version, title, description, tags, source, created_by, created_at)
+      SELECT i.id, 1, i.title, i.description, COALESCE(i.tags, '[]'), 'baseline', i.author_id, COALESCE(i.updated_at, i.created_at)
+      FROM ideas i
+      WHERE NOT EXISTS (SELECT 1 FROM idea_revisions r WHERE r.idea_id = i.id)
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id SERIAL PRIMARY KEY,
+        type VARCHAR(50) NOT NULL,
+        payload JSON NOT NULL DEFAULT '{}',
+        status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'done', 'failed')),
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 5,
+        run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        locked_at TIMESTAMP,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs(status, run_at)');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS ai_usage (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        idea_id INTEGER REFERENCES ideas(id) ON DELETE SET NULL,
+        feature VARCHAR(50),
+        provider VARCHAR(50) NOT NULL,
+        model VARCHAR(100) NOT NULL,
+        input_tokens INTEGER NOT NULL DEFAULT 0,
+        output_tokens INTEGER NOT NULL DEFAULT 0,
+        is_estimated BOOLEAN DEFAULT false,
+        cost_usd NUMERIC(12, 6),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_ai_usage_user_id ON ai_usage(user_id, created_at)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_ai_usage_created_at ON ai_usage(created_at)');
+
+    // A quota applies to either a whole role or one user; user rows win
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS ai_quotas (
+        id SERIAL PRIMARY KEY,
+        role VARCHAR(50) UNIQUE,
+        user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+        daily_token_limit INTEGER,
+        monthly_token_limit INTEGER,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK ((role IS NULL) <> (user_id IS NULL))
+      )
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS mentorships (
+        id SERIAL PRIMARY KEY,
+        mentor_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        mentee_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        idea_id INTEGER REFERENCES ideas(id) ON DELETE CASCADE,
+        status VARCHAR(20) DEFAULT 'active',
+        start_date DATE DEFAULT CURRENT_DATE,
+        end_date DATE,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Mentees can now request a mentor, and requests can be declined
+    await pool.query('ALTER TABLE mentorships DROP CONSTRAINT IF EXISTS mentorships_status_check');
+    await pool.query(`
+      ALTER TABLE mentorships ADD CONSTRAINT mentorships_status_check
+      CHECK (status IN ('requested', 'active', 'paused', 'completed', 'declined'))
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS mentorship_sessions (
+        id SERIAL PRIMARY KEY,
+        mentorship_id INTEGER REFERENCES mentorships(id) ON DELETE CASCADE,
+        session_date DATE DEFAULT CURRENT_DATE,
+        notes TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_mentorships_mentor_id ON mentorships(mentor_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_mentorships_idea_id ON mentorships(idea_id)');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        type VARCHAR(50) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        message TEXT NOT NULL,
+        data JSON,
+        is_read BOOLEAN DEFAULT false,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id)');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS activity_logs (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        idea_id INTEGER REFERENCES ideas(id) ON DELETE SET NULL,
+        action VARCHAR(100) NOT NULL,
+        details JSON,
+        ip_address INET,
+        user_agent TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // The trail has to outlive the ideas it mentions (the setup script used to cascade)
+    await pool.query('ALTER TABLE activity_logs DROP CONSTRAINT IF EXISTS activity_logs_idea_id_fkey');
+    await pool.query(`
+      ALTER TABLE activity_logs ADD CONSTRAINT activity_logs_idea_id_fkey
+      FOREIGN KEY (idea_id) REFERENCES ideas(id) ON DELETE SET NULL
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_activity_logs_user_id ON activity_logs(user_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_activity_logs_idea_id ON activity_logs(idea_id)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_activity_logs_created_at ON activity_logs(created_at DESC)');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_activity_logs_action ON activity_logs(action)');
+
+    // Seed the default questionnaire on a fresh database
+    const questionCount = await pool.query('SELECT COUNT(*) as count FROM workflow_questions');
+    if (parseInt(questionCount.rows[0].count) === 0) {
+      for (const q of DEFAULT_WORKFLOW_QUESTIONS) {
+        await pool.query(
+          `INSERT INTO workflow_questions (phase_index, question, question_type, options, is_required, order_index)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [q.phaseIndex, q.question, q.type, q.options ? JSON.stringify(q.options) : null, q.isRequired, q.order]
+        );
+      }
+      console.log('✅ Default workflow questions seeded');
+    }
+
     console.log('✅ Database tables created/verified');
   } catch (error) {
     console.error('❌ Database initialization failed:', error);
@@ -751,24 +4541,19 @@ const initDatabase = async () => {
 // Start server
 const startServer = async () => {
   await initDatabase();
+  jobQueue.startWorker();
   
   app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📡 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🌐 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
+    const { providerName, model } = aiClient.getConfig();
+    if (aiClient.isConfigured()) {
+      console.log(`🤖 AI provider: ${providerName} (${model})`);
+    } else {
+      console.log(`⚠️  AI provider "${providerName}" is not configured - AI features will return fallback responses`);
+    }
   });
 };
 
 startServer();
-
-// Health check for Railway
-app.get('/api/health', (req, res) => {
-  res.status(200).json({ 
-    status: 'healthy', 
-    timestamp: new Date().toISOString() 
-  });
-});
-
-app.get('/', (req, res) => {
-  res.json({ message: 'IdeaLab API Server' });
-});
\ No newline at end of file
@@ -0,0 +1,95 @@
+// similarity.js - TF-IDF similarity between ideas, computed in-process
+// Each idea becomes a vector of term weights over its title, description and tags (title
+// and tag words count double). Ideas are compared by cosine similarity, so no outside
+// service is involved.
+
+// Matches at or above this score are shown as similar; at DUPLICATE_SCORE and up they are
+// flagged as likely duplicates
+const SIMILAR_SCORE = 0.2;
+const DUPLICATE_SCORE = 0.5;
+
+const TITLE_WEIGHT = 2;
+const TAG_WEIGHT = 2;
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but', 'by',
+  'can', 'could', 'do', 'does', 'each', 'for', 'from', 'get', 'has', 'have', 'help', 'how', 'if',
+  'in', 'into', 'is', 'it', 'its', 'just', 'make', 'more', 'new', 'no', 'not', 'of', 'on', 'or',
+  'our', 'out', 'so', 'some', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+  'they', 'this', 'to', 'up', 'use', 'using', 'was', 'way', 'we', 'were', 'what', 'when', 'which',
+  'while', 'who', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Lowercase words without stop words, with a light plural strip so "tools" matches "tool"
+const tokenize = (text) => (text || '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+  .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+// Weighted term counts for one idea ({ title, description, tags })
+const termCounts = ({ title, description, tags }) => {
+  const counts = new Map();
+  const add = (words, weight) => words.forEach(word => counts.set(word, (counts.get(word) || 0) + weight));
+
+  add(tokenize(title), TITLE_WEIGHT);
+  add(tokenize(description), 1);
+  // Rows saved before tags were validated may not hold an array
+  add(tokenize((Array.isArray(tags) ? tags : []).join(' ')), TAG_WEIGHT);
+  return counts;
+};
+
+// Build an index over `ideas` ({ id, title, description, tags }). The returned findSimilar()
+// scores any idea-shaped text against every indexed idea.
+const createSimilarityIndex = (ideas) => {
+  const documentFrequency = new Map();
+  const documents = ideas.map(idea => {
+    const counts = termCounts(idea);
+    counts.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    return { id: idea.id, counts };
+  });
+
+  // Smoothed so terms no indexed idea uses still get a (high) weight
+  const idf = (term) => Math.log((documents.length + 1) / ((documentFrequency.get(term) || 0) + 1)) + 1;
+
+  const toVector = (counts) => {
+    const vector = new Map();
+    let sumOfSquares = 0;
+    counts.forEach((count, term) => {
+      const weight = (1 + Math.log(count)) * idf(term);
+      vector.set(term, weight);
+      sumOfSquares += weight * weight;
+    });
+    return { vector, norm: Math.sqrt(sumOfSquares) };
+  };
+
+  const vectors = documents.map(document => ({ id: document.id, ...toVector(document.counts) }));
+
+  // Returns [{ id, score }] best first, scores rounded to two decimals
+  const findSimilar = (idea, { excludeId = null, limit = 5, minScore = SIMILAR_SCORE } = {}) => {
+    const query = toVector(termCounts(idea));
+    if (query.norm === 0) {
+      return [];
+    }
+
+    return vectors
+      .filter(document => document.id !== excludeId && document.norm > 0)
+      .map(document => {
+        let dot = 0;
+        query.vector.forEach((weight, term) => {
+          dot += weight * (document.vector.get(term) || 0);
+        });
+        return { id: document.id, score: Math.round((dot / (query.norm * document.norm)) * 100) / 100 };
+      })
+      .filter(match => match.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  };
+
+  return { findSimilar, size: documents.length };
+};
+
+module.exports = {
+  createSimilarityIndex,
+  DUPLICATE_SCORE
+};
@@ -1,9 +1,3353 @@
-import React, { useState, useEffect } from 'react';
-import { Search, Plus, Heart, MessageCircle, Users, Star, TrendingUp, Bell, User, X, Check, Lightbulb, Target, Rocket, Award, Settings, Eye, Send, LogIn, LogOut, UserPlus } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Search, Plus, Heart, MessageCircle, Users, Star, TrendingUp, Bell, User, X, Check, Lightbulb, Target, Rocket, Award, Settings, Eye, Send, LogIn, LogOut, UserPlus, Edit3 } from 'lucide-react';
 
 // Add this line at the top
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
 
+// API utility function
+const apiCall = async (endpoint, options = {}) => {
+  try {
+    const token = localStorage.getItem('auth_token');
+    const response = await fetch(`/api${endpoint}`, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...options.headers
+      },
+      ...options
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      const apiError = new Error(error.message || 'API call failed');
+      apiError.status = response.status;
+      apiError.data = error;
+      throw apiError;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error('API Error:', error);
+    throw error;
+  }
+};
+
+// POST to an endpoint that answers with Server-Sent Events and call onEvent(type, data) for
+// each one. EventSource can't send a body or headers, so the stream is read by hand.
+const streamApiCall = async (endpoint, body, { onEvent, signal }) => {
+  const token = localStorage.getItem('auth_token');
+  const response = await fetch(`/api${endpoint}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token && { Authorization: `Bearer ${token}` })
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    const apiError = new Error(error.message || 'API call failed');
+    apiError.status = response.status;
+    apiError.data = error;
+    throw apiError;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return;
+
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const type = frame.match(/^event: (.*)$/m)?.[1];
+      const data = frame.match(/^data: (.*)$/m)?.[1];
+      if (type && data) onEvent(type, JSON.parse(data));
+    }
+  }
+};
+
+// Badge shown on idea cards while the background AI analysis hasn't finished
+const ANALYSIS_STATUS_LABELS = {
+  queued: { label: '🤖 Queued', className: 'bg-gray-100 text-gray-600' },
+  running: { label: '🤖 Analyzing', className: 'bg-purple-100 text-purple-700' },
+  failed: { label: '🤖 Analysis failed', className: 'bg-red-100 text-red-700' }
+};
+
+// Who can see an idea, besides its author and admins (IDEA_VISIBILITIES on the server)
+const IDEA_VISIBILITY_OPTIONS = {
+  private: { label: '🔒 Private', description: 'Only you' },
+  collaborators: { label: '👥 Team only', description: 'You and your accepted collaborators' },
+  organization: { label: '🏢 Organization', description: 'Everyone signed in to IdeaLab' },
+  public: { label: '🌍 Public', description: 'Anyone, including visitors who are not signed in' }
+};
+
+// Lifecycle statuses (IDEA_STATUSES on the server); active ideas get no badge
+const IDEA_STATUS_OPTIONS = {
+  active: { label: 'Active', className: 'bg-green-100 text-green-700' },
+  paused: { label: '⏸ Paused', className: 'bg-yellow-100 text-yellow-700' },
+  completed: { label: '✅ Completed', className: 'bg-blue-100 text-blue-700' },
+  cancelled: { label: '✖ Cancelled', className: 'bg-red-100 text-red-700' }
+};
+
+// Wait before opening a new event stream after the server refused one
+const EVENT_RETRY_MS = 5000;
+
+// Subscribe to one event type on the server's /api/events stream. The handler is kept in a
+// ref so callers can pass an inline function without re-subscribing on every render.
+const useServerEvent = (source, type, handler) => {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    if (!source) return;
+    const listener = (event) => handlerRef.current(JSON.parse(event.data));
+    source.addEventListener(type, listener);
+    return () => source.removeEventListener(type, listener);
+  }, [source, type]);
+};
+
+// Discover list sort orders, as understood by GET /api/ideas
+const IDEA_SORT_OPTIONS = [
+  ['newest', 'Newest'],
+  ['likes', 'Most liked'],
+  ['comments', 'Most discussed'],
+  ['trending', 'Trending']
+];
+
+// URL of each top-level tab. An open idea is /ideas/:id, shown over whichever tab is active.
+const TAB_PATHS = {
+  discover: '/',
+  'my-ideas': '/my-ideas',
+  collaborate: '/collaborate',
+  mentoring: '/mentoring',
+  admin: '/admin'
+};
+
+// Tabs other than Discover need a signed-in user, and some a particular role
+const canOpenTab = (tab, user) => {
+  if (tab === 'discover') return true;
+  if (tab === 'mentoring') return user?.role === 'mentor';
+  if (tab === 'admin') return user?.role === 'admin';
+  return Boolean(user);
+};
+
+// { tab, ideaId } for a URL path; tab is null for idea URLs so the current tab stays put
+const parseRoute = (pathname) => {
+  const ideaMatch = pathname.match(/^\/ideas\/(\d+)\/?$/);
+  if (ideaMatch) {
+    return { tab: null, ideaId: parseInt(ideaMatch[1]) };
+  }
+  const path = pathname.replace(/(.)\/$/, '$1');
+  const tab = Object.keys(TAB_PATHS).find(key => TAB_PATHS[key] === path);
+  return { tab: tab || 'discover', ideaId: null };
+};
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Phase definitions
+const phases = [
+  { name: 'Idea Spark', icon: Lightbulb, color: 'bg-yellow-500' },
+  { name: 'Research & Validate', icon: Search, color: 'bg-blue-500' },
+  { name: 'Plan & Strategy', icon: Target, color: 'bg-purple-500' },
+  { name: 'Build & Test', icon: Settings, color: 'bg-green-500' },
+  { name: 'Launch Ready', icon: Rocket, color: 'bg-red-500' }
+];
+
+// Single comment with inline reply/edit controls; replies render recursively
+const CommentItem = ({ comment, user, ideaAuthorId, onReply, onEdit, onDelete }) => {
+  const [mode, setMode] = useState(null); // 'reply' | 'edit' | null
+  const [draft, setDraft] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const canEdit = user && user.id === comment.authorId;
+  const canDelete = user && (user.id === comment.authorId || user.id === ideaAuthorId || user.role === 'admin');
+
+  const openEditor = (nextMode) => {
+    setMode(nextMode);
+    setDraft(nextMode === 'edit' ? comment.content : '');
+  };
+
+  const handleSave = async () => {
+    if (!draft.trim()) return;
+
+    setSaving(true);
+    try {
+      if (mode === 'reply') {
+        await onReply(draft, comment.id);
+      } else {
+        await onEdit(comment.id, draft);
+      }
+      setMode(null);
+      setDraft('');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-start space-x-3 p-3 bg-gray-50 rounded-lg">
+        <div className="w-8 h-8 bg-purple-500 rounded-full flex items-center justify-center text-white text-sm flex-shrink-0">
+          {comment.author?.[0]}
+        </div>
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center space-x-2 text-sm">
+            <span className="font-medium text-gray-900">{comment.author}</span>
+            <span className="text-gray-500">{comment.createdAt}</span>
+            {comment.isEdited && <span className="text-gray-400 italic">(edited)</span>}
+          </div>
+          <p className="text-gray-700 text-sm whitespace-pre-wrap mt-1">{comment.content}</p>
+          {user && (
+            <div className="flex space-x-3 mt-2 text-xs text-gray-500">
+              <button onClick={() => openEditor('reply')} className="hover:text-purple-600">Reply</button>
+              {canEdit && <button onClick={() => openEditor('edit')} className="hover:text-purple-600">Edit</button>}
+              {canDelete && <button onClick={() => onDelete(comment.id)} className="hover:text-red-600">Delete</button>}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {mode && (
+        <div className="ml-11 flex space-x-2">
+          <input
+            type="text"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder={mode === 'reply' ? `Reply to ${comment.author}...` : 'Edit your comment...'}
+            className="flex-1 p-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+            onKeyPress={(e) => e.key === 'Enter' && handleSave()}
+          />
+          <button
+            onClick={handleSave}
+            disabled={saving || !draft.trim()}
+            className="bg-purple-600 text-white px-3 py-1 text-sm rounded-lg hover:bg-purple-700 disabled:opacity-50"
+          >
+            {mode === 'reply' ? 'Reply' : 'Save'}
+          </button>
+          <button
+            onClick={() => setMode(null)}
+            className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {comment.replies?.length > 0 && (
+        <div className="ml-6 pl-4 border-l-2 border-gray-200 space-y-2">
+          {comment.replies.map(reply => (
+            <CommentItem
+              key={reply.id}
+              comment={reply}
+              user={user}
+              ideaAuthorId={ideaAuthorId}
+              onReply={onReply}
+              onEdit={onEdit}
+              onDelete={onDelete}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Threaded discussion shown inside the idea detail modal
+const DiscussionSection = ({ idea, user, events, onSignIn, onCountChange }) => {
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newComment, setNewComment] = useState('');
+  const [posting, setPosting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadComments = useCallback(async () => {
+    try {
+      const response = await apiCall(`/ideas/${idea.id}/comments`);
+      setComments(response.comments);
+      return response.total;
+    } catch (error) {
+      setError('Failed to load comments');
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, [idea.id]);
+
+  useEffect(() => {
+    loadComments();
+  }, [loadComments]);
+
+  // Pick up comments from other people while the discussion is open
+  const reloadOnComment = (event) => {
+    if (event.ideaId === idea.id) loadComments();
+  };
+  useServerEvent(events, 'comment:created', reloadOnComment);
+  useServerEvent(events, 'comment:updated', reloadOnComment);
+  useServerEvent(events, 'comment:deleted', reloadOnComment);
+
+  // Re-fetch after every change so nested replies and the idea's comment count match the server
+  const runAndRefresh = async (request) => {
+    setError('');
+    try {
+      await request();
+      const total = await loadComments();
+      if (total !== null) onCountChange(total);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const postComment = (content, parentCommentId = null) => runAndRefresh(() =>
+    apiCall(`/ideas/${idea.id}/comments`, {
+      method: 'POST',
+      body: JSON.stringify({ content, parentCommentId })
+    })
+  );
+
+  const editComment = (commentId, content) => runAndRefresh(() =>
+    apiCall(`/ideas/${idea.id}/comments/${commentId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ content })
+    })
+  );
+
+  const deleteComment = (commentId) => {
+    if (!window.confirm('Delete this comment and all of its replies?')) return;
+    return runAndRefresh(() =>
+      apiCall(`/ideas/${idea.id}/comments/${commentId}`, { method: 'DELETE' })
+    );
+  };
+
+  const handlePost = async () => {
+    if (!newComment.trim()) return;
+
+    setPosting(true);
+    await postComment(newComment);
+    setNewComment('');
+    setPosting(false);
+  };
+
+  return (
+    <div className="space-y-4">
+      <h3 className="font-semibold text-gray-900">Discussion</h3>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {user ? (
+        <div className="flex space-x-2">
+          <input
+            type="text"
+            value={newComment}
+            onChange={(e) => setNewComment(e.target.value)}
+            placeholder="Share your thoughts on this idea..."
+            className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+            onKeyPress={(e) => e.key === 'Enter' && handlePost()}
+          />
+          <button
+            onClick={handlePost}
+            disabled={posting || !newComment.trim()}
+            className="bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+          >
+            {posting ? '...' : 'Post'}
+          </button>
+        </div>
+      ) : (
+        <div className="bg-blue-50 p-4 rounded-lg">
+          <p className="text-blue-800">
+            <button onClick={onSignIn} className="text-blue-600 hover:text-blue-700 underline">
+              Sign in
+            </button> to join the discussion!
+          </p>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="text-center py-6">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-purple-600 mx-auto"></div>
+        </div>
+      ) : comments.length === 0 ? (
+        <div className="text-center py-6">
+          <MessageCircle className="w-10 h-10 text-gray-300 mx-auto mb-2" />
+          <p className="text-gray-500 text-sm">No comments yet. Start the conversation!</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {comments.map(comment => (
+            <CommentItem
+              key={comment.id}
+              comment={comment}
+              user={user}
+              ideaAuthorId={idea.authorId}
+              onReply={postComment}
+              onEdit={editComment}
+              onDelete={deleteComment}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ANSWER_STATUS_BADGES = {
+  in_progress: { label: 'Draft', className: 'bg-yellow-100 text-yellow-700' },
+  completed: { label: 'Submitted', className: 'bg-blue-100 text-blue-700' },
+  approved: { label: 'Approved', className: 'bg-green-100 text-green-700' },
+  rejected: { label: 'Changes requested', className: 'bg-red-100 text-red-700' }
+};
+
+// Input control for a single workflow question, chosen by its question type
+const WorkflowQuestionInput = ({ question, value, onChange, disabled }) => {
+  const inputClass = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 disabled:bg-gray-50';
+
+  switch (question.type) {
+    case 'textarea':
+      return (
+        <textarea
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          className={inputClass}
+          rows={3}
+          disabled={disabled}
+        />
+      );
+    case 'select':
+      return (
+        <select value={value || ''} onChange={(e) => onChange(e.target.value)} className={inputClass} disabled={disabled}>
+          <option value="">Select an option...</option>
+          {question.options.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      );
+    case 'multiselect': {
+      const selected = value || [];
+      return (
+        <div className="space-y-1">
+          {question.options.map(option => (
+            <label key={option} className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={selected.includes(option)}
+                onChange={(e) => onChange(e.target.checked
+                  ? [...selected, option]
+                  : selected.filter(item => item !== option))}
+                disabled={disabled}
+              />
+              <span>{option}</span>
+            </label>
+          ))}
+        </div>
+      );
+    }
+    case 'number':
+    case 'date':
+      return (
+        <input
+          type={question.type}
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          className={inputClass}
+          disabled={disabled}
+        />
+      );
+    default:
+      return (
+        <input
+          type="text"
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          className={inputClass}
+          disabled={disabled}
+        />
+      );
+  }
+};
+
+// Approve / request-changes controls a mentor sees on a submitted answer
+const AnswerReviewControls = ({ onReview, disabled }) => {
+  const [rejecting, setRejecting] = useState(false);
+  const [notes, setNotes] = useState('');
+
+  if (rejecting) {
+    return (
+      <div className="flex space-x-2">
+        <input
+          type="text"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          placeholder="What needs to change?"
+          className="flex-1 p-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+        />
+        <button
+          onClick={() => onReview('rejected', notes)}
+          disabled={disabled || !notes.trim()}
+          className="px-3 py-1 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+        >
+          Request Changes
+        </button>
+        <button
+          onClick={() => setRejecting(false)}
+          className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex space-x-2">
+      <button
+        onClick={() => onReview('approved')}
+        disabled={disabled}
+        className="flex items-center space-x-1 px-3 py-1 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+      >
+        <Check className="w-4 h-4" />
+        <span>Approve</span>
+      </button>
+      <button
+        onClick={() => setRejecting(true)}
+        disabled={disabled}
+        className="px-3 py-1 text-sm text-red-700 border border-red-300 rounded-lg hover:bg-red-50 disabled:opacity-50"
+      >
+        Request Changes
+      </button>
+    </div>
+  );
+};
+
+// Phase questionnaire shown inside the idea detail modal
+const WorkflowSection = ({ idea, onPhaseAdvanced }) => {
+  const [workflow, setWorkflow] = useState(null);
+  const [viewPhase, setViewPhase] = useState(idea.phaseIndex || 0);
+  const [values, setValues] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [invalid, setInvalid] = useState({});
+  const [blockers, setBlockers] = useState(null);
+
+  const resetValues = (questions) => {
+    setValues(Object.fromEntries(questions.map(q => [q.id, q.answer?.value ?? null])));
+    setInvalid({});
+    setBlockers(null);
+  };
+
+  const applyQuestions = (questions, readiness) => {
+    setWorkflow(prev => ({ ...prev, questions, ...(readiness && { readiness }) }));
+    resetValues(questions);
+  };
+
+  const loadWorkflow = useCallback(async () => {
+    try {
+      const response = await apiCall(`/ideas/${idea.id}/workflow?phase=${viewPhase}`);
+      setWorkflow(response);
+      resetValues(response.questions);
+    } catch (error) {
+      setNotice({ type: 'error', text: 'Failed to load workflow questions' });
+    }
+  }, [idea.id, viewPhase]);
+
+  useEffect(() => {
+    loadWorkflow();
+  }, [loadWorkflow]);
+
+  // Only send answers that differ from what the server already has
+  // Rejected answers are sent even unchanged, which puts them back into draft for resubmission
+  const changedAnswers = () => (workflow?.questions || [])
+    .filter(q => q.answer?.status === 'rejected' ||
+      JSON.stringify(values[q.id] ?? null) !== JSON.stringify(q.answer?.value ?? null))
+    .map(q => ({ questionId: q.id, value: values[q.id] }));
+
+  const saveDraft = async () => {
+    const answers = changedAnswers();
+    if (answers.length === 0) return null;
+
+    const response = await apiCall(`/ideas/${idea.id}/workflow/answers`, {
+      method: 'PUT',
+      body: JSON.stringify({ answers })
+    });
+    applyQuestions(response.questions);
+    return response;
+  };
+
+  const handleAction = async (submit) => {
+    setSaving(true);
+    setNotice(null);
+    try {
+      const saved = await saveDraft();
+      if (submit) {
+        const response = await apiCall(`/ideas/${idea.id}/workflow/submit`, { method: 'POST' });
+        applyQuestions(response.questions);
+        setNotice({ type: 'success', text: 'Answers submitted for mentor review' });
+      } else {
+        setNotice({ type: 'success', text: saved ? 'Draft saved' : 'No changes to save' });
+      }
+    } catch (error) {
+      const problems = error.data?.errors || error.data?.missing || [];
+      setInvalid(Object.fromEntries(problems.map(p => [p.questionId, p.message || 'This question is required'])));
+      setNotice({ type: 'error', text: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReview = async (questionId, status, notes) => {
+    setSaving(true);
+    setNotice(null);
+    try {
+      const response = await apiCall(`/ideas/${idea.id}/workflow/review`, {
+        method: 'POST',
+        body: JSON.stringify({ reviews: [{ questionId, status, notes }] })
+      });
+      applyQuestions(response.questions, response.readiness);
+    } catch (error) {
+      setNotice({ type: 'error', text: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdvance = async () => {
+    setSaving(true);
+    setNotice(null);
+    setBlockers(null);
+    try {
+      const response = await apiCall(`/ideas/${idea.id}/advance-phase`, {
+        method: 'POST',
+        body: JSON.stringify({ toPhaseIndex: workflow.currentPhaseIndex + 1 })
+      });
+      onPhaseAdvanced(response.idea);
+      setViewPhase(response.idea.phaseIndex);
+      setNotice({ type: 'success', text: response.message });
+    } catch (error) {
+      setBlockers(error.data?.blockers || null);
+      setNotice({ type: 'error', text: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!workflow) {
+    return (
+      <div className="text-center py-6">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-purple-600 mx-auto"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold text-gray-900">{workflow.phase} Questionnaire</h3>
+        <select
+          value={viewPhase}
+          onChange={(e) => setViewPhase(parseInt(e.target.value))}
+          className="px-3 py-1 text-sm border border-gray-300 rounded-lg"
+        >
+          {phases.slice(0, workflow.currentPhaseIndex + 1).map((phase, index) => (
+            <option key={phase.name} value={index}>{phase.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {notice && (
+        <div className={`px-4 py-3 rounded-lg border ${
+          notice.type === 'error' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'
+        }`}>
+          {notice.text}
+        </div>
+      )}
+
+      {workflow.readiness && (
+        <div className={`p-4 rounded-lg ${workflow.readiness.ready ? 'bg-green-50' : 'bg-gray-50'}`}>
+          {workflow.readiness.ready ? (
+            <div className="flex items-center justify-between">
+              <p className="text-green-800 text-sm">
+                All required answers are approved. Ready for <strong>{workflow.readiness.nextPhase}</strong>.
+              </p>
+              {workflow.canAdvance && (
+                <button
+                  onClick={handleAdvance}
+                  disabled={saving}
+                  className="flex items-center space-x-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+                >
+                  <Rocket className="w-4 h-4" />
+                  <span>Advance Phase</span>
+                </button>
+              )}
+            </div>
+          ) : (
+            <div>
+              <h4 className="text-sm font-medium text-gray-900 mb-2">Before this idea can move on</h4>
+              <ul className="space-y-1 text-sm text-gray-700">
+                {(blockers || workflow.readiness.blockers).map((blocker, index) => (
+                  <li key={blocker.questionId || index}>
+                    • {blocker.question ? `${blocker.question} — ` : ''}{blocker.reason}
+                    {blocker.reviewNotes && (
+                      <span className="block ml-3 text-red-700">"{blocker.reviewNotes}"{blocker.reviewedBy && ` — ${blocker.reviewedBy}`}</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      {workflow.questions.map(question => {
+        const badge = ANSWER_STATUS_BADGES[question.answer?.status];
+        return (
+          <div key={question.id} className="space-y-2">
+            <div className="flex items-center justify-between">
+              <label className="block text-sm font-medium text-gray-700">
+                {question.question}{question.isRequired && ' *'}
+              </label>
+              {badge && (
+                <span className={`px-2 py-1 text-xs rounded-full ${badge.className}`}>{badge.label}</span>
+              )}
+            </div>
+            <WorkflowQuestionInput
+              question={question}
+              value={values[question.id]}
+              onChange={(value) => setValues(prev => ({ ...prev, [question.id]: value }))}
+              disabled={!workflow.canEdit || saving}
+            />
+            {invalid[question.id] && <p className="text-xs text-red-600">{invalid[question.id]}</p>}
+            {question.answer?.status === 'rejected' && question.answer.reviewNotes && (
+              <p className="text-xs text-red-700">
+                {question.answer.reviewerName || 'Reviewer'}: {question.answer.reviewNotes}
+              </p>
+            )}
+            {workflow.canReview && question.answer?.status === 'completed' && (
+              <AnswerReviewControls
+                onReview={(status, notes) => handleReview(question.id, status, notes)}
+                disabled={saving}
+              />
+            )}
+          </div>
+        );
+      })}
+
+      {workflow.canEdit && (
+        <div className="flex justify-end space-x-3 pt-2">
+          <button
+            onClick={() => handleAction(false)}
+            disabled={saving}
+            className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            Save Draft
+          </button>
+          <button
+            onClick={() => handleAction(true)}
+            disabled={saving}
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Submit for Review'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const COLLABORATOR_ROLE_LABELS = {
+  contributor: 'Contributor',
+  'co-owner': 'Co-owner',
+  advisor: 'Advisor'
+};
+
+const COLLABORATION_STATUS_BADGES = {
+  pending: 'bg-yellow-100 text-yellow-700',
+  accepted: 'bg-green-100 text-green-700',
+  rejected: 'bg-red-100 text-red-700',
+  removed: 'bg-gray-100 text-gray-600'
+};
+
+const RoleSelect = ({ value, onChange, disabled }) => (
+  <select
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    disabled={disabled}
+    className="px-2 py-1 text-sm border border-gray-300 rounded-lg"
+  >
+    {Object.entries(COLLABORATOR_ROLE_LABELS).map(([role, label]) => (
+      <option key={role} value={role}>{label}</option>
+    ))}
+  </select>
+);
+
+// One row in the collaboration inbox
+const CollaborationInboxItem = ({ collaboration, box, onAction, busy }) => {
+  const [role, setRole] = useState(collaboration.role || 'contributor');
+  const isPending = collaboration.status === 'pending';
+  const isInvite = collaboration.type === 'invite';
+
+  const description = box === 'received'
+    ? (isInvite
+      ? `${collaboration.invitedByName} invited you as ${COLLABORATOR_ROLE_LABELS[collaboration.role]}`
+      : `${collaboration.userName} wants to collaborate`)
+    : (isInvite
+      ? `You invited ${collaboration.userName} as ${COLLABORATOR_ROLE_LABELS[collaboration.role]}`
+      : 'You asked to collaborate');
+
+  return (
+    <div className="p-4 bg-white rounded-lg border space-y-2">
+      <div className="flex items-start justify-between">
+        <div>
+          <p className="font-medium text-gray-900">{collaboration.ideaTitle}</p>
+          <p className="text-sm text-gray-600">{description} • {collaboration.createdAt}</p>
+        </div>
+        <span className={`px-2 py-1 text-xs rounded-full ${COLLABORATION_STATUS_BADGES[collaboration.status]}`}>
+          {collaboration.status}
+        </span>
+      </div>
+
+      {collaboration.message && (
+        <p className="text-sm text-gray-700 bg-gray-50 p-2 rounded">"{collaboration.message}"</p>
+      )}
+
+      {isPending && box === 'received' && (
+        <div className="flex items-center space-x-2">
+          {!isInvite && <RoleSelect value={role} onChange={setRole} disabled={busy} />}
+          <button
+            onClick={() => onAction(collaboration.id, 'accept', { role })}
+            disabled={busy}
+            className="flex items-center space-x-1 px-3 py-1 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
+          >
+            <Check className="w-4 h-4" />
+            <span>Accept</span>
+          </button>
+          <button
+            onClick={() => onAction(collaboration.id, 'reject')}
+            disabled={busy}
+            className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            {isInvite ? 'Decline' : 'Reject'}
+          </button>
+        </div>
+      )}
+
+      {isPending && box === 'sent' && (
+        <button
+          onClick={() => onAction(collaboration.id, 'withdraw')}
+          disabled={busy}
+          className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+        >
+          Withdraw
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Collaboration requests and invitations I received and sent
+const CollaborationInbox = ({ onChange }) => {
+  const [inbox, setInbox] = useState({ received: [], sent: [] });
+  const [box, setBox] = useState('received');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadInbox = useCallback(async () => {
+    try {
+      setInbox(await apiCall('/collaborations'));
+    } catch (error) {
+      setError('Failed to load collaboration requests');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadInbox();
+  }, [loadInbox]);
+
+  const handleAction = async (collaborationId, action, body = {}) => {
+    setBusy(true);
+    setError('');
+    try {
+      if (action === 'withdraw') {
+        await apiCall(`/collaborations/${collaborationId}`, { method: 'DELETE' });
+      } else {
+        await apiCall(`/collaborations/${collaborationId}/${action}`, {
+          method: 'POST',
+          body: JSON.stringify(body)
+        });
+      }
+      await loadInbox();
+      onChange();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const pendingCount = inbox.received.filter(c => c.status === 'pending').length;
+
+  return (
+    <div className="bg-gray-100 rounded-xl p-4 space-y-4">
+      <div className="flex space-x-2">
+        {['received', 'sent'].map(name => (
+          <button
+            key={name}
+            onClick={() => setBox(name)}
+            className={`px-3 py-2 text-sm font-medium rounded-md transition-colors ${
+              box === name ? 'bg-white text-purple-700 shadow-sm' : 'text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            {name === 'received' ? `Received${pendingCount ? ` (${pendingCount})` : ''}` : 'Sent'}
+          </button>
+        ))}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {inbox[box].length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-4">
+          {box === 'received' ? 'No requests or invitations yet' : "You haven't sent any requests yet"}
+        </p>
+      ) : (
+        <div className="space-y-3">
+          {inbox[box].map(collaboration => (
+            <CollaborationInboxItem
+              key={collaboration.id}
+              collaboration={collaboration}
+              box={box}
+              onAction={handleAction}
+              busy={busy}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Header bell with an unread badge; the dropdown lists recent notifications
+const NotificationBell = ({ events, onOpen }) => {
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const loadNotifications = useCallback(async () => {
+    try {
+      const response = await apiCall('/notifications');
+      setNotifications(response.notifications);
+      setUnreadCount(response.unreadCount);
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadNotifications();
+  }, [loadNotifications]);
+
+  // New notifications are pushed over the event stream
+  useServerEvent(events, 'notification', (notification) => {
+    setNotifications(prev => [notification, ...prev.filter(n => n.id !== notification.id)]);
+    setUnreadCount(prev => prev + 1);
+  });
+
+  const markRead = async (notification) => {
+    if (notification.isRead) return;
+    try {
+      await apiCall(`/notifications/${notification.id}/read`, { method: 'PUT' });
+      setNotifications(prev => prev.map(n => n.id === notification.id ? { ...n, isRead: true } : n));
+      setUnreadCount(prev => Math.max(prev - 1, 0));
+    } catch (error) {
+      console.error('Failed to mark notification as read:', error);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await apiCall('/notifications/read-all', { method: 'PUT' });
+      setNotifications(prev => prev.map(n => ({ ...n, isRead: true })));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Failed to mark notifications as read:', error);
+    }
+  };
+
+  const handleClick = (notification) => {
+    markRead(notification);
+    setOpen(false);
+    onOpen(notification);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className="relative p-2 text-gray-400 hover:text-gray-500"
+        title="Notifications"
+      >
+        <Bell className="w-5 h-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.1rem] h-[1.1rem] px-1 bg-red-500 text-white text-xs rounded-full flex items-center justify-center">
+            {unreadCount > 9 ? '9+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-lg border border-gray-200 z-40">
+          <div className="flex justify-between items-center px-4 py-3 border-b">
+            <h3 className="font-semibold text-gray-900">Notifications</h3>
+            {unreadCount > 0 && (
+              <button onClick={markAllRead} className="text-xs text-purple-600 hover:text-purple-700">
+                Mark all as read
+              </button>
+            )}
+          </div>
+          <div className="max-h-96 overflow-y-auto">
+            {notifications.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-6">You're all caught up</p>
+            ) : (
+              notifications.map(notification => (
+                <button
+                  key={notification.id}
+                  onClick={() => handleClick(notification)}
+                  className={`w-full text-left px-4 py-3 border-b last:border-b-0 hover:bg-gray-50 ${
+                    notification.isRead ? '' : 'bg-purple-50'
+                  }`}
+                >
+                  <p className="text-sm font-medium text-gray-900">{notification.title}</p>
+                  <p className="text-sm text-gray-600">{notification.message}</p>
+                  <p className="text-xs text-gray-400 mt-1">{notification.createdAt}</p>
+                </button>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Owner view of an idea's collaborators: roles, removal and invitations
+const CollaboratorManager = ({ idea, onChange }) => {
+  const [collaborators, setCollaborators] = useState([]);
+  const [invite, setInvite] = useState({ email: '', role: 'contributor', message: '' });
+  const [busy, setBusy] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  const loadCollaborators = useCallback(async () => {
+    try {
+      const response = await apiCall(`/ideas/${idea.id}/collaborators`);
+      setCollaborators(response.collaborators.filter(c => ['pending', 'accepted'].includes(c.status)));
+    } catch (error) {
+      setNotice({ type: 'error', text: 'Failed to load collaborators' });
+    }
+  }, [idea.id]);
+
+  useEffect(() => {
+    loadCollaborators();
+  }, [loadCollaborators]);
+
+  const run = async (request, successText) => {
+    setBusy(true);
+    setNotice(null);
+    try {
+      await request();
+      await loadCollaborators();
+      onChange();
+      if (successText) setNotice({ type: 'success', text: successText });
+      return true;
+    } catch (error) {
+      setNotice({ type: 'error', text: error.message });
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleInvite = async () => {
+    if (!invite.email.trim()) return;
+    const sent = await run(() => apiCall(`/ideas/${idea.id}/collaborators/invite`, {
+      method: 'POST',
+      body: JSON.stringify(invite)
+    }), `Invitation sent to ${invite.email}`);
+    if (sent) setInvite({ email: '', role: 'contributor', message: '' });
+  };
+
+  return (
+    <div className="space-y-4">
+      {notice && (
+        <div className={`px-4 py-3 rounded-lg border ${
+          notice.type === 'error' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-green-50 border-green-200 text-green-700'
+        }`}>
+          {notice.text}
+        </div>
+      )}
+
+      {collaborators.length > 0 && (
+        <div className="space-y-2">
+          {collaborators.map(collaborator => (
+            <div key={collaborator.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+              <div className="flex items-center space-x-3">
+                <div className="w-8 h-8 bg-purple-500 rounded-full flex items-center justify-center text-white text-sm">
+                  {collaborator.userName[0]}
+                </div>
+                <div>
+                  <p className="text-gray-900">{collaborator.userName}</p>
+                  {collaborator.status === 'pending' && (
+                    <p className="text-xs text-yellow-700">
+                      {collaborator.type === 'invite' ? 'Invitation pending' : 'Request pending — see your inbox'}
+                    </p>
+                  )}
+                </div>
+              </div>
+              <div className="flex items-center space-x-2">
+                {collaborator.status === 'accepted' && (
+                  <RoleSelect
+                    value={collaborator.role}
+                    disabled={busy}
+                    onChange={(role) => run(() => apiCall(`/collaborations/${collaborator.id}`, {
+                      method: 'PUT',
+                      body: JSON.stringify({ role })
+                    }))}
+                  />
+                )}
+                <button
+                  onClick={() => run(() => apiCall(`/collaborations/${collaborator.id}`, { method: 'DELETE' }))}
+                  disabled={busy}
+                  className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                  title={collaborator.status === 'pending' ? 'Cancel' : 'Remove collaborator'}
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="border-2 border-dashed border-gray-300 p-4 rounded-lg space-y-2">
+        <h4 className="font-medium text-gray-900">Invite a Collaborator</h4>
+        <div className="flex space-x-2">
+          <input
+            type="email"
+            value={invite.email}
+            onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+            placeholder="teammate@company.com"
+            className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+          />
+          <RoleSelect value={invite.role} onChange={(role) => setInvite({ ...invite, role })} disabled={busy} />
+        </div>
+        <input
+          type="text"
+          value={invite.message}
+          onChange={(e) => setInvite({ ...invite, message: e.target.value })}
+          placeholder="Add a note (optional)"
+          className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+        />
+        <button
+          onClick={handleInvite}
+          disabled={busy || !invite.email.trim()}
+          className="bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+        >
+          Send Invite
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const MENTORSHIP_STATUS_BADGES = {
+  requested: 'bg-yellow-100 text-yellow-700',
+  active: 'bg-green-100 text-green-700',
+  paused: 'bg-blue-100 text-blue-700',
+  completed: 'bg-gray-100 text-gray-600',
+  declined: 'bg-red-100 text-red-700'
+};
+
+// Session log for one mentorship; the mentor can add entries while it is active
+const MentorshipSessions = ({ mentorship, canLog }) => {
+  const [sessions, setSessions] = useState([]);
+  const [notes, setNotes] = useState('');
+  const [sessionDate, setSessionDate] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await apiCall(`/mentorships/${mentorship.id}/sessions`);
+      setSessions(response.sessions);
+    } catch (error) {
+      setError('Failed to load sessions');
+    }
+  }, [mentorship.id]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const logSession = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      await apiCall(`/mentorships/${mentorship.id}/sessions`, {
+        method: 'POST',
+        body: JSON.stringify({ notes, sessionDate: sessionDate || undefined })
+      });
+      setNotes('');
+      setSessionDate('');
+      await loadSessions();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2 border-t pt-3">
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {sessions.length === 0 ? (
+        <p className="text-sm text-gray-500">No sessions logged yet</p>
+      ) : (
+        sessions.map(session => (
+          <div key={session.id} className="text-sm bg-gray-50 p-2 rounded">
+            <p className="text-xs text-gray-500 mb-1">{session.sessionDate}</p>
+            <p className="text-gray-700 whitespace-pre-wrap">{session.notes}</p>
+          </div>
+        ))
+      )}
+      {canLog && (
+        <div className="space-y-2">
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="What did you cover in this session?"
+            className="w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+            rows={3}
+          />
+          <div className="flex items-center justify-between">
+            <input
+              type="date"
+              value={sessionDate}
+              onChange={(e) => setSessionDate(e.target.value)}
+              className="px-2 py-1 text-sm border border-gray-300 rounded-lg"
+            />
+            <button
+              onClick={logSession}
+              disabled={saving || !notes.trim()}
+              className="px-3 py-1 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Log Session'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// One mentorship as seen by its mentor (or a mentor looking at an open request)
+const MentorshipCard = ({ mentorship, user, onAction, onOpenIdea, busy }) => {
+  const [showSessions, setShowSessions] = useState(false);
+  const isMentor = mentorship.mentorId === user.id;
+  const isOpen = ['active', 'paused'].includes(mentorship.status);
+
+  const complete = () => {
+    const notes = window.prompt('Closing notes for this mentorship (optional)');
+    if (notes === null) return;
+    onAction(mentorship.id, 'complete', { notes });
+  };
+
+  return (
+    <div className="p-4 bg-white rounded-lg border space-y-2">
+      <div className="flex items-start justify-between">
+        <div>
+          <button onClick={() => onOpenIdea(mentorship.ideaId)} className="font-medium text-gray-900 hover:text-purple-700 text-left">
+            {mentorship.ideaTitle}
+          </button>
+          <p className="text-sm text-gray-600">
+            Mentee: {mentorship.menteeName}
+            {mentorship.startDate && ` • since ${mentorship.startDate}`}
+            {mentorship.endDate && ` • ended ${mentorship.endDate}`}
+          </p>
+        </div>
+        <span className={`px-2 py-1 text-xs rounded-full ${MENTORSHIP_STATUS_BADGES[mentorship.status]}`}>
+          {mentorship.status}
+        </span>
+      </div>
+
+      {mentorship.notes && (
+        <p className="text-sm text-gray-700 bg-gray-50 p-2 rounded">"{mentorship.notes}"</p>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        {mentorship.status === 'requested' && (
+          <>
+            <button
+              onClick={() => onAction(mentorship.id, 'accept')}
+              disabled={busy}
+              className="flex items-center space-x-1 px-3 py-1 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
+            >
+              <Check className="w-4 h-4" />
+              <span>Accept</span>
+            </button>
+            {isMentor && (
+              <button
+                onClick={() => onAction(mentorship.id, 'decline')}
+                disabled={busy}
+                className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+              >
+                Decline
+              </button>
+            )}
+          </>
+        )}
+
+        {isMentor && isOpen && (
+          <>
+            <button
+              onClick={() => onAction(mentorship.id, 'status', { status: mentorship.status === 'active' ? 'paused' : 'active' })}
+              disabled={busy}
+              className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              {mentorship.status === 'active' ? 'Pause' : 'Resume'}
+            </button>
+            <button
+              onClick={complete}
+              disabled={busy}
+              className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              Complete
+            </button>
+          </>
+        )}
+
+        {mentorship.status !== 'requested' && mentorship.status !== 'declined' && (
+          <button
+            onClick={() => setShowSessions(prev => !prev)}
+            className="px-3 py-1 text-sm text-purple-600 hover:text-purple-700"
+          >
+            {showSessions ? 'Hide sessions' : `Sessions (${mentorship.sessionCount})`}
+          </button>
+        )}
+      </div>
+
+      {showSessions && (
+        <MentorshipSessions mentorship={mentorship} canLog={isMentor && mentorship.status === 'active'} />
+      )}
+    </div>
+  );
+};
+
+// Mentor dashboard: open requests to pick up and the mentorships I run
+const MentoringDashboard = ({ user, onOpenIdea }) => {
+  const [mentorships, setMentorships] = useState({ asMentor: [], openRequests: [] });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadMentorships = useCallback(async () => {
+    try {
+      setMentorships(await apiCall('/mentorships'));
+    } catch (error) {
+      setError('Failed to load mentorships');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadMentorships();
+  }, [loadMentorships]);
+
+  const handleAction = async (mentorshipId, action, body = {}) => {
+    setBusy(true);
+    setError('');
+    try {
+      if (action === 'status') {
+        await apiCall(`/mentorships/${mentorshipId}`, { method: 'PUT', body: JSON.stringify(body) });
+      } else {
+        await apiCall(`/mentorships/${mentorshipId}/${action}`, { method: 'POST', body: JSON.stringify(body) });
+      }
+      await loadMentorships();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const requests = [
+    ...mentorships.asMentor.filter(m => m.status === 'requested'),
+    ...mentorships.openRequests
+  ];
+  const current = mentorships.asMentor.filter(m => ['active', 'paused'].includes(m.status));
+  const past = mentorships.asMentor.filter(m => m.status === 'completed');
+
+  const renderList = (title, items, emptyText) => (
+    <div className="space-y-3">
+      <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+      {items.length === 0 ? (
+        <p className="text-sm text-gray-500">{emptyText}</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {items.map(mentorship => (
+            <MentorshipCard
+              key={mentorship.id}
+              mentorship={mentorship}
+              user={user}
+              onAction={handleAction}
+              onOpenIdea={onOpenIdea}
+              busy={busy}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="space-y-8">
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+      {renderList('Mentorship Requests', requests, 'No one is waiting for a mentor right now')}
+      {renderList('Active Mentorships', current, 'Volunteer on an idea to start mentoring')}
+      {past.length > 0 && renderList('Completed', past, '')}
+    </div>
+  );
+};
+
+// Mentors on an idea, plus the request / volunteer / assign actions the user's role allows
+const IdeaMentorshipPanel = ({ idea, user }) => {
+  const [mentorships, setMentorships] = useState([]);
+  const [mentors, setMentors] = useState([]);
+  const [mentorId, setMentorId] = useState('');
+  const [notes, setNotes] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const isAuthor = idea.authorId === user.id;
+  const isAdmin = user.role === 'admin';
+
+  const loadMentorships = useCallback(async () => {
+    try {
+      const response = await apiCall(`/ideas/${idea.id}/mentorships`);
+      setMentorships(response.mentorships);
+    } catch (error) {
+      setError('Failed to load mentors');
+    }
+  }, [idea.id]);
+
+  useEffect(() => {
+    loadMentorships();
+  }, [loadMentorships]);
+
+  // Only the owner and admins pick a specific mentor
+  useEffect(() => {
+    if (!isAuthor && !isAdmin) return;
+    apiCall('/mentors')
+      .then(response => setMentors(response.mentors))
+      .catch(() => setMentors([]));
+  }, [isAuthor, isAdmin]);
+
+  const run = async (endpoint, body = {}) => {
+    setBusy(true);
+    setError('');
+    try {
+      await apiCall(endpoint, { method: 'POST', body: JSON.stringify(body) });
+      setMentorId('');
+      setNotes('');
+      await loadMentorships();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const visible = mentorships.filter(m => m.status !== 'declined');
+  const hasOpenRequest = mentorships.some(m => m.status === 'requested' && m.menteeId === user.id);
+  const isMentoring = mentorships.some(m => m.mentorId === user.id && ['active', 'paused'].includes(m.status));
+  const canVolunteer = user.role === 'mentor' && !isAuthor && !isMentoring;
+
+  return (
+    <div className="space-y-3">
+      <h4 className="text-sm font-medium text-gray-700">Mentors</h4>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {visible.length === 0 ? (
+        <p className="text-sm text-gray-500">No mentors yet</p>
+      ) : (
+        <div className="space-y-2">
+          {visible.map(mentorship => (
+            <div key={mentorship.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+              <span className="text-sm text-gray-900">
+                {mentorship.mentorName || 'Any mentor'}
+                {mentorship.startDate && <span className="text-gray-500"> • since {mentorship.startDate}</span>}
+              </span>
+              <div className="flex items-center space-x-2">
+                <span className={`px-2 py-1 text-xs rounded-full ${MENTORSHIP_STATUS_BADGES[mentorship.status]}`}>
+                  {mentorship.status}
+                </span>
+                {mentorship.status === 'requested' && mentorship.menteeId === user.id && (
+                  <button
+                    onClick={() => run(`/mentorships/${mentorship.id}/decline`)}
+                    disabled={busy}
+                    className="text-xs text-gray-500 hover:text-red-600"
+                  >
+                    Withdraw
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {isAuthor && !hasOpenRequest && (
+        <div className="space-y-2 p-3 border border-dashed border-gray-300 rounded-lg">
+          <select
+            value={mentorId}
+            onChange={(e) => setMentorId(e.target.value)}
+            className="w-full px-2 py-1 text-sm border border-gray-300 rounded-lg"
+          >
+            <option value="">Any available mentor</option>
+            {mentors.map(mentor => (
+              <option key={mentor.id} value={mentor.id}>
+                {mentor.name} ({mentor.activeMentorships} active)
+              </option>
+            ))}
+          </select>
+          <textarea
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="What would you like help with?"
+            className="w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+            rows={2}
+          />
+          <button
+            onClick={() => run(`/ideas/${idea.id}/mentorships/request`, { mentorId: mentorId ? parseInt(mentorId) : null, notes })}
+            disabled={busy}
+            className="px-3 py-1 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
+          >
+            Request a Mentor
+          </button>
+        </div>
+      )}
+
+      {canVolunteer && (
+        <button
+          onClick={() => run(`/ideas/${idea.id}/mentorships/volunteer`)}
+          disabled={busy}
+          className="px-3 py-1 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
+        >
+          Volunteer as Mentor
+        </button>
+      )}
+
+      {isAdmin && !isAuthor && (
+        <div className="flex items-center space-x-2">
+          <select
+            value={mentorId}
+            onChange={(e) => setMentorId(e.target.value)}
+            className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-lg"
+          >
+            <option value="">Choose a mentor...</option>
+            {mentors.map(mentor => (
+              <option key={mentor.id} value={mentor.id}>{mentor.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => run(`/ideas/${idea.id}/mentorships/assign`, { mentorId: parseInt(mentorId) })}
+            disabled={busy || !mentorId}
+            className="px-3 py-1 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
+          >
+            Assign Mentor
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// One entry in a similar/related ideas list, with a shortcut to ask to join the idea
+const SimilarIdeaItem = ({ idea, onOpenIdea, onRequestCollaboration }) => {
+  const [status, setStatus] = useState(idea.collaborationStatus);
+  const [error, setError] = useState('');
+
+  const join = async () => {
+    setError('');
+    try {
+      await onRequestCollaboration(idea.id, 'I had a very similar idea and would like to help with yours instead.');
+      setStatus('pending');
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <div className="flex justify-between items-start p-2 bg-white rounded">
+      <div>
+        <button onClick={() => onOpenIdea(idea.id)} className="text-sm font-medium text-gray-900 hover:text-purple-600 text-left">
+          {idea.title}
+        </button>
+        <p className="text-xs text-gray-500">
+          by {idea.author} • {idea.phase} • {Math.round(idea.score * 100)}% match
+          {idea.isLikelyDuplicate && <span className="ml-2 text-red-600 font-medium">Likely duplicate</span>}
+        </p>
+        {error && <p className="text-xs text-red-600">{error}</p>}
+      </div>
+      <span className="text-xs ml-3 whitespace-nowrap">
+        {status === null && (
+          <button onClick={join} className="text-purple-600 hover:text-purple-700 font-medium">
+            Ask to join
+          </button>
+        )}
+        {status === 'pending' && <span className="text-gray-500">Request pending</span>}
+        {status === 'accepted' && <span className="text-green-600">Collaborating</span>}
+        {status === 'owner' && <span className="text-gray-500">Your idea</span>}
+      </span>
+    </div>
+  );
+};
+
+// Warns while a new idea is being written if the portfolio already has similar ones.
+// `tags` is the raw comma separated input.
+const SimilarIdeasWarning = ({ title, description, tags, onOpenIdea, onRequestCollaboration }) => {
+  const [similar, setSimilar] = useState([]);
+
+  // Check once typing pauses; drafts this short don't say enough to compare
+  useEffect(() => {
+    if ((title + description).trim().length < 15) {
+      setSimilar([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      apiCall('/ideas/similar', {
+        method: 'POST',
+        body: JSON.stringify({
+          title,
+          description,
+          tags: tags.split(',').map(tag => tag.trim()).filter(Boolean)
+        })
+      })
+        .then(response => !cancelled && setSimilar(response.similar))
+        .catch(() => !cancelled && setSimilar([]));
+    }, 600);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [title, description, tags]);
+
+  if (similar.length === 0) return null;
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 p-4 rounded-lg">
+      <p className="font-medium text-yellow-900">
+        ⚠️ {similar.length} similar idea{similar.length === 1 ? '' : 's'} already exist{similar.length === 1 ? 's' : ''}
+      </p>
+      <p className="text-sm text-yellow-800 mb-3">Consider joining one of them as a collaborator instead of starting over.</p>
+      <div className="space-y-2">
+        {similar.map(idea => (
+          <SimilarIdeaItem key={idea.id} idea={idea} onOpenIdea={onOpenIdea} onRequestCollaboration={onRequestCollaboration} />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Other ideas in the portfolio that look like this one
+const RelatedIdeas = ({ idea, onOpenIdea, onRequestCollaboration }) => {
+  const [related, setRelated] = useState([]);
+
+  useEffect(() => {
+    apiCall(`/ideas/${idea.id}/related`)
+      .then(response => setRelated(response.related))
+      .catch(() => setRelated([]));
+  }, [idea.id]);
+
+  if (related.length === 0) return null;
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg">
+      <h4 className="font-medium text-gray-900 mb-3">Related Ideas</h4>
+      <div className="space-y-2">
+        {related.map(relatedIdea => (
+          <SimilarIdeaItem
+            key={relatedIdea.id}
+            idea={relatedIdea}
+            onOpenIdea={onOpenIdea}
+            onRequestCollaboration={onRequestCollaboration}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// One per-phase artifact: view it, (re)generate it, edit it one entry per line, and browse
+// or restore earlier versions. Every generate, edit and restore stores a new version.
+const ArtifactCard = ({ idea, artifact, canEdit, onSaved }) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState({});
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState('');
+  const [versions, setVersions] = useState(null);
+  const current = artifact.current;
+  const endpoint = `/ideas/${idea.id}/artifacts/${artifact.type}`;
+
+  // `action` ('generate' or 'save') is kept while the request runs to label the buttons
+  const run = async (action, request) => {
+    setBusy(action);
+    setError('');
+    try {
+      const response = await request();
+      onSaved(artifact.type, response.artifact);
+      setVersions(null);
+      return true;
+    } catch (error) {
+      setError(error.data?.errors ? `${error.message}: ${error.data.errors.join('; ')}` : error.message);
+      return false;
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const generate = () => run('generate', () => apiCall(`${endpoint}/generate`, { method: 'POST' }));
+
+  const save = (content) => run('save', () => apiCall(endpoint, {
+    method: 'PUT',
+    body: JSON.stringify({ content, baseVersion: current?.version ?? 0 })
+  }));
+
+  const startEditing = () => {
+    setDraft(Object.fromEntries(artifact.sections.map(section => [
+      section.key,
+      (current?.content[section.key] || []).join('\n')
+    ])));
+    setError('');
+    setEditing(true);
+  };
+
+  const saveDraft = async () => {
+    const content = Object.fromEntries(Object.entries(draft).map(([key, text]) => [
+      key,
+      text.split('\n').map(line => line.trim()).filter(Boolean)
+    ]));
+    if (await save(content)) setEditing(false);
+  };
+
+  const toggleVersions = async () => {
+    if (versions) {
+      setVersions(null);
+      return;
+    }
+    try {
+      const response = await apiCall(`${endpoint}/versions`);
+      setVersions(response.versions);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <div className="border rounded-lg p-4">
+      <div className="flex justify-between items-start mb-3">
+        <div>
+          <h4 className="font-medium text-gray-900">{artifact.label}</h4>
+          <p className="text-xs text-gray-500">
+            {artifact.phase}
+            {current && ` • v${current.version} • ${current.source === 'ai' ? `generated by ${current.provider}/${current.model}` : 'edited'} • ${current.createdBy || 'unknown'} • ${current.createdAt}`}
+          </p>
+        </div>
+        <div className="flex space-x-3 text-sm">
+          {current && (
+            <button onClick={toggleVersions} className="text-gray-600 hover:text-gray-800">
+              {versions ? 'Hide history' : 'History'}
+            </button>
+          )}
+          {canEdit && artifact.available && !editing && (
+            <>
+              <button onClick={startEditing} disabled={busy !== null} className="text-gray-600 hover:text-gray-800 disabled:opacity-50">
+                {current ? 'Edit' : 'Write'}
+              </button>
+              <button onClick={generate} disabled={busy !== null} className="text-purple-600 hover:text-purple-700 disabled:opacity-50">
+                {busy === 'generate' ? 'Generating...' : current ? 'Regenerate' : 'Generate'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      {!artifact.available ? (
+        <p className="text-sm text-gray-500">Available once the idea reaches {artifact.phase}.</p>
+      ) : editing ? (
+        <div className="space-y-3">
+          {artifact.sections.map(section => (
+            <div key={section.key}>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{section.label}</label>
+              <textarea
+                value={draft[section.key]}
+                onChange={(e) => setDraft({ ...draft, [section.key]: e.target.value })}
+                rows={3}
+                placeholder="One entry per line"
+                className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500"
+              />
+            </div>
+          ))}
+          <div className="flex justify-end space-x-2">
+            <button onClick={() => setEditing(false)} className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800">
+              Cancel
+            </button>
+            <button
+              onClick={saveDraft}
+              disabled={busy !== null}
+              className="bg-purple-600 text-white px-3 py-1 rounded-lg text-sm hover:bg-purple-700 disabled:opacity-50"
+            >
+              {busy === 'save' ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      ) : current ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          {artifact.sections.map(section => (
+            <div key={section.key} className="bg-gray-50 p-3 rounded">
+              <p className="text-sm font-medium text-gray-800 mb-1">{section.label}</p>
+              <div className="space-y-1 text-sm text-gray-700">
+                {(current.content[section.key] || []).map((item, index) => (
+                  <p key={index}>• {item}</p>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">Not created yet.</p>
+      )}
+
+      {versions && (
+        <div className="border-t mt-3 pt-3 space-y-1 text-xs text-gray-500">
+          {versions.map(version => (
+            <div key={version.id} className="flex justify-between items-center">
+              <span>
+                v{version.version} • {version.source === 'ai' ? 'AI' : 'Edited'} • {version.createdBy || 'unknown'} • {version.createdAt}
+              </span>
+              {version.version === current?.version ? (
+                <span className="text-purple-600">current</span>
+              ) : canEdit && artifact.available && (
+                <button onClick={() => save(version.content)} disabled={busy !== null} className="text-purple-600 hover:text-purple-700 disabled:opacity-50">
+                  Restore
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Deliverables for each phase (Lean Canvas, business model, MVP scope, launch checklist)
+const PhaseArtifacts = ({ idea, canEdit }) => {
+  const [artifacts, setArtifacts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    apiCall(`/ideas/${idea.id}/artifacts`)
+      .then(response => setArtifacts(response.artifacts))
+      .catch(() => setError('Failed to load artifacts'))
+      .finally(() => setLoading(false));
+  }, [idea.id, idea.phaseIndex]);
+
+  const setCurrent = (type, artifact) => setArtifacts(current =>
+    current.map(entry => (entry.type === type ? { ...entry, current: artifact } : entry))
+  );
+
+  if (loading) {
+    return (
+      <div className="text-center py-6">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-purple-600 mx-auto"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <h3 className="font-semibold text-gray-900">Phase Artifacts</h3>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {artifacts.map(artifact => (
+        <ArtifactCard key={artifact.type} idea={idea} artifact={artifact} canEdit={canEdit} onSaved={setCurrent} />
+      ))}
+    </div>
+  );
+};
+
+// Assistant chat for an idea: the user's private thread and, for the idea's team, a shared one
+const AssistantChat = ({ idea, user, events, onAskAI, onSignIn }) => {
+  const [threads, setThreads] = useState({ private: [], shared: null });
+  const [thread, setThread] = useState('private');
+  const [question, setQuestion] = useState('');
+  const [pendingQuestion, setPendingQuestion] = useState(null);
+  const [streamedAnswer, setStreamedAnswer] = useState('');
+  const [error, setError] = useState('');
+  const transcriptRef = useRef(null);
+  const abortRef = useRef(null);
+
+  // Stop a reply that is still streaming when the modal closes
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  useEffect(() => {
+    if (!user) return;
+    apiCall(`/ideas/${idea.id}/conversations`)
+      .then(response => setThreads(response.threads))
+      .catch(() => setError('Failed to load the conversation'));
+  }, [idea.id, user]);
+
+  // The asker gets the same messages from the response and the event, so skip known ids
+  const appendMessages = (threadName, messages) => setThreads(current => {
+    const existing = current[threadName] || [];
+    const added = messages.filter(message => !existing.some(known => known.id === message.id));
+    return { ...current, [threadName]: [...existing, ...added] };
+  });
+
+  // Teammates' questions and answers in the shared thread
+  useServerEvent(events, 'ai:message', (event) => {
+    if (event.ideaId === idea.id) appendMessages(event.thread, event.messages);
+  });
+
+  const messages = threads[thread] || [];
+
+  useEffect(() => {
+    if (transcriptRef.current) {
+      transcriptRef.current.scrollTop = transcriptRef.current.scrollHeight;
+    }
+  }, [messages.length, pendingQuestion, streamedAnswer]);
+
+  const handleAsk = async () => {
+    const text = question.trim();
+    if (!text) return;
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setPendingQuestion(text);
+    setStreamedAnswer('');
+    setQuestion('');
+    setError('');
+    try {
+      const response = await onAskAI(text, idea, thread, {
+        signal: controller.signal,
+        onToken: (token) => setStreamedAnswer(current => current + token)
+      });
+      appendMessages(response.thread, response.messages);
+    } catch (error) {
+      // A cancelled answer isn't stored, so the question goes back into the input
+      setError(error.name === 'AbortError' ? 'Answer cancelled' : error.message);
+      setQuestion(text);
+    } finally {
+      abortRef.current = null;
+      setPendingQuestion(null);
+      setStreamedAnswer('');
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="border-2 border-dashed border-gray-300 p-4 rounded-lg">
+        <h4 className="font-medium text-gray-900 mb-2">Ask AI Assistant</h4>
+        <p className="text-sm text-gray-600">
+          <button onClick={onSignIn} className="text-purple-600 hover:text-purple-700 underline">
+            Sign in
+          </button> to ask the AI assistant about this idea.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="border-2 border-dashed border-gray-300 p-4 rounded-lg">
+      <div className="flex justify-between items-center mb-3">
+        <h4 className="font-medium text-gray-900">Ask AI Assistant</h4>
+        {threads.shared && (
+          <div className="flex text-sm bg-gray-100 rounded-lg p-1">
+            {[['private', 'My chat'], ['shared', 'Team chat']].map(([name, label]) => (
+              <button
+                key={name}
+                onClick={() => setThread(name)}
+                disabled={pendingQuestion !== null}
+                className={`px-3 py-1 rounded-md ${thread === name ? 'bg-white shadow text-purple-700' : 'text-gray-600'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {(messages.length > 0 || pendingQuestion) && (
+        <div ref={transcriptRef} className="space-y-3 max-h-80 overflow-y-auto mb-3">
+          {messages.map(message => (
+            <div key={message.id} className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+              <div className={`max-w-[80%] p-3 rounded-lg text-sm ${message.role === 'user' ? 'bg-purple-50 text-purple-900' : 'bg-gray-50 text-gray-700'}`}>
+                {thread === 'shared' && message.role === 'user' && (
+                  <p className="text-xs font-medium text-purple-600 mb-1">{message.author}</p>
+                )}
+                <p className="whitespace-pre-wrap">{message.content}</p>
+                <p className="text-xs text-gray-400 mt-1">{message.createdAt}</p>
+              </div>
+            </div>
+          ))}
+          {pendingQuestion && (
+            <>
+              <div className="flex justify-end">
+                <div className="max-w-[80%] p-3 rounded-lg text-sm bg-purple-50 text-purple-900">
+                  <p className="whitespace-pre-wrap">{pendingQuestion}</p>
+                </div>
+              </div>
+              <div className="flex justify-start">
+                {streamedAnswer ? (
+                  <div className="max-w-[80%] p-3 rounded-lg text-sm bg-gray-50 text-gray-700">
+                    <p className="whitespace-pre-wrap">{streamedAnswer}</p>
+                  </div>
+                ) : (
+                  <div className="p-3 rounded-lg text-sm bg-gray-50 text-gray-500">Thinking...</div>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+      <div className="flex space-x-2">
+        <input
+          type="text"
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder={thread === 'shared' ? 'Ask on behalf of the team...' : 'Ask anything about this idea...'}
+          className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+          onKeyPress={(e) => e.key === 'Enter' && handleAsk()}
+        />
+        {pendingQuestion !== null ? (
+          <button
+            onClick={() => abortRef.current?.abort()}
+            className="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300"
+          >
+            Stop
+          </button>
+        ) : (
+          <button
+            onClick={handleAsk}
+            disabled={!question.trim()}
+            className="bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+          >
+            Ask
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const ANALYSIS_LIST_FIELDS = [
+  { key: 'similarSolutions', label: 'Similar solutions' },
+  { key: 'recommendations', label: 'Recommendations' },
+  { key: 'risks', label: 'Risks' }
+];
+
+// Entries only in `after` are added, entries only in `before` are removed (case-insensitive)
+const diffList = (before = [], after = []) => {
+  const normalize = (item) => item.trim().toLowerCase();
+  const beforeSet = new Set(before.map(normalize));
+  const afterSet = new Set(after.map(normalize));
+  return {
+    added: after.filter(item => !beforeSet.has(normalize(item))),
+    removed: before.filter(item => !afterSet.has(normalize(item)))
+  };
+};
+
+// What changed between two stored analyses, score first
+const AnalysisComparison = ({ previous, current }) => {
+  const previousScore = previous.analysis.marketOpportunity?.score;
+  const currentScore = current.analysis.marketOpportunity?.score;
+  const scoreChange = (currentScore || 0) - (previousScore || 0);
+  const listChanges = ANALYSIS_LIST_FIELDS
+    .map(field => ({ ...field, ...diffList(previous.analysis[field.key], current.analysis[field.key]) }))
+    .filter(field => field.added.length > 0 || field.removed.length > 0);
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg">
+      <h4 className="font-medium text-gray-900 mb-1">Changes since {previous.createdAt}</h4>
+      <p className="text-sm text-gray-700 mb-3">
+        Opportunity score: {previousScore ?? 'N/A'} → <span className="font-semibold">{currentScore ?? 'N/A'}</span>
+        {scoreChange !== 0 && (
+          <span className={`ml-2 font-medium ${scoreChange > 0 ? 'text-green-600' : 'text-red-600'}`}>
+            ({scoreChange > 0 ? '+' : ''}{scoreChange})
+          </span>
+        )}
+      </p>
+      {listChanges.length === 0 ? (
+        <p className="text-sm text-gray-500">No changes to solutions, recommendations or risks.</p>
+      ) : (
+        <div className="space-y-2 text-sm">
+          {listChanges.map(field => (
+            <div key={field.key}>
+              <p className="font-medium text-gray-800">{field.label}</p>
+              {field.added.map((item, index) => (
+                <p key={`added-${index}`} className="text-green-700">+ {item}</p>
+              ))}
+              {field.removed.map((item, index) => (
+                <p key={`removed-${index}`} className="text-red-600 line-through">− {item}</p>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Past analyses of an idea, newest first; reloads whenever the current analysis changes.
+// The latest one is compared with the one before it, or with whichever entry is picked.
+const AnalysisHistory = ({ ideaId, currentAnalysis }) => {
+  const [analyses, setAnalyses] = useState([]);
+  const [compareId, setCompareId] = useState(null);
+
+  useEffect(() => {
+    apiCall(`/ideas/${ideaId}/analyses`)
+      .then(response => {
+        setAnalyses(response.analyses);
+        setCompareId(null);
+      })
+      .catch(() => setAnalyses([]));
+  }, [ideaId, currentAnalysis]);
+
+  if (analyses.length === 0) return null;
+
+  const [latest, ...older] = analyses;
+  const previous = older.find(entry => entry.id === compareId) || older[0];
+
+  return (
+    <>
+      {previous && <AnalysisComparison previous={previous} current={latest} />}
+
+      <div className="border-t pt-4">
+        <h4 className="font-medium text-gray-900 mb-2">Analysis History</h4>
+        <div className="space-y-1 text-xs text-gray-500">
+          {analyses.map(entry => (
+            <button
+              key={entry.id}
+              onClick={() => entry !== latest && setCompareId(entry.id)}
+              disabled={entry === latest}
+              className={`w-full flex justify-between text-left ${entry === previous ? 'text-purple-600' : 'hover:text-gray-700'}`}
+            >
+              <span>
+                {entry.isFallback ? 'Placeholder' : `${entry.provider} / ${entry.model}`} • {entry.promptVersion}
+                {entry.repaired && ' • repaired'}
+                {entry === latest && ' • current'}
+              </span>
+              <span>{entry.createdAt}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+    </>
+  );
+};
+
+const REVISION_SOURCE_LABELS = {
+  baseline: 'Earliest saved version',
+  create: 'Created',
+  edit: 'Edited',
+  restore: 'Restored'
+};
+
+// Word spans from GET /api/ideas/:id/revisions/diff, with removals struck through
+const DiffText = ({ spans }) => (
+  <p className="text-sm text-gray-700 whitespace-pre-wrap">
+    {spans.map((span, index) => (
+      <span
+        key={index}
+        className={
+          span.type === 'added' ? 'bg-green-100 text-green-800' :
+          span.type === 'removed' ? 'bg-red-100 text-red-700 line-through' : ''
+        }
+      >
+        {span.text}
+      </span>
+    ))}
+  </p>
+);
+
+// Every saved version of the idea's title, description and tags, a diff between any two of
+// them, and restore for editors. Reloads whenever the idea's text changes.
+const IdeaHistory = ({ idea, canEdit, onIdeaChange }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [fromVersion, setFromVersion] = useState(null);
+  const [toVersion, setToVersion] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [restoring, setRestoring] = useState(null);
+  const [historyError, setHistoryError] = useState(null);
+
+  const tagsKey = (idea.tags || []).join(',');
+  useEffect(() => {
+    apiCall(`/ideas/${idea.id}/revisions`)
+      .then(response => {
+        setRevisions(response.revisions);
+        // Start with the latest change
+        setToVersion(response.revisions[0]?.version ?? null);
+        setFromVersion(response.revisions[1]?.version ?? null);
+      })
+      .catch(() => setRevisions([]));
+  }, [idea.id, idea.title, idea.description, tagsKey]);
+
+  useEffect(() => {
+    if (fromVersion === null || toVersion === null || fromVersion === toVersion) {
+      setComparison(null);
+      return;
+    }
+    apiCall(`/ideas/${idea.id}/revisions/diff?from=${fromVersion}&to=${toVersion}`)
+      .then(setComparison)
+      .catch(() => setComparison(null));
+  }, [idea.id, fromVersion, toVersion]);
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Replace the current title, description and tags with revision ${version}?`)) return;
+    setRestoring(version);
+    setHistoryError(null);
+    try {
+      const response = await apiCall(`/ideas/${idea.id}/revisions/${version}/restore`, { method: 'POST' });
+      onIdeaChange(idea.id, response.idea);
+    } catch (error) {
+      setHistoryError(error.data?.message || error.message);
+    } finally {
+      setRestoring(null);
+    }
+  };
+
+  if (revisions.length === 0) {
+    return <p className="text-sm text-gray-500">No history yet.</p>;
+  }
+
+  const versionSelect = (value, onChange) => (
+    <select
+      value={value ?? ''}
+      onChange={(e) => onChange(parseInt(e.target.value))}
+      className="p-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+    >
+      {revisions.map(revision => (
+        <option key={revision.version} value={revision.version}>v{revision.version} • {revision.createdAt}</option>
+      ))}
+    </select>
+  );
+
+  const { diff } = comparison || {};
+  const titleChanged = diff?.title.some(span => span.type !== 'equal');
+  const descriptionChanged = diff?.description.some(span => span.type !== 'equal');
+  const tagsChanged = diff && (diff.tags.added.length > 0 || diff.tags.removed.length > 0);
+
+  return (
+    <div className="space-y-6">
+      {revisions.length > 1 && (
+        <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+            <span className="font-medium text-gray-900">Compare</span>
+            {versionSelect(fromVersion, setFromVersion)}
+            <span>→</span>
+            {versionSelect(toVersion, setToVersion)}
+          </div>
+          {fromVersion === toVersion && <p className="text-sm text-gray-500">Pick two different revisions.</p>}
+          {diff && !titleChanged && !descriptionChanged && !tagsChanged && (
+            <p className="text-sm text-gray-500">These revisions have the same title, description and tags.</p>
+          )}
+          {titleChanged && (
+            <div>
+              <p className="text-xs font-medium text-gray-500 mb-1">Title</p>
+              <DiffText spans={diff.title} />
+            </div>
+          )}
+          {descriptionChanged && (
+            <div>
+              <p className="text-xs font-medium text-gray-500 mb-1">Description</p>
+              <DiffText spans={diff.description} />
+            </div>
+          )}
+          {tagsChanged && (
+            <div className="text-sm">
+              <p className="text-xs font-medium text-gray-500 mb-1">Tags</p>
+              {diff.tags.added.map(tag => <p key={`added-${tag}`} className="text-green-700">+ {tag}</p>)}
+              {diff.tags.removed.map(tag => <p key={`removed-${tag}`} className="text-red-600 line-through">− {tag}</p>)}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="space-y-2">
+        {revisions.map((revision, index) => (
+          <div key={revision.id} className="flex justify-between items-start border rounded-lg p-3">
+            <div>
+              <p className="text-sm font-medium text-gray-900">
+                v{revision.version} • {revision.title}
+                {index === 0 && <span className="ml-2 text-xs text-purple-600">current</span>}
+              </p>
+              <p className="text-xs text-gray-500">
+                {REVISION_SOURCE_LABELS[revision.source]}
+                {revision.restoredFrom && ` from v${revision.restoredFrom}`}
+                {revision.createdBy && ` by ${revision.createdBy}`} • {revision.createdAt}
+              </p>
+            </div>
+            {canEdit && index > 0 && (
+              <button
+                onClick={() => handleRestore(revision.version)}
+                disabled={restoring !== null}
+                className="text-sm text-purple-600 hover:text-purple-700 disabled:opacity-50"
+              >
+                {restoring === revision.version ? 'Restoring...' : 'Restore'}
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+      {historyError && <p className="text-sm text-red-600">{historyError}</p>}
+    </div>
+  );
+};
+
+// Status, archive and delete controls for the idea's owner; delete is admin-only
+const IdeaLifecycleControls = ({ idea, user, onIdeaChange, onDeleteIdea }) => {
+  const [busy, setBusy] = useState(false);
+  const [actionError, setActionError] = useState(null);
+
+  const run = async (action) => {
+    setBusy(true);
+    setActionError(null);
+    try {
+      await action();
+    } catch (error) {
+      setActionError(error.data?.message || error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const changeStatus = (status) => run(async () => {
+    await apiCall(`/ideas/${idea.id}/status`, { method: 'PUT', body: JSON.stringify({ status }) });
+    onIdeaChange(idea.id, { status });
+  });
+
+  const toggleArchived = () => run(async () => {
+    if (idea.archivedAt) {
+      await apiCall(`/ideas/${idea.id}/restore`, { method: 'POST' });
+      onIdeaChange(idea.id, { archivedAt: null });
+    } else {
+      const response = await apiCall(`/ideas/${idea.id}/archive`, { method: 'POST' });
+      onIdeaChange(idea.id, { archivedAt: response.archivedAt });
+    }
+  });
+
+  const handleDelete = () => {
+    if (!window.confirm('Permanently delete this idea with all its comments, workflow answers and artifacts? This cannot be undone.')) return;
+    run(async () => {
+      await apiCall(`/ideas/${idea.id}`, { method: 'DELETE' });
+      onDeleteIdea(idea.id);
+    });
+  };
+
+  return (
+    <div className="border-t pt-4">
+      <h4 className="font-medium text-gray-900 mb-2">Lifecycle</h4>
+      <div className="flex flex-wrap items-center gap-3">
+        <select
+          value={idea.status || 'active'}
+          onChange={(e) => changeStatus(e.target.value)}
+          disabled={busy}
+          className="p-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+        >
+          {Object.entries(IDEA_STATUS_OPTIONS).map(([value, option]) => (
+            <option key={value} value={value}>{option.label}</option>
+          ))}
+        </select>
+        <button
+          onClick={toggleArchived}
+          disabled={busy}
+          className="px-3 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+        >
+          {idea.archivedAt ? 'Restore' : 'Archive'}
+        </button>
+        {user.role === 'admin' && (
+          <button
+            onClick={handleDelete}
+            disabled={busy}
+            className="px-3 py-2 text-sm text-red-600 border border-red-300 rounded-lg hover:bg-red-50 disabled:opacity-50"
+          >
+            Delete permanently
+          </button>
+        )}
+      </div>
+      {idea.archivedAt && (
+        <p className="text-xs text-gray-500 mt-2">Archived {idea.archivedAt}. It is hidden from Discover until restored.</p>
+      )}
+      {actionError && <p className="text-sm text-red-600 mt-2">{actionError}</p>}
+    </div>
+  );
+};
+
+// AI-Enhanced Idea Detail Modal Component
+// Defined outside App so that App re-renders (e.g. after a new comment) don't remount it
+const IdeaDetailModal = ({ idea, user, events, onClose, onAskAI, onRequestCollaboration, onSignIn, onIdeaChange, onUpdateIdea, onDeleteIdea, onCollaboratorsChange, onOpenIdea }) => {
+  const [activeSection, setActiveSection] = useState('overview');
+  const [permissions, setPermissions] = useState([]);
+  const [editing, setEditing] = useState(false);
+  const [editForm, setEditForm] = useState({ title: '', description: '', tags: '', visibility: '' });
+  const [editError, setEditError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [analyzing, setAnalyzing] = useState(false);
+  const [collaborationMessage, setCollaborationMessage] = useState('');
+  const [showCollaborationModal, setShowCollaborationModal] = useState(false);
+
+  const phaseInfo = phases[idea.phaseIndex || 0];
+  const IconComponent = phaseInfo.icon;
+  const analysisInProgress = ['queued', 'running'].includes(idea.analysisStatus);
+  // Visibility and lifecycle are the owner's (or an admin's) call
+  const isOwner = Boolean(user) && (idea.authorId === user.id || user.role === 'admin');
+
+  // What the signed-in user may do with this idea decides which controls are shown
+  useEffect(() => {
+    if (!user) {
+      setPermissions([]);
+      return;
+    }
+    apiCall(`/ideas/${idea.id}/permissions`)
+      .then(response => setPermissions(response.permissions))
+      .catch(() => setPermissions([]));
+  }, [idea.id, user]);
+
+  const can = (permission) => permissions.includes(permission);
+
+  const startEditing = () => {
+    setEditForm({
+      title: idea.title,
+      description: idea.description,
+      tags: (idea.tags || []).join(', '),
+      visibility: idea.visibility
+    });
+    setEditError(null);
+    setEditing(true);
+  };
+
+  const handleSaveEdit = async () => {
+    if (!editForm.title.trim() || !editForm.description.trim()) {
+      setEditError('Title and description are required');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onUpdateIdea(idea.id, {
+        title: editForm.title.trim(),
+        description: editForm.description.trim(),
+        tags: editForm.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+        ...(isOwner && { visibility: editForm.visibility })
+      });
+      setEditing(false);
+    } catch (error) {
+      setEditError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReanalyze = async () => {
+    setAnalyzing(true);
+    try {
+      // The result arrives later as an idea:updated event
+      const response = await apiCall(`/ideas/${idea.id}/analyze`, { method: 'POST' });
+      onIdeaChange(idea.id, { analysisStatus: response.analysisStatus });
+    } catch (error) {
+      console.error('Re-analysis failed:', error);
+    } finally {
+      setAnalyzing(false);
+    }
+  };
+
+  const handleRequestCollaboration = async () => {
+    try {
+      await onRequestCollaboration(idea.id, collaborationMessage);
+      setShowCollaborationModal(false);
+      setCollaborationMessage('');
+      // Could show success notification
+    } catch (error) {
+      console.error('Collaboration request failed:', error);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-xl max-w-4xl w-full max-h-[90vh] overflow-hidden">
+        <div className="flex justify-between items-center p-6 border-b">
+          <div className="flex items-center space-x-3">
+            <div className={`p-2 rounded-lg ${phaseInfo.color} bg-opacity-10`}>
+              <IconComponent className={`w-5 h-5 ${phaseInfo.color.replace('bg-', 'text-')}`} />
+            </div>
+            <div>
+              <h2 className="text-xl font-bold text-gray-900">{idea.title}</h2>
+              <p className="text-sm text-gray-500">
+                by {idea.author} • {idea.createdAt}
+                {IDEA_VISIBILITY_OPTIONS[idea.visibility] && ` • ${IDEA_VISIBILITY_OPTIONS[idea.visibility].label}`}
+                {idea.status && idea.status !== 'active' && ` • ${IDEA_STATUS_OPTIONS[idea.status].label}`}
+                {idea.archivedAt && ' • 🗄 Archived'}
+              </p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        
+        <div className="flex border-b">
+          {['overview', 'workflow', 'artifacts', 'discussion', 'ai-insights', 'history', 'activity', 'collaborate']
+            .filter(section => !['workflow', 'artifacts', 'history', 'activity'].includes(section) || user)
+            .map(section => (
+              <button
+                key={section}
+                onClick={() => setActiveSection(section)}
+                className={`px-6 py-3 text-sm font-medium border-b-2 transition-colors ${
+                  activeSection === section 
+                    ? 'border-purple-500 text-purple-600' 
+                    : 'border-transparent text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                {section === 'overview' && 'Overview'}
+                {section === 'workflow' && 'Workflow'}
+                {section === 'artifacts' && 'Artifacts'}
+                {section === 'discussion' && 'Discussion'}
+                {section === 'ai-insights' && '🤖 AI Insights'}
+                {section === 'history' && 'History'}
+                {section === 'activity' && 'Activity'}
+                {section === 'collaborate' && 'Collaborate'}
+              </button>
+            ))}
+        </div>
+        
+        <div className="p-6 max-h-[60vh] overflow-y-auto">
+          {activeSection === 'overview' && editing && (
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Title</label>
+                <input
+                  type="text"
+                  value={editForm.title}
+                  onChange={(e) => setEditForm(prev => ({ ...prev, title: e.target.value }))}
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <textarea
+                  value={editForm.description}
+                  onChange={(e) => setEditForm(prev => ({ ...prev, description: e.target.value }))}
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+                  rows={5}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Tags (comma-separated)</label>
+                <input
+                  type="text"
+                  value={editForm.tags}
+                  onChange={(e) => setEditForm(prev => ({ ...prev, tags: e.target.value }))}
+                  className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+                />
+              </div>
+              {isOwner && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Who can see this idea</label>
+                  <select
+                    value={editForm.visibility}
+                    onChange={(e) => setEditForm(prev => ({ ...prev, visibility: e.target.value }))}
+                    className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+                  >
+                    {Object.entries(IDEA_VISIBILITY_OPTIONS).map(([value, option]) => (
+                      <option key={value} value={value}>{option.label} - {option.description}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              {editError && <p className="text-sm text-red-600">{editError}</p>}
+              <div className="flex justify-end space-x-3">
+                <button
+                  onClick={() => setEditing(false)}
+                  className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSaveEdit}
+                  disabled={saving}
+                  className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Save Changes'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {activeSection === 'overview' && !editing && (
+            <div className="space-y-6">
+              <div>
+                <div className="flex justify-between items-center mb-2">
+                  <h3 className="font-semibold text-gray-900">Description</h3>
+                  {can('edit') && (
+                    <button
+                      onClick={startEditing}
+                      className="flex items-center space-x-1 text-sm text-purple-600 hover:text-purple-700"
+                    >
+                      <Edit3 className="w-4 h-4" />
+                      <span>Edit</span>
+                    </button>
+                  )}
+                </div>
+                <p className="text-gray-600">{idea.description}</p>
+              </div>
+              
+              {idea.tags && idea.tags.length > 0 && (
+                <div className="flex flex-wrap gap-2">
+                  {idea.tags.map(tag => (
+                    <span key={tag} className="px-3 py-1 bg-purple-100 text-purple-700 text-sm rounded-full">
+                      {tag}
+                    </span>
+                  ))}
+                </div>
+              )}
+              
+              <div className="flex items-center space-x-6">
+                <div className="flex items-center space-x-2 text-gray-600">
+                  <Heart className="w-5 h-5" />
+                  <span>{idea.likes || 0} likes</span>
+                </div>
+                <div className="flex items-center space-x-2 text-gray-600">
+                  <MessageCircle className="w-5 h-5" />
+                  <span>{idea.comments || 0} comments</span>
+                </div>
+                <div className="flex items-center space-x-2 text-gray-600">
+                  <Users className="w-5 h-5" />
+                  <span>{idea.collaborators?.length || 0} collaborators</span>
+                </div>
+              </div>
+
+              {user && (
+                <RelatedIdeas idea={idea} onOpenIdea={onOpenIdea} onRequestCollaboration={onRequestCollaboration} />
+              )}
+
+              {isOwner && (
+                <IdeaLifecycleControls idea={idea} user={user} onIdeaChange={onIdeaChange} onDeleteIdea={onDeleteIdea} />
+              )}
+            </div>
+          )}
+          
+          {activeSection === 'workflow' && user && (
+            <WorkflowSection idea={idea} onPhaseAdvanced={(changes) => onIdeaChange(idea.id, changes)} />
+          )}
+
+          {activeSection === 'artifacts' && user && (
+            <PhaseArtifacts idea={idea} canEdit={can('edit')} />
+          )}
+
+          {activeSection === 'history' && user && (
+            <IdeaHistory idea={idea} canEdit={can('edit')} onIdeaChange={onIdeaChange} />
+          )}
+
+          {activeSection === 'activity' && user && (
+            <IdeaActivityTimeline key={idea.id} ideaId={idea.id} />
+          )}
+          
+          {activeSection === 'discussion' && (
+            <DiscussionSection
+              idea={idea}
+              events={events}
+              user={user}
+              onSignIn={onSignIn}
+              onCountChange={(count) => onIdeaChange(idea.id, { comments: count })}
+            />
+          )}
+          
+          {activeSection === 'ai-insights' && (
+            <div className="space-y-6">
+              <div className="flex justify-between items-center">
+                <h3 className="font-semibold text-gray-900">AI Analysis & Insights</h3>
+                {can('edit') && (
+                  <button
+                    onClick={handleReanalyze}
+                    disabled={analyzing || analysisInProgress}
+                    className="text-sm text-purple-600 hover:text-purple-700 disabled:opacity-50"
+                  >
+                    {analyzing || analysisInProgress ? 'Analyzing...' : 'Re-run analysis'}
+                  </button>
+                )}
+              </div>
+              
+              {idea.aiAnalysis ? (
+                <>
+                  {idea.aiAnalysis.isFallback && (
+                    <div className="bg-gray-100 border border-gray-300 text-gray-700 p-3 rounded-lg text-sm">
+                      Placeholder only – no AI provider was available, so this is a generic checklist, not a real analysis of this idea.
+                    </div>
+                  )}
+
+                  {/* Similar Solutions */}
+                  <div className="bg-purple-50 p-4 rounded-lg">
+                    <h4 className="font-medium text-purple-900 mb-3">Similar Solutions & Competitors</h4>
+                    <div className="space-y-2">
+                      {idea.aiAnalysis.similarSolutions?.map((solution, index) => (
+                        <div key={index} className="flex items-center justify-between p-2 bg-white rounded">
+                          <span className="text-gray-900">{solution}</span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                  
+                  {/* Market Opportunity */}
+                  <div className="bg-green-50 p-4 rounded-lg">
+                    <h4 className="font-medium text-green-900 mb-3">📊 Market Opportunity</h4>
+                    <div className="flex items-center space-x-2 mb-2">
+                      <span className="text-2xl font-bold text-green-800">
+                        {idea.aiAnalysis.marketOpportunity?.score || 'N/A'}/10
+                      </span>
+                      <span className="text-green-700">Opportunity Score</span>
+                    </div>
+                    <p className="text-sm text-green-800">
+                      {idea.aiAnalysis.marketOpportunity?.explanation}
+                    </p>
+                  </div>
+                  
+                  {/* Recommendations */}
+                  <div className="bg-blue-50 p-4 rounded-lg">
+                    <h4 className="font-medium text-blue-900 mb-3">💡 Recommendations</h4>
+                    <div className="space-y-1 text-sm text-blue-800">
+                      {idea.aiAnalysis.recommendations?.map((rec, index) => (
+                        <p key={index}>• {rec}</p>
+                      ))}
+                    </div>
+                  </div>
+                  
+                  {/* Risks */}
+                  <div className="bg-yellow-50 p-4 rounded-lg">
+                    <h4 className="font-medium text-yellow-900 mb-3">⚠️ Risks & Challenges</h4>
+                    <div className="space-y-1 text-sm text-yellow-800">
+                      {idea.aiAnalysis.risks?.map((risk, index) => (
+                        <p key={index}>• {risk}</p>
+                      ))}
+                    </div>
+                  </div>
+
+                  {user && <AnalysisHistory ideaId={idea.id} currentAnalysis={idea.aiAnalysis} />}
+                </>
+              ) : idea.analysisStatus === 'failed' ? (
+                <div className="text-center py-8">
+                  <p className="text-gray-500">AI analysis failed after several attempts.</p>
+                  {can('edit') && <p className="text-sm text-gray-400 mt-1">Use "Re-run analysis" to try again.</p>}
+                </div>
+              ) : (
+                <div className="text-center py-8">
+                  <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600 mx-auto mb-4"></div>
+                  <p className="text-gray-500">
+                    {idea.analysisStatus === 'queued' ? 'Waiting for AI analysis...' : 'Generating AI insights...'}
+                  </p>
+                </div>
+              )}
+              
+              {/* Ask AI Assistant */}
+              <AssistantChat idea={idea} user={user} events={events} onAskAI={onAskAI} onSignIn={onSignIn} />
+            </div>
+          )}
+          
+          {activeSection === 'collaborate' && (
+            <div className="space-y-4">
+              <h3 className="font-semibold text-gray-900">Collaboration</h3>
+              
+              {can('manage_collaborators') && (
+                <CollaboratorManager idea={idea} onChange={onCollaboratorsChange} />
+              )}
+              
+              {!can('manage_collaborators') && idea.collaborators && idea.collaborators.length > 0 && (
+                <div>
+                  <h4 className="text-sm font-medium text-gray-700 mb-2">Current Collaborators</h4>
+                  <div className="space-y-2">
+                    {idea.collaborators.map(collaborator => (
+                      <div key={collaborator} className="flex items-center space-x-3 p-3 bg-gray-50 rounded-lg">
+                        <div className="w-8 h-8 bg-purple-500 rounded-full flex items-center justify-center text-white text-sm">
+                          {collaborator[0]}
+                        </div>
+                        <span className="text-gray-900">{collaborator}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+              
+              {user && idea.authorId !== user.id && !idea.collaborators?.includes(user.name) && (
+                <button 
+                  onClick={() => setShowCollaborationModal(true)}
+                  className="bg-purple-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-purple-700"
+                >
+                  Request to Collaborate
+                </button>
+              )}
+              
+              {user && <IdeaMentorshipPanel idea={idea} user={user} />}
+              
+              {!user && (
+                <div className="bg-blue-50 p-4 rounded-lg">
+                  <p className="text-blue-800">
+                    <button 
+                      onClick={onSignIn}
+                      className="text-blue-600 hover:text-blue-700 underline"
+                    >
+                      Sign in
+                    </button> to collaborate on this idea!
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+      
+      {/* Collaboration Request Modal */}
+      {showCollaborationModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-60">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Request Collaboration</h3>
+            <textarea
+              value={collaborationMessage}
+              onChange={(e) => setCollaborationMessage(e.target.value)}
+              placeholder="Tell the idea owner why you'd like to collaborate..."
+              className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 mb-4"
+              rows={4}
+            />
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setShowCollaborationModal(false)}
+                className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleRequestCollaboration}
+                className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700"
+              >
+                Send Request
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const formatTokens = (tokens) => (tokens || 0).toLocaleString();
+const formatCost = (cost) => (cost === null || cost === undefined ? 'n/a' : `$${cost.toFixed(cost < 1 ? 4 : 2)}`);
+
+// Admin report of AI token usage and estimated cost
+const AIUsageReport = () => {
+  const [days, setDays] = useState(30);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setError('');
+    apiCall(`/admin/ai-usage?days=${days}`)
+      .then(setReport)
+      .catch(() => setError('Failed to load AI usage'));
+  }, [days]);
+
+  const renderTable = (title, rows, labelOf) => (
+    <div>
+      <h4 className="font-medium text-gray-900 mb-2">{title}</h4>
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500">No usage yet</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-1 font-normal"></th>
+              <th className="py-1 font-normal text-right">Calls</th>
+              <th className="py-1 font-normal text-right">Tokens</th>
+              <th className="py-1 font-normal text-right">Cost</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={labelOf(row)} className="border-t">
+                <td className="py-1 text-gray-700">{labelOf(row)}</td>
+                <td className="py-1 text-right text-gray-900">{row.calls}</td>
+                <td className="py-1 text-right text-gray-900">{formatTokens(row.inputTokens + row.outputTokens)}</td>
+                <td className="py-1 text-right text-gray-900">{formatCost(row.costUsd)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+
+  const busiestDay = report?.byDay.reduce((max, day) => Math.max(max, day.inputTokens + day.outputTokens), 0);
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border p-6 space-y-6">
+      <div className="flex justify-between items-center">
+        <h3 className="text-lg font-semibold text-gray-900">AI Usage</h3>
+        <select
+          value={days}
+          onChange={(e) => setDays(parseInt(e.target.value))}
+          className="px-3 py-1 border border-gray-300 rounded-lg text-sm"
+        >
+          <option value={7}>Last 7 days</option>
+          <option value={30}>Last 30 days</option>
+          <option value={90}>Last 90 days</option>
+        </select>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {report && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <p className="text-sm text-gray-600">AI Calls</p>
+              <p className="text-xl font-bold text-gray-900">{report.totals.calls}</p>
+            </div>
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <p className="text-sm text-gray-600">Tokens (in / out)</p>
+              <p className="text-xl font-bold text-gray-900">
+                {formatTokens(report.totals.inputTokens)} / {formatTokens(report.totals.outputTokens)}
+              </p>
+            </div>
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <p className="text-sm text-gray-600">Estimated Cost</p>
+              <p className="text-xl font-bold text-gray-900">{formatCost(report.totals.costUsd)}</p>
+            </div>
+          </div>
+
+          {report.byDay.length > 0 && (
+            <div>
+              <h4 className="font-medium text-gray-900 mb-2">Tokens per Day</h4>
+              <div className="flex items-end h-24 space-x-1">
+                {report.byDay.map(day => (
+                  <div
+                    key={day.day}
+                    title={`${day.day}: ${formatTokens(day.inputTokens + day.outputTokens)} tokens, ${formatCost(day.costUsd)}`}
+                    className="flex-1 bg-purple-400 rounded-t"
+                    style={{ height: `${Math.max(((day.inputTokens + day.outputTokens) / busiestDay) * 100, 2)}%` }}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            {renderTable('By User', report.byUser, row => row.name)}
+            {renderTable('By Model', report.byModel, row => `${row.provider} / ${row.model}`)}
+            {renderTable('By Feature', report.byFeature, row => row.feature)}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Admin editor for AI token quotas per role and per user. Blank limits mean unlimited.
+const AIQuotaSettings = () => {
+  const [quotas, setQuotas] = useState(null);
+  const [drafts, setDrafts] = useState({});
+  const [newUserId, setNewUserId] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const toDraft = (quota) => ({
+    dailyTokenLimit: quota?.dailyTokenLimit ?? '',
+    monthlyTokenLimit: quota?.monthlyTokenLimit ?? ''
+  });
+
+  const loadQuotas = useCallback(async () => {
+    try {
+      const response = await apiCall('/admin/ai-quotas');
+      setQuotas(response);
+      setDrafts(Object.fromEntries([
+        ...['employee', 'mentor', 'admin'].map(role => [
+          `roles/${role}`,
+          toDraft(response.roles.find(quota => quota.role === role))
+        ]),
+        ...response.users.map(quota => [`users/${quota.userId}`, toDraft(quota)])
+      ]));
+    } catch (error) {
+      setError('Failed to load AI quotas');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadQuotas();
+  }, [loadQuotas]);
+
+  const updateDraft = (key, field, value) => setDrafts(current => ({
+    ...current,
+    [key]: { ...current[key], [field]: value }
+  }));
+
+  const toLimit = (value) => (String(value).trim() === '' ? null : Number(value));
+
+  const handleSave = async (key) => {
+    setBusy(true);
+    setError('');
+    try {
+      await apiCall(`/admin/ai-quotas/${key}`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          dailyTokenLimit: toLimit(drafts[key].dailyTokenLimit),
+          monthlyTokenLimit: toLimit(drafts[key].monthlyTokenLimit)
+        })
+      });
+      await loadQuotas();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemove = async (key) => {
+    setBusy(true);
+    setError('');
+    try {
+      await apiCall(`/admin/ai-quotas/${key}`, { method: 'DELETE' });
+      await loadQuotas();
+    } catch (error) {
+      setError(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAddUser = () => {
+    const key = `users/${newUserId.trim()}`;
+    setDrafts(current => ({ ...current, [key]: current[key] || toDraft(null) }));
+    setNewUserId('');
+  };
+
+  if (!quotas) {
+    return error ? <p className="text-sm text-red-600">{error}</p> : null;
+  }
+
+  const describeDefault = (limit) => (limit === null ? 'unlimited' : formatTokens(limit));
+
+  const renderRow = (key, label, removable) => (
+    <div key={key} className="flex flex-wrap items-center gap-2">
+      <span className="w-48 text-sm text-gray-700 truncate">{label}</span>
+      {['dailyTokenLimit', 'monthlyTokenLimit'].map(field => (
+        <input
+          key={field}
+          type="number"
+          min="0"
+          value={drafts[key]?.[field] ?? ''}
+          onChange={(e) => updateDraft(key, field, e.target.value)}
+          placeholder={field === 'dailyTokenLimit' ? 'Daily tokens' : 'Monthly tokens'}
+          className="w-36 px-2 py-1 border border-gray-300 rounded text-sm"
+        />
+      ))}
+      <button
+        onClick={() => handleSave(key)}
+        disabled={busy}
+        className="px-3 py-1 bg-purple-600 text-white rounded text-sm hover:bg-purple-700 disabled:opacity-50"
+      >
+        Save
+      </button>
+      {removable && (
+        <button
+          onClick={() => handleRemove(key)}
+          disabled={busy}
+          className="px-3 py-1 text-sm text-gray-600 hover:text-red-600 disabled:opacity-50"
+        >
+          Reset
+        </button>
+      )}
+    </div>
+  );
+
+  const userKeys = Object.keys(drafts).filter(key => key.startsWith('users/'));
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border p-6 space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-900">AI Quotas</h3>
+        <p className="text-sm text-gray-500">
+          Tokens per day and per month. Leave a limit blank for unlimited. Without a role or user quota the
+          server default applies ({describeDefault(quotas.defaults.dailyTokenLimit)} a day,{' '}
+          {describeDefault(quotas.defaults.monthlyTokenLimit)} a month).
+        </p>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="space-y-2">
+        <h4 className="font-medium text-gray-900">By Role</h4>
+        {['employee', 'mentor', 'admin'].map(role => renderRow(
+          `roles/${role}`,
+          role.charAt(0).toUpperCase() + role.slice(1),
+          quotas.roles.some(quota => quota.role === role)
+        ))}
+      </div>
+
+      <div className="space-y-2">
+        <h4 className="font-medium text-gray-900">User Overrides</h4>
+        {userKeys.map(key => {
+          const quota = quotas.users.find(userQuota => `users/${userQuota.userId}` === key);
+          return renderRow(key, quota ? `${quota.name} (${quota.email})` : `User #${key.slice(6)}`, Boolean(quota));
+        })}
+        <div className="flex items-center gap-2">
+          <input
+            type="number"
+            min="1"
+            value={newUserId}
+            onChange={(e) => setNewUserId(e.target.value)}
+            placeholder="User ID"
+            className="w-48 px-2 py-1 border border-gray-300 rounded text-sm"
+          />
+          <button
+            onClick={handleAddUser}
+            disabled={!newUserId.trim()}
+            className="px-3 py-1 text-sm text-purple-600 hover:text-purple-700 disabled:opacity-50"
+          >
+            Add override
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Named audit log actions recorded by the server (see backend/audit.js); other changes are
+// logged under their route, e.g. "POST /api/ideas/:id/comments"
+const ACTIVITY_ACTION_LABELS = {
+  'auth.register': 'Signed up',
+  'auth.login': 'Signed in',
+  'auth.login_failed': 'Failed sign-in',
+  'idea.create': 'Created idea',
+  'idea.update': 'Edited idea',
+  'idea.status': 'Changed status',
+  'idea.archive': 'Archived idea',
+  'idea.restore': 'Restored idea',
+  'idea.revision_restore': 'Restored a revision',
+  'idea.delete': 'Deleted idea',
+  'idea.like': 'Liked / unliked idea',
+  'admin.user_role': 'Changed a user\'s role',
+  'collaboration.accept': 'Accepted collaboration',
+  'collaboration.reject': 'Rejected collaboration',
+  'collaboration.role_change': 'Changed collaborator role',
+  'collaboration.remove': 'Removed collaborator',
+  'ai.ask': 'Asked the AI assistant',
+  'ai.analyze': 'Ran AI analysis',
+  'ai.generate_artifact': 'Generated artifact',
+  'ai.analysis_job': 'AI analysis finished',
+  'ai.analysis_job_failed': 'AI analysis failed'
+};
+
+const formatActivityDetails = (details) => Object.entries(details || {})
+  .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`)
+  .join(' • ');
+
+// Admin audit log with filters, a page at a time
+const ActivityLog = () => {
+  const [filters, setFilters] = useState({ action: '', userId: '', ideaId: '', from: '', to: '' });
+  const [page, setPage] = useState(1);
+  const [log, setLog] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const params = new URLSearchParams({ page });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    setError('');
+    apiCall(`/admin/activity?${params}`)
+      .then(setLog)
+      .catch((requestError) => setError(requestError.data?.message || 'Failed to load the activity log'));
+  }, [filters, page]);
+
+  const setFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const pageCount = log ? Math.max(Math.ceil(log.total / log.pageSize), 1) : 1;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border p-6 space-y-4">
+      <h3 className="text-lg font-semibold text-gray-900">Activity Log</h3>
+
+      <div className="flex flex-wrap gap-2">
+        <select
+          value={filters.action}
+          onChange={(e) => setFilter('action', e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded text-sm"
+        >
+          <option value="">All actions</option>
+          {Object.entries(ACTIVITY_ACTION_LABELS).map(([action, label]) => (
+            <option key={action} value={action}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="1"
+          value={filters.userId}
+          onChange={(e) => setFilter('userId', e.target.value)}
+          placeholder="User ID"
+          className="w-28 px-2 py-1 border border-gray-300 rounded text-sm"
+        />
+        <input
+          type="number"
+          min="1"
+          value={filters.ideaId}
+          onChange={(e) => setFilter('ideaId', e.target.value)}
+          placeholder="Idea ID"
+          className="w-28 px-2 py-1 border border-gray-300 rounded text-sm"
+        />
+        <input
+          type="date"
+          value={filters.from}
+          onChange={(e) => setFilter('from', e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded text-sm"
+        />
+        <input
+          type="date"
+          value={filters.to}
+          onChange={(e) => setFilter('to', e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded text-sm"
+        />
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {log && (log.entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No activity matches these filters</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1 font-normal">When</th>
+                <th className="py-1 font-normal">User</th>
+                <th className="py-1 font-normal">Action</th>
+                <th className="py-1 font-normal">Idea</th>
+                <th className="py-1 font-normal">Details</th>
+                <th className="py-1 font-normal">IP</th>
+              </tr>
+            </thead>
+            <tbody>
+              {log.entries.map(entry => (
+                <tr key={entry.id} className="border-t align-top">
+                  <td className="py-1 pr-2 text-gray-500 whitespace-nowrap">{entry.createdAt}</td>
+                  <td className="py-1 pr-2 text-gray-900">{entry.userName || (entry.userId ? `#${entry.userId}` : '—')}</td>
+                  <td className="py-1 pr-2 text-gray-900">{ACTIVITY_ACTION_LABELS[entry.action] || entry.action}</td>
+                  <td className="py-1 pr-2 text-gray-700">{entry.ideaTitle || (entry.ideaId ? `#${entry.ideaId}` : '—')}</td>
+                  <td className="py-1 pr-2 text-gray-500">{formatActivityDetails(entry.details)}</td>
+                  <td className="py-1 text-gray-500" title={entry.userAgent || ''}>{entry.ipAddress || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+
+      {log && log.total > log.pageSize && (
+        <div className="flex justify-between items-center text-sm text-gray-600">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span>Page {page} of {pageCount} • {log.total} entries</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pageCount}
+            className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Everything the audit log recorded about one idea, newest first
+const IdeaActivityTimeline = ({ ideaId }) => {
+  const [entries, setEntries] = useState([]);
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
+
+  useEffect(() => {
+    apiCall(`/ideas/${ideaId}/activity?page=${page}`)
+      .then(response => {
+        setEntries(prev => (page === 1 ? response.entries : [...prev, ...response.entries]));
+        setTotal(response.total);
+      })
+      .catch(() => setEntries([]));
+  }, [ideaId, page]);
+
+  if (entries.length === 0) {
+    return <p className="text-sm text-gray-500">No recorded activity yet.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {entries.map(entry => (
+        <div key={entry.id} className="flex space-x-3">
+          <div className="w-2 h-2 mt-2 rounded-full bg-purple-400 flex-shrink-0" />
+          <div>
+            <p className="text-sm text-gray-900">
+              <span className="font-medium">{entry.userName || 'Someone'}</span>{' '}
+              {ACTIVITY_ACTION_LABELS[entry.action]?.toLowerCase() || entry.action}
+            </p>
+            <p className="text-xs text-gray-500">
+              {entry.createdAt}
+              {entry.details && ` • ${formatActivityDetails(entry.details)}`}
+            </p>
+          </div>
+        </div>
+      ))}
+      {entries.length < total && (
+        <button onClick={() => setPage(page + 1)} className="text-sm text-purple-600 hover:text-purple-700">
+          Show older activity
+        </button>
+      )}
+    </div>
+  );
+};
+
 const App = () => {
   // Authentication State
   const [user, setUser] = useState(null);
@@ -12,33 +3356,80 @@ const App = () => {
   const [authLoading, setAuthLoading] = useState(false);
 
   // Application State
-  const [activeTab, setActiveTab] = useState('discover');
-  const [selectedIdea, setSelectedIdea] = useState(null);
+  const [activeTab, setActiveTab] = useState(() => parseRoute(window.location.pathname).tab || 'discover');
+  const [selectedIdeaId, setSelectedIdeaId] = useState(() => parseRoute(window.location.pathname).ideaId);
+  // The open idea when it isn't in the loaded list, e.g. after following a link to it
+  const [linkedIdea, setLinkedIdea] = useState(null);
   const [showNewIdeaModal, setShowNewIdeaModal] = useState(false);
   const [ideas, setIdeas] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [filterPhase, setFilterPhase] = useState('all');
+  const [sortBy, setSortBy] = useState('newest');
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [ideasLoaded, setIdeasLoaded] = useState(false);
+  const [analytics, setAnalytics] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [events, setEvents] = useState(null);
 
   // Initialize app - check for existing session
   useEffect(() => {
     initializeApp();
   }, []);
 
+  // Live updates; reconnect whenever the signed-in user changes. A signed-in stream opens
+  // with a short-lived ticket, so once the server refuses a reconnect (the ticket has
+  // expired by then) start over with a fresh one.
+  useEffect(() => {
+    let source = null;
+    let retryTimer = null;
+    let stopped = false;
+
+    const connect = async () => {
+      let query = '';
+      if (user) {
+        try {
+          const { ticket } = await apiCall('/events/ticket', { method: 'POST' });
+          query = `?ticket=${encodeURIComponent(ticket)}`;
+        } catch (error) {
+          if (!stopped) retryTimer = setTimeout(connect, EVENT_RETRY_MS);
+          return;
+        }
+      }
+      if (stopped) return;
+
+      source = new EventSource(`/api/events${query}`);
+      // The browser retries dropped connections by itself but gives up on refused ones
+      source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED && !stopped) {
+          retryTimer = setTimeout(connect, EVENT_RETRY_MS);
+        }
+      };
+      setEvents(source);
+    };
+
+    connect();
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      if (source) source.close();
+    };
+  }, [user]);
+
   const initializeApp = async () => {
     try {
       // Check for existing authentication
       const token = localStorage.getItem('auth_token');
-      if (token) {
-        const userData = await authenticateUser(token);
-        if (userData) {
-          setUser(userData);
-          await loadIdeas();
-        }
-      } else {
-        // Load public ideas for non-authenticated users
-        await loadPublicIdeas();
+      const userData = token ? await authenticateUser(token) : null;
+      if (userData) {
+        setUser(userData);
+      }
+
+      // A linked tab the visitor can't use falls back to Discover
+      if (!canOpenTab(activeTab, userData)) {
+        setActiveTab('discover');
       }
     } catch (error) {
       console.error('App initialization failed:', error);
@@ -71,7 +3462,6 @@ const App = () => {
       localStorage.setItem('auth_token', response.token);
       setUser(response.user);
       setShowAuthModal(false);
-      await loadIdeas();
     } catch (error) {
       throw new Error(error.message || 'Login failed');
     } finally {
@@ -79,18 +3469,17 @@ const App = () => {
     }
   };
 
-  const register = async (name, email, password, role = 'employee') => {
+  const register = async (name, email, password) => {
     try {
       setAuthLoading(true);
       const response = await apiCall('/auth/register', {
         method: 'POST',
-        body: JSON.stringify({ name, email, password, role })
+        body: JSON.stringify({ name, email, password })
       });
       
       localStorage.setItem('auth_token', response.token);
       setUser(response.user);
       setShowAuthModal(false);
-      await loadIdeas();
     } catch (error) {
       throw new Error(error.message || 'Registration failed');
     } finally {
@@ -103,58 +3492,73 @@ const App = () => {
     setUser(null);
     setIdeas([]);
     setActiveTab('discover');
-    loadPublicIdeas();
   };
 
-  // API utility function
-  const apiCall = async (endpoint, options = {}) => {
-    try {
-      const token = localStorage.getItem('auth_token');
-      const response = await fetch(`/api${endpoint}`, {
-        headers: {
-          'Content-Type': 'application/json',
-          ...(token && { Authorization: `Bearer ${token}` }),
-          ...options.headers
-        },
-        ...options
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.message || 'API call failed');
-      }
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
 
-      return await response.json();
-    } catch (error) {
-      console.error('API Error:', error);
-      throw error;
-    }
-  };
+  // The list the current tab shows is filtered and sorted on the server
+  const ideaParams = new URLSearchParams();
+  if (activeTab === 'my-ideas' && user) {
+    ideaParams.set('author', user.id);
+    ideaParams.set('archived', 'include');
+  } else if (activeTab === 'collaborate' && user) {
+    ideaParams.set('collaborator', user.id);
+  } else {
+    if (debouncedSearch) ideaParams.set('q', debouncedSearch);
+    if (filterPhase !== 'all') ideaParams.set('phase', filterPhase);
+    ideaParams.set('sort', sortBy);
+  }
+  const ideaQuery = ideaParams.toString();
 
-  // Ideas API calls
-  const loadIdeas = async () => {
-    try {
-      setLoading(true);
-      const response = await apiCall('/ideas');
-      setIdeas(response.ideas);
-    } catch (error) {
-      setError('Failed to load ideas');
-    } finally {
-      setLoading(false);
-    }
-  };
+  // Responses to a superseded query (filters changed mid-request) are dropped
+  const ideasRequestRef = useRef(0);
+  const loadMoreRef = useRef(null);
 
-  const loadPublicIdeas = async () => {
+  // Ideas API calls. Without a cursor this (re)loads the first page; with one it appends the next.
+  const loadIdeas = useCallback(async (cursor = null) => {
+    const requestId = ++ideasRequestRef.current;
+    const setBusy = cursor ? setLoadingMore : setLoading;
     try {
-      setLoading(true);
-      const response = await apiCall('/ideas/public');
-      setIdeas(response.ideas);
+      setBusy(true);
+      const response = await apiCall(`/ideas?${ideaQuery}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`);
+      if (requestId !== ideasRequestRef.current) return;
+      setIdeas(prev => cursor
+        ? [...prev, ...response.ideas.filter(idea => !prev.some(existing => existing.id === idea.id))]
+        : response.ideas);
+      setNextCursor(response.nextCursor);
     } catch (error) {
       setError('Failed to load ideas');
     } finally {
-      setLoading(false);
+      setBusy(false);
+      setIdeasLoaded(true);
     }
-  };
+  }, [ideaQuery]);
+
+  // Reload whenever the query or the signed-in user changes
+  useEffect(() => {
+    loadIdeas();
+  }, [loadIdeas, user]);
+
+  // Infinite scroll: fetch the next page when the marker under the list comes into view
+  useEffect(() => {
+    const marker = loadMoreRef.current;
+    if (!marker || !nextCursor || loadingMore) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadIdeas(nextCursor);
+    }, { rootMargin: '200px' });
+    observer.observe(marker);
+    return () => observer.disconnect();
+  }, [nextCursor, loadingMore, loadIdeas, activeTab]);
+
+  useEffect(() => {
+    if (activeTab !== 'admin' || user?.role !== 'admin') return;
+    apiCall('/admin/analytics')
+      .then(setAnalytics)
+      .catch(() => setError('Failed to load analytics'));
+  }, [activeTab, user]);
 
   const createIdea = async (ideaData) => {
     try {
@@ -163,12 +3567,10 @@ const App = () => {
         body: JSON.stringify(ideaData)
       });
       
-      // Get AI analysis for the new idea
-      const aiAnalysis = await getAIAnalysis(response.idea);
-      const updatedIdea = { ...response.idea, aiAnalysis };
-      
-      setIdeas(prev => [updatedIdea, ...prev]);
-      return updatedIdea;
+      // The server has already run the AI analysis; the idea:created event may already have added it
+      const newIdea = response.idea;
+      setIdeas(prev => [newIdea, ...prev.filter(idea => idea.id !== newIdea.id)]);
+      return newIdea;
     } catch (error) {
       throw new Error('Failed to create idea');
     }
@@ -181,22 +3583,21 @@ const App = () => {
         body: JSON.stringify(updates)
       });
       
-      setIdeas(prev => prev.map(idea => 
-        idea.id === ideaId ? response.idea : idea
-      ));
+      // The response omits counts and collaborators, so merge rather than replace
+      patchIdea(ideaId, response.idea);
       
       return response.idea;
     } catch (error) {
-      throw new Error('Failed to update idea');
+      throw new Error(error.data?.message || 'Failed to update idea');
     }
   };
 
   const likeIdea = async (ideaId) => {
     try {
-      await apiCall(`/ideas/${ideaId}/like`, { method: 'POST' });
+      const response = await apiCall(`/ideas/${ideaId}/like`, { method: 'POST' });
       setIdeas(prev => prev.map(idea => 
         idea.id === ideaId 
-          ? { ...idea, likes: idea.likes + 1, isLiked: true }
+          ? { ...idea, likes: response.likes, isLiked: response.liked }
           : idea
       ));
     } catch (error) {
@@ -204,143 +3605,138 @@ const App = () => {
     }
   };
 
-  const requestCollaboration = async (ideaId, message) => {
-    try {
-      await apiCall(`/ideas/${ideaId}/collaborate`, {
-        method: 'POST',
-        body: JSON.stringify({ message })
-      });
-      // Could show success notification here
-    } catch (error) {
-      throw new Error('Failed to request collaboration');
-    }
+  // Merge partial changes (comment counts, phase moves...) into an idea already in state
+  const patchIdea = (ideaId, changes) => {
+    setIdeas(prev => prev.map(idea => 
+      idea.id === ideaId ? { ...idea, ...changes } : idea
+    ));
+    setLinkedIdea(prev => (prev?.id === ideaId ? { ...prev, ...changes } : prev));
   };
 
-  // AI Integration
-  const getAIAnalysis = async (idea) => {
-    try {
-      const prompt = `Analyze this business idea and provide insights:
-      
-      Title: ${idea.title}
-      Description: ${idea.description}
-      Tags: ${idea.tags?.join(', ')}
-      
-      Please provide:
-      1. Similar existing solutions/competitors (max 5)
-      2. Market opportunity assessment (1-10 score with brief explanation)
-      3. Key recommendations (max 3)
-      4. Potential risks or challenges (max 3)
-      
-      Respond with a JSON object in this exact format:
-      {
-        "similarSolutions": ["solution1", "solution2", "solution3"],
-        "marketOpportunity": {
-          "score": 8,
-          "explanation": "Brief explanation of market potential"
-        },
-        "recommendations": ["recommendation1", "recommendation2", "recommendation3"],
-        "risks": ["risk1", "risk2", "risk3"]
-      }
-      
-      DO NOT OUTPUT ANYTHING OTHER THAN VALID JSON.`;
+  // New ideas only belong at the top of the unfiltered, newest-first Discover list
+  useServerEvent(events, 'idea:created', ({ idea }) => {
+    if (activeTab !== 'discover' || debouncedSearch || filterPhase !== 'all' || sortBy !== 'newest') return;
+    setIdeas(prev => prev.some(existing => existing.id === idea.id) ? prev : [idea, ...prev]);
+  });
 
-      const response = await fetch("https://api.anthropic.com/v1/messages", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model: "claude-sonnet-4-20250514",
-          max_tokens: 1000,
-          messages: [{ role: "user", content: prompt }]
-        })
+  useServerEvent(events, 'idea:updated', ({ idea }) => patchIdea(idea.id, idea));
+
+  // Drop a deleted idea from the list, closing it if it's open
+  const removeIdea = (ideaId) => {
+    setIdeas(prev => prev.filter(idea => idea.id !== ideaId));
+    setLinkedIdea(prev => (prev?.id === ideaId ? null : prev));
+    setSelectedIdeaId(prev => (prev === ideaId ? null : prev));
+  };
+  useServerEvent(events, 'idea:deleted', ({ ideaId }) => removeIdea(ideaId));
+
+  useServerEvent(events, 'idea:liked', ({ ideaId, likes, userId, liked }) => {
+    patchIdea(ideaId, userId === user?.id ? { likes, isLiked: liked } : { likes });
+  });
+
+  const updateCommentCount = ({ ideaId, comments }) => patchIdea(ideaId, { comments });
+  useServerEvent(events, 'comment:created', updateCommentCount);
+  useServerEvent(events, 'comment:updated', updateCommentCount);
+  useServerEvent(events, 'comment:deleted', updateCommentCount);
+
+  const openIdeaById = (ideaId) => setSelectedIdeaId(ideaId);
+
+  const selectedIdea = ideas.find(idea => idea.id === selectedIdeaId) ||
+    (linkedIdea?.id === selectedIdeaId ? linkedIdea : null);
+
+  // Fetch an open idea that isn't in the current list
+  const isSelectedIdeaLoaded = Boolean(selectedIdea);
+  useEffect(() => {
+    if (!selectedIdeaId || isSelectedIdeaLoaded) return;
+    apiCall(`/ideas/${selectedIdeaId}`)
+      .then(response => setLinkedIdea(response.idea))
+      .catch(error => {
+        setSelectedIdeaId(null);
+        setError(error.status === 404 ? 'That idea no longer exists' : error.message);
       });
+  }, [selectedIdeaId, isSelectedIdeaLoaded, user]);
 
-      if (!response.ok) {
-        throw new Error('AI analysis failed');
-      }
+  // Keep the URL in step with the open tab and idea, so they can be linked and survive a refresh
+  useEffect(() => {
+    const path = selectedIdeaId ? `/ideas/${selectedIdeaId}` : TAB_PATHS[activeTab];
+    if (window.location.pathname !== path) {
+      window.history.pushState(null, '', path);
+    }
+  }, [activeTab, selectedIdeaId]);
 
-      const data = await response.json();
-      let responseText = data.content[0].text;
-      
-      // Clean up the response (remove markdown formatting if any)
-      responseText = responseText.replace(/```json\n?/g, "").replace(/```\n?/g, "").trim();
-      
-      const analysis = JSON.parse(responseText);
-      return analysis;
-    } catch (error) {
-      console.error('AI Analysis Error:', error);
-      // Return fallback analysis if AI fails
-      return {
-        similarSolutions: ['Similar solution research needed'],
-        marketOpportunity: { score: 5, explanation: 'Market analysis pending' },
-        recommendations: ['Conduct user research', 'Validate assumptions', 'Build MVP'],
-        risks: ['Market competition', 'Technical feasibility', 'User adoption']
-      };
+  // Back and forward buttons
+  useEffect(() => {
+    const handlePopState = () => {
+      const route = parseRoute(window.location.pathname);
+      if (route.tab) setActiveTab(route.tab);
+      setSelectedIdeaId(route.ideaId);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // Requests and invites are handled in their inboxes; everything else opens the idea
+  const openNotification = (notification) => {
+    if (['collaboration_request', 'collaboration_invite'].includes(notification.type)) {
+      setActiveTab('collaborate');
+      return;
     }
+    if (notification.type === 'mentorship_request' && user?.role === 'mentor') {
+      setActiveTab('mentoring');
+      return;
+    }
+    openIdeaById(notification.data.ideaId);
   };
 
-  const askAIAssistant = async (question, ideaContext) => {
+  const requestCollaboration = async (ideaId, message) => {
     try {
-      const prompt = `You are an AI business advisor helping with idea development.
-      
-      Idea Context:
-      Title: ${ideaContext.title}
-      Description: ${ideaContext.description}
-      Current Phase: ${ideaContext.phase}
-      
-      User Question: ${question}
-      
-      Provide a helpful, actionable response in a conversational tone. Keep it concise but informative.`;
-
-      const response = await fetch("https://api.anthropic.com/v1/messages", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model: "claude-sonnet-4-20250514",
-          max_tokens: 500,
-          messages: [{ role: "user", content: prompt }]
-        })
+      await apiCall(`/ideas/${ideaId}/collaborate`, {
+        method: 'POST',
+        body: JSON.stringify({ message })
       });
+      // Could show success notification here
+    } catch (error) {
+      throw new Error(error.message || 'Failed to request collaboration');
+    }
+  };
 
-      if (!response.ok) {
-        throw new Error('AI assistant failed');
+  // AI Integration - all model calls go through the backend, which holds the API key.
+  // The answer is streamed to onToken as it is written; resolves to the stored question and
+  // answer once complete. Aborting `signal` cancels the request.
+  const askAIAssistant = async (question, idea, thread, { onToken, signal } = {}) => {
+    let result = null;
+    await streamApiCall('/ai/ask', {
+      question,
+      ideaId: idea.id,
+      thread,
+      stream: true
+    }, {
+      signal,
+      onEvent: (type, data) => {
+        if (type === 'token') onToken?.(data.text);
+        if (type === 'error') throw new Error(data.message);
+        if (type === 'done') result = data;
       }
+    });
 
-      const data = await response.json();
-      return data.content[0].text;
-    } catch (error) {
-      console.error('AI Assistant Error:', error);
-      return "I'm having trouble processing your question right now. Please try again later or reach out to a mentor for assistance.";
+    if (!result) {
+      throw new Error('The answer was interrupted, please try again');
     }
+    return result;
   };
 
-  // Phase definitions
-  const phases = [
-    { name: 'Idea Spark', icon: Lightbulb, color: 'bg-yellow-500' },
-    { name: 'Research & Validate', icon: Search, color: 'bg-blue-500' },
-    { name: 'Plan & Strategy', icon: Target, color: 'bg-purple-500' },
-    { name: 'Build & Test', icon: Settings, color: 'bg-green-500' },
-    { name: 'Launch Ready', icon: Rocket, color: 'bg-red-500' }
-  ];
-
-  // Filter ideas based on search and phase
-  const filteredIdeas = ideas.filter(idea => {
-    const matchesSearch = idea.title?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         idea.description?.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesPhase = filterPhase === 'all' || idea.phase === filterPhase;
-    return matchesSearch && matchesPhase;
-  });
+  // Marker that triggers loading the next page of the current list
+  const loadMoreMarker = nextCursor && (
+    <div ref={loadMoreRef} className="text-center py-4 text-sm text-gray-500">
+      {loadingMore ? 'Loading more ideas...' : ''}
+    </div>
+  );
 
   // Authentication Modal Component
   const AuthModal = () => {
     const [formData, setFormData] = useState({
       name: '',
       email: '',
-      password: '',
-      role: 'employee'
+      password: ''
     });
     const [formError, setFormError] = useState('');
 
@@ -352,7 +3748,7 @@ const App = () => {
         if (authMode === 'login') {
           await login(formData.email, formData.password);
         } else {
-          await register(formData.name, formData.email, formData.password, formData.role);
+          await register(formData.name, formData.email, formData.password);
         }
       } catch (error) {
         setFormError(error.message);
@@ -413,20 +3809,6 @@ const App = () => {
               />
             </div>
             
-            {authMode === 'register' && (
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Role</label>
-                <select
-                  value={formData.role}
-                  onChange={(e) => setFormData({...formData, role: e.target.value})}
-                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
-                >
-                  <option value="employee">Employee</option>
-                  <option value="mentor">Mentor</option>
-                </select>
-              </div>
-            )}
-            
             <button
               type="submit"
               disabled={authLoading}
@@ -464,7 +3846,26 @@ const App = () => {
           <div className={`p-2 rounded-lg ${phaseInfo.color} bg-opacity-10`}>
             <IconComponent className={`w-5 h-5 ${phaseInfo.color.replace('bg-', 'text-')}`} />
           </div>
-          <span className="text-xs text-gray-500">{idea.createdAt}</span>
+          <div className="flex items-center space-x-2">
+            {ANALYSIS_STATUS_LABELS[idea.analysisStatus] && (
+              <span className={`px-2 py-0.5 text-xs rounded-full ${ANALYSIS_STATUS_LABELS[idea.analysisStatus].className}`}>
+                {ANALYSIS_STATUS_LABELS[idea.analysisStatus].label}
+              </span>
+            )}
+            {idea.archivedAt ? (
+              <span className="px-2 py-0.5 text-xs rounded-full bg-gray-200 text-gray-700">🗄 Archived</span>
+            ) : idea.status && idea.status !== 'active' && (
+              <span className={`px-2 py-0.5 text-xs rounded-full ${IDEA_STATUS_OPTIONS[idea.status].className}`}>
+                {IDEA_STATUS_OPTIONS[idea.status].label}
+              </span>
+            )}
+            {['private', 'collaborators'].includes(idea.visibility) && (
+              <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">
+                {IDEA_VISIBILITY_OPTIONS[idea.visibility].label}
+              </span>
+            )}
+            <span className="text-xs text-gray-500">{idea.createdAt}</span>
+          </div>
         </div>
         
         <h3 className="font-semibold text-lg text-gray-900 mb-2">{idea.title}</h3>
@@ -514,7 +3915,8 @@ const App = () => {
     const [formData, setFormData] = useState({
       title: '',
       description: '',
-      tags: ''
+      tags: '',
+      visibility: 'organization'
     });
     const [submitting, setSubmitting] = useState(false);
     const [error, setError] = useState('');
@@ -531,6 +3933,7 @@ const App = () => {
           title: formData.title,
           description: formData.description,
           tags: formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag),
+          visibility: formData.visibility,
           phase: 'Idea Spark',
           phaseIndex: 0
         };
@@ -601,6 +4004,32 @@ const App = () => {
                 className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
               />
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Who can see it
+              </label>
+              <select
+                value={formData.visibility}
+                onChange={(e) => setFormData({...formData, visibility: e.target.value})}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+              >
+                {Object.entries(IDEA_VISIBILITY_OPTIONS).map(([value, option]) => (
+                  <option key={value} value={value}>{option.label} - {option.description}</option>
+                ))}
+              </select>
+            </div>
+
+            <SimilarIdeasWarning
+              title={formData.title}
+              description={formData.description}
+              tags={formData.tags}
+              onOpenIdea={(ideaId) => {
+                onClose();
+                openIdeaById(ideaId);
+              }}
+              onRequestCollaboration={requestCollaboration}
+            />
             
             <div className="flex justify-end space-x-3 pt-4">
               <button
@@ -624,284 +4053,16 @@ const App = () => {
     );
   };
 
-  // AI-Enhanced Idea Detail Modal Component
-  const IdeaDetailModal = ({ idea, onClose }) => {
-    const [activeSection, setActiveSection] = useState('overview');
-    const [aiQuestion, setAiQuestion] = useState('');
-    const [aiResponse, setAiResponse] = useState('');
-    const [aiLoading, setAiLoading] = useState(false);
-    const [collaborationMessage, setCollaborationMessage] = useState('');
-    const [showCollaborationModal, setShowCollaborationModal] = useState(false);
-
-    const phaseInfo = phases[idea.phaseIndex || 0];
-    const IconComponent = phaseInfo.icon;
-
-    const handleAskAI = async () => {
-      if (!aiQuestion.trim()) return;
-      
-      setAiLoading(true);
-      try {
-        const response = await askAIAssistant(aiQuestion, idea);
-        setAiResponse(response);
-        setAiQuestion('');
-      } catch (error) {
-        setAiResponse('Sorry, I encountered an error. Please try again.');
-      } finally {
-        setAiLoading(false);
-      }
-    };
-
-    const handleRequestCollaboration = async () => {
-      try {
-        await requestCollaboration(idea.id, collaborationMessage);
-        setShowCollaborationModal(false);
-        setCollaborationMessage('');
-        // Could show success notification
-      } catch (error) {
-        console.error('Collaboration request failed:', error);
-      }
-    };
-
-    return (
-      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-        <div className="bg-white rounded-xl max-w-4xl w-full max-h-[90vh] overflow-hidden">
-          <div className="flex justify-between items-center p-6 border-b">
-            <div className="flex items-center space-x-3">
-              <div className={`p-2 rounded-lg ${phaseInfo.color} bg-opacity-10`}>
-                <IconComponent className={`w-5 h-5 ${phaseInfo.color.replace('bg-', 'text-')}`} />
-              </div>
-              <div>
-                <h2 className="text-xl font-bold text-gray-900">{idea.title}</h2>
-                <p className="text-sm text-gray-500">by {idea.author} • {idea.createdAt}</p>
-              </div>
-            </div>
-            <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
-              <X className="w-5 h-5" />
-            </button>
-          </div>
-          
-          <div className="flex border-b">
-            {['overview', 'ai-insights', 'collaborate'].map(section => (
-              <button
-                key={section}
-                onClick={() => setActiveSection(section)}
-                className={`px-6 py-3 text-sm font-medium border-b-2 transition-colors ${
-                  activeSection === section 
-                    ? 'border-purple-500 text-purple-600' 
-                    : 'border-transparent text-gray-500 hover:text-gray-700'
-                }`}
-              >
-                {section === 'overview' && 'Overview'}
-                {section === 'ai-insights' && '🤖 AI Insights'}
-                {section === 'collaborate' && 'Collaborate'}
-              </button>
-            ))}
-          </div>
-          
-          <div className="p-6 max-h-[60vh] overflow-y-auto">
-            {activeSection === 'overview' && (
-              <div className="space-y-6">
-                <div>
-                  <h3 className="font-semibold text-gray-900 mb-2">Description</h3>
-                  <p className="text-gray-600">{idea.description}</p>
-                </div>
-                
-                {idea.tags && idea.tags.length > 0 && (
-                  <div className="flex flex-wrap gap-2">
-                    {idea.tags.map(tag => (
-                      <span key={tag} className="px-3 py-1 bg-purple-100 text-purple-700 text-sm rounded-full">
-                        {tag}
-                      </span>
-                    ))}
-                  </div>
-                )}
-                
-                <div className="flex items-center space-x-6">
-                  <div className="flex items-center space-x-2 text-gray-600">
-                    <Heart className="w-5 h-5" />
-                    <span>{idea.likes || 0} likes</span>
-                  </div>
-                  <div className="flex items-center space-x-2 text-gray-600">
-                    <MessageCircle className="w-5 h-5" />
-                    <span>{idea.comments || 0} comments</span>
-                  </div>
-                  <div className="flex items-center space-x-2 text-gray-600">
-                    <Users className="w-5 h-5" />
-                    <span>{idea.collaborators?.length || 0} collaborators</span>
-                  </div>
-                </div>
-              </div>
-            )}
-            
-            {activeSection === 'ai-insights' && (
-              <div className="space-y-6">
-                <h3 className="font-semibold text-gray-900">AI Analysis & Insights</h3>
-                
-                {idea.aiAnalysis ? (
-                  <>
-                    {/* Similar Solutions */}
-                    <div className="bg-purple-50 p-4 rounded-lg">
-                      <h4 className="font-medium text-purple-900 mb-3">Similar Solutions & Competitors</h4>
-                      <div className="space-y-2">
-                        {idea.aiAnalysis.similarSolutions?.map((solution, index) => (
-                          <div key={index} className="flex items-center justify-between p-2 bg-white rounded">
-                            <span className="text-gray-900">{solution}</span>
-                          </div>
-                        ))}
-                      </div>
-                    </div>
-                    
-                    {/* Market Opportunity */}
-                    <div className="bg-green-50 p-4 rounded-lg">
-                      <h4 className="font-medium text-green-900 mb-3">📊 Market Opportunity</h4>
-                      <div className="flex items-center space-x-2 mb-2">
-                        <span className="text-2xl font-bold text-green-800">
-                          {idea.aiAnalysis.marketOpportunity?.score || 'N/A'}/10
-                        </span>
-                        <span className="text-green-700">Opportunity Score</span>
-                      </div>
-                      <p className="text-sm text-green-800">
-                        {idea.aiAnalysis.marketOpportunity?.explanation}
-                      </p>
-                    </div>
-                    
-                    {/* Recommendations */}
-                    <div className="bg-blue-50 p-4 rounded-lg">
-                      <h4 className="font-medium text-blue-900 mb-3">💡 Recommendations</h4>
-                      <div className="space-y-1 text-sm text-blue-800">
-                        {idea.aiAnalysis.recommendations?.map((rec, index) => (
-                          <p key={index}>• {rec}</p>
-                        ))}
-                      </div>
-                    </div>
-                    
-                    {/* Risks */}
-                    <div className="bg-yellow-50 p-4 rounded-lg">
-                      <h4 className="font-medium text-yellow-900 mb-3">⚠️ Risks & Challenges</h4>
-                      <div className="space-y-1 text-sm text-yellow-800">
-                        {idea.aiAnalysis.risks?.map((risk, index) => (
-                          <p key={index}>• {risk}</p>
-                        ))}
-                      </div>
-                    </div>
-                  </>
-                ) : (
-                  <div className="text-center py-8">
-                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600 mx-auto mb-4"></div>
-                    <p className="text-gray-500">Generating AI insights...</p>
-                  </div>
-                )}
-                
-                {/* Ask AI Assistant */}
-                <div className="border-2 border-dashed border-gray-300 p-4 rounded-lg">
-                  <h4 className="font-medium text-gray-900 mb-2">Ask AI Assistant</h4>
-                  <div className="flex space-x-2 mb-3">
-                    <input
-                      type="text"
-                      value={aiQuestion}
-                      onChange={(e) => setAiQuestion(e.target.value)}
-                      placeholder="Ask anything about this idea..."
-                      className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
-                      onKeyPress={(e) => e.key === 'Enter' && handleAskAI()}
-                    />
-                    <button 
-                      onClick={handleAskAI}
-                      disabled={aiLoading || !aiQuestion.trim()}
-                      className="bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50"
-                    >
-                      {aiLoading ? '...' : 'Ask'}
-                    </button>
-                  </div>
-                  {aiResponse && (
-                    <div className="bg-gray-50 p-3 rounded-lg">
-                      <p className="text-sm text-gray-700">{aiResponse}</p>
-                    </div>
-                  )}
-                </div>
-              </div>
-            )}
-            
-            {activeSection === 'collaborate' && (
-              <div className="space-y-4">
-                <h3 className="font-semibold text-gray-900">Collaboration</h3>
-                
-                {idea.collaborators && idea.collaborators.length > 0 && (
-                  <div>
-                    <h4 className="text-sm font-medium text-gray-700 mb-2">Current Collaborators</h4>
-                    <div className="space-y-2">
-                      {idea.collaborators.map(collaborator => (
-                        <div key={collaborator} className="flex items-center space-x-3 p-3 bg-gray-50 rounded-lg">
-                          <div className="w-8 h-8 bg-purple-500 rounded-full flex items-center justify-center text-white text-sm">
-                            {collaborator[0]}
-                          </div>
-                          <span className="text-gray-900">{collaborator}</span>
-                        </div>
-                      ))}
-                    </div>
-                  </div>
-                )}
-                
-                {user && idea.authorId !== user.id && !idea.collaborators?.includes(user.name) && (
-                  <button 
-                    onClick={() => setShowCollaborationModal(true)}
-                    className="bg-purple-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-purple-700"
-                  >
-                    Request to Collaborate
-                  </button>
-                )}
-                
-                {!user && (
-                  <div className="bg-blue-50 p-4 rounded-lg">
-                    <p className="text-blue-800">
-                      <button 
-                        onClick={() => setShowAuthModal(true)}
-                        className="text-blue-600 hover:text-blue-700 underline"
-                      >
-                        Sign in
-                      </button> to collaborate on this idea!
-                    </p>
-                  </div>
-                )}
-              </div>
-            )}
-          </div>
-        </div>
-        
-        {/* Collaboration Request Modal */}
-        {showCollaborationModal && (
-          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-60">
-            <div className="bg-white rounded-lg p-6 w-full max-w-md">
-              <h3 className="text-lg font-semibold text-gray-900 mb-4">Request Collaboration</h3>
-              <textarea
-                value={collaborationMessage}
-                onChange={(e) => setCollaborationMessage(e.target.value)}
-                placeholder="Tell the idea owner why you'd like to collaborate..."
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 mb-4"
-                rows={4}
-              />
-              <div className="flex justify-end space-x-3">
-                <button
-                  onClick={() => setShowCollaborationModal(false)}
-                  className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
-                >
-                  Cancel
-                </button>
-                <button
-                  onClick={handleRequestCollaboration}
-                  className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700"
-                >
-                  Send Request
-                </button>
-              </div>
-            </div>
-          </div>
-        )}
-      </div>
-    );
-  };
+  // Platform-wide totals for the admin dashboard
+  const countOf = (rows = []) => rows.reduce((sum, row) => sum + parseInt(row.count), 0);
+  const totalIdeas = countOf(analytics?.ideas);
+  const totalUsers = countOf(analytics?.users);
+  const popularPhase = analytics?.ideas.reduce((top, row) => (
+    !top || parseInt(row.count) > parseInt(top.count) ? row : top
+  ), null);
 
   // Main App Render
-  if (loading && ideas.length === 0) {
+  if (loading && !ideasLoaded) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <div className="text-center">
@@ -956,6 +4117,16 @@ const App = () => {
                   >
                     Collaborations
                   </button>
+                  {user.role === 'mentor' && (
+                    <button 
+                      onClick={() => setActiveTab('mentoring')}
+                      className={`px-3 py-2 text-sm font-medium rounded-md transition-colors ${
+                        activeTab === 'mentoring' ? 'bg-purple-100 text-purple-700' : 'text-gray-500 hover:text-gray-700'
+                      }`}
+                    >
+                      Mentoring
+                    </button>
+                  )}
                   {user.role === 'admin' && (
                     <button 
                       onClick={() => setActiveTab('admin')}
@@ -973,9 +4144,7 @@ const App = () => {
             <div className="flex items-center space-x-4">
               {user ? (
                 <>
-                  <button className="p-2 text-gray-400 hover:text-gray-500">
-                    <Bell className="w-5 h-5" />
-                  </button>
+                  <NotificationBell events={events} onOpen={openNotification} />
                   <div className="flex items-center space-x-2 text-sm">
                     <div className="w-8 h-8 bg-purple-500 rounded-full flex items-center justify-center text-white text-sm">
                       {user.name[0]}
@@ -1057,26 +4226,39 @@ const App = () => {
                 />
               </div>
               
-              <select
-                value={filterPhase}
-                onChange={(e) => setFilterPhase(e.target.value)}
-                className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-              >
-                <option value="all">All Phases</option>
-                {phases.map(phase => (
-                  <option key={phase.name} value={phase.name}>{phase.name}</option>
-                ))}
-              </select>
+              <div className="flex gap-4">
+                <select
+                  value={filterPhase}
+                  onChange={(e) => setFilterPhase(e.target.value)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                >
+                  <option value="all">All Phases</option>
+                  {phases.map(phase => (
+                    <option key={phase.name} value={phase.name}>{phase.name}</option>
+                  ))}
+                </select>
+
+                <select
+                  value={sortBy}
+                  onChange={(e) => setSortBy(e.target.value)}
+                  className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                >
+                  {IDEA_SORT_OPTIONS.map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
             </div>
 
             {/* Ideas Grid */}
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-              {filteredIdeas.map(idea => (
-                <IdeaCard key={idea.id} idea={idea} onClick={() => setSelectedIdea(idea)} />
+              {ideas.map(idea => (
+                <IdeaCard key={idea.id} idea={idea} onClick={() => setSelectedIdeaId(idea.id)} />
               ))}
             </div>
+            {loadMoreMarker}
             
-            {filteredIdeas.length === 0 && (
+            {ideas.length === 0 && !loading && (
               <div className="text-center py-12">
                 <Lightbulb className="w-16 h-16 text-gray-300 mx-auto mb-4" />
                 <h3 className="text-lg font-medium text-gray-900 mb-2">No ideas found</h3>
@@ -1115,10 +4297,11 @@ const App = () => {
             ) : (
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
                 {ideas.filter(idea => idea.authorId === user.id).map(idea => (
-                  <IdeaCard key={idea.id} idea={idea} onClick={() => setSelectedIdea(idea)} />
+                  <IdeaCard key={idea.id} idea={idea} onClick={() => setSelectedIdeaId(idea.id)} />
                 ))}
               </div>
             )}
+            {loadMoreMarker}
           </div>
         )}
 
@@ -1127,6 +4310,8 @@ const App = () => {
           <div className="space-y-6">
             <h2 className="text-2xl font-bold text-gray-900">Your Collaborations 🤝</h2>
             
+            <CollaborationInbox onChange={() => loadIdeas()} />
+            
             {ideas.filter(idea => idea.collaborators?.includes(user.name)).length === 0 ? (
               <div className="text-center py-12">
                 <Users className="w-16 h-16 text-gray-300 mx-auto mb-4" />
@@ -1136,10 +4321,19 @@ const App = () => {
             ) : (
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
                 {ideas.filter(idea => idea.collaborators?.includes(user.name)).map(idea => (
-                  <IdeaCard key={idea.id} idea={idea} onClick={() => setSelectedIdea(idea)} />
+                  <IdeaCard key={idea.id} idea={idea} onClick={() => setSelectedIdeaId(idea.id)} />
                 ))}
               </div>
             )}
+            {loadMoreMarker}
+          </div>
+        )}
+
+        {/* Mentoring */}
+        {activeTab === 'mentoring' && user?.role === 'mentor' && (
+          <div className="space-y-6">
+            <h2 className="text-2xl font-bold text-gray-900">Mentoring 🧭</h2>
+            <MentoringDashboard user={user} onOpenIdea={openIdeaById} />
           </div>
         )}
 
@@ -1154,7 +4348,7 @@ const App = () => {
                 <div className="flex items-center justify-between">
                   <div>
                     <p className="text-sm text-gray-600">Total Ideas</p>
-                    <p className="text-2xl font-bold text-gray-900">{ideas.length}</p>
+                    <p className="text-2xl font-bold text-gray-900">{totalIdeas}</p>
                   </div>
                   <Lightbulb className="w-8 h-8 text-yellow-500" />
                 </div>
@@ -1164,7 +4358,7 @@ const App = () => {
                   <div>
                     <p className="text-sm text-gray-600">Active Ideas</p>
                     <p className="text-2xl font-bold text-gray-900">
-                      {ideas.filter(idea => (idea.phaseIndex || 0) > 0).length}
+                      {totalIdeas - countOf(analytics?.ideas.filter(row => row.phase === phases[0].name))}
                     </p>
                   </div>
                   <TrendingUp className="w-8 h-8 text-blue-500" />
@@ -1175,7 +4369,7 @@ const App = () => {
                   <div>
                     <p className="text-sm text-gray-600">Total Likes</p>
                     <p className="text-2xl font-bold text-gray-900">
-                      {ideas.reduce((sum, idea) => sum + (idea.likes || 0), 0)}
+                      {analytics?.totalLikes || 0}
                     </p>
                   </div>
                   <Heart className="w-8 h-8 text-red-500" />
@@ -1186,7 +4380,7 @@ const App = () => {
                   <div>
                     <p className="text-sm text-gray-600">Collaborations</p>
                     <p className="text-2xl font-bold text-gray-900">
-                      {ideas.reduce((sum, idea) => sum + (idea.collaborators?.length || 0), 0)}
+                      {analytics?.collaborations || 0}
                     </p>
                   </div>
                   <Users className="w-8 h-8 text-purple-500" />
@@ -1201,26 +4395,47 @@ const App = () => {
                 <div className="flex items-center justify-between">
                   <span className="text-gray-600">Total Platform Engagement</span>
                   <span className="font-medium text-gray-900">
-                    {ideas.reduce((sum, idea) => sum + (idea.likes || 0) + (idea.comments || 0), 0)} interactions
+                    {(analytics?.totalLikes || 0) + (analytics?.totalComments || 0)} interactions
                   </span>
                 </div>
                 <div className="flex items-center justify-between">
                   <span className="text-gray-600">Average Ideas per User</span>
-                  <span className="font-medium text-gray-900">2.3</span>
+                  <span className="font-medium text-gray-900">
+                    {totalUsers > 0 ? (totalIdeas / totalUsers).toFixed(1) : '0'}
+                  </span>
                 </div>
                 <div className="flex items-center justify-between">
                   <span className="text-gray-600">Most Popular Phase</span>
-                  <span className="font-medium text-gray-900">Research & Validate</span>
+                  <span className="font-medium text-gray-900">{popularPhase?.phase || '-'}</span>
                 </div>
               </div>
             </div>
+
+            <AIUsageReport />
+            <AIQuotaSettings />
+            <ActivityLog />
           </div>
         )}
       </div>
 
       {/* Modals */}
       {showAuthModal && <AuthModal />}
-      {selectedIdea && <IdeaDetailModal idea={selectedIdea} onClose={() => setSelectedIdea(null)} />}
+      {selectedIdea && (
+        <IdeaDetailModal
+          idea={selectedIdea}
+          user={user}
+          events={events}
+          onClose={() => setSelectedIdeaId(null)}
+          onAskAI={askAIAssistant}
+          onRequestCollaboration={requestCollaboration}
+          onSignIn={() => setShowAuthModal(true)}
+          onIdeaChange={patchIdea}
+          onUpdateIdea={updateIdea}
+          onDeleteIdea={removeIdea}
+          onCollaboratorsChange={() => loadIdeas()}
+          onOpenIdea={openIdeaById}
+        />
+      )}
       {showNewIdeaModal && user && <NewIdeaModal onClose={() => setShowNewIdeaModal(false)} />}
     </div>
   );